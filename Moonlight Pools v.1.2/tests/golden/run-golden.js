@@ -0,0 +1,302 @@
+// Golden-image regression test for the compute and render shaders. Runs GOLDEN_SCENARIOS (scenarios.js)
+// on NeuralCAWebGL in headless Chrome with SwiftShader's software WebGL2, so it needs no GPU, and compares
+// the final state and rendered image to the committed files in expected/.
+//
+//     node tests/golden/run-golden.js [--chrome <path>] [--update] [--cpu]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const { NeuralCAWebGL } = require('../../wwwroot/js/nca-webgl.js');
+const { encodePng } = require('../../tools/moonlight-cli.js');
+const { GOLDEN_SCENARIOS, runGoldenScenario } = require('./scenarios.js');
+
+const USAGE = `Usage: node tests/golden/run-golden.js [options]
+  
+  --chrome <path>   Chrome / Chromium binary (default: $CHROME_PATH, then google-chrome, chromium, ... on the PATH)
+  --update          Write this run's results to expected/ instead of comparing
+  --cpu             Run the scenarios on the CPU reference engine (NeuralCACPU) under Node instead of the shaders
+  --timeout <s>     Give up on the browser after this many seconds (default 120)
+  --help            Show this help
+`;
+
+const RELEASE_ROOT = path.resolve(__dirname, '../..');
+const EXPECTED_DIR = path.join(__dirname, 'expected');
+const ACTUAL_DIR = path.join(__dirname, 'actual');
+
+// GPUs and SwiftShader round float32 math differently; allow that much, not a changed rule
+// (the CPU engine lands within 1.2e-6 and 1 of the SwiftShader goldens)
+const STATE_TOLERANCE = 1e-5; // Absolute, per state value
+const IMAGE_TOLERANCE = 2; // Per 8-bit color channel
+
+const CHROME_NAMES = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'chrome'];
+const CONTENT_TYPES = { '.html': 'text/html', '.js': 'text/javascript', '.json': 'application/json' };
+
+function parseArgs(argv) {
+    const flags = ['update', 'cpu', 'help'];
+    const options = {};
+    
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z]+)$/.exec(argv[i]);
+        if (!match) {
+            throw new Error(`Unexpected argument "${argv[i]}"`);
+        }
+        if (flags.includes(match[1])) {
+            options[match[1]] = true;
+        } else if (i + 1 < argv.length) {
+            options[match[1]] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${match[1]}`);
+        }
+    }
+    return options;
+}
+
+function findChrome(option) {
+    if (option || process.env.CHROME_PATH) {
+        return option || process.env.CHROME_PATH;
+    }
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+        for (const name of CHROME_NAMES) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate)) return candidate;
+        }
+    }
+    throw new Error('No Chrome or Chromium found; pass --chrome <path> or set CHROME_PATH');
+}
+
+// Serve the release folder so golden.html can load the engine, and wait for the page to post its results
+function runInBrowser(chromePath, timeoutSeconds) {
+    return new Promise((resolve, reject) => {
+        let chrome = null;
+        let finished = false;
+        const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moonlight-golden-'));
+        
+        // Called once with the results, or on the first error (timeout, Chrome failing to start or exiting early)
+        const finish = (error, results) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            server.close();
+            server.closeAllConnections();
+            if (chrome && chrome.exitCode === null) {
+                chrome.kill();
+            }
+            fs.rmSync(profileDir, { recursive: true, force: true });
+            error ? reject(error) : resolve(results);
+        };
+        
+        const server = http.createServer((request, response) => {
+            const url = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+            
+            if (request.method === 'POST' && url === '/tests/golden/results') {
+                const chunks = [];
+                request.on('data', chunk => chunks.push(chunk));
+                request.on('end', () => {
+                    response.end();
+                    try {
+                        finish(null, JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                    } catch (error) {
+                        finish(new Error(`Unreadable results from the browser: ${error.message}`));
+                    }
+                });
+                return;
+            }
+            
+            const file = path.join(RELEASE_ROOT, url);
+            if (!file.startsWith(RELEASE_ROOT + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+                response.statusCode = 404;
+                response.end();
+                return;
+            }
+            response.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+            response.end(fs.readFileSync(file));
+        });
+        
+        const timer = setTimeout(() => finish(new Error(`Browser sent no results within ${timeoutSeconds}s`)), timeoutSeconds * 1000);
+        
+        server.listen(0, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}/tests/golden/golden.html`;
+            const args = [
+                '--headless',
+                '--use-angle=swiftshader',
+                '--enable-unsafe-swiftshader',
+                '--no-first-run',
+                '--no-default-browser-check',
+                `--user-data-dir=${profileDir}`,
+                url
+            ];
+            // Chrome refuses to start its sandbox as root (e.g. in CI containers)
+            if (process.getuid && process.getuid() === 0) {
+                args.unshift('--no-sandbox');
+            }
+            
+            chrome = spawn(chromePath, args, { stdio: 'ignore' });
+            chrome.on('error', error => finish(new Error(`Could not start ${chromePath}: ${error.message}`)));
+            chrome.on('exit', code => finish(new Error(`Chrome exited (code ${code}) before sending results`)));
+        });
+    });
+}
+
+function runOnCpu() {
+    const { NeuralCACPU } = require('../../wwwroot/js/nca-cpu.js');
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return GOLDEN_SCENARIOS.map(scenario => {
+            const result = runGoldenScenario(NeuralCACPU, scenario);
+            return { ...result, name: scenario.name, snapshot: Buffer.from(result.snapshot), image: Buffer.from(result.image) };
+        });
+    } finally {
+        console.log = log;
+    }
+}
+
+// Browser results arrive base64-encoded
+function decodeBrowserResult(result) {
+    if (result.error) return result;
+    return { ...result, snapshot: Buffer.from(result.snapshot, 'base64'), image: Buffer.from(result.image, 'base64') };
+}
+
+// Decoder for 8-bit, non-interlaced RGB / RGBA PNGs (what encodePng writes); returns RGB pixels
+function decodePng(buffer) {
+    const chunks = [];
+    let header = null;
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') header = data;
+        if (type === 'IDAT') chunks.push(data);
+        offset += 12 + length;
+    }
+    
+    const width = header.readUInt32BE(0);
+    const height = header.readUInt32BE(4);
+    const channels = { 2: 3, 6: 4 }[header[9]];
+    if (header[8] !== 8 || !channels || header[12] !== 0) {
+        throw new Error('Only 8-bit, non-interlaced RGB / RGBA PNGs are supported');
+    }
+    
+    const raw = zlib.inflateSync(Buffer.concat(chunks));
+    const stride = width * channels;
+    const pixels = Buffer.alloc(width * height * 3);
+    let previous = Buffer.alloc(stride);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const row = Buffer.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+        for (let i = 0; i < stride; i++) {
+            const left = i >= channels ? row[i - channels] : 0;
+            const up = previous[i];
+            const upLeft = i >= channels ? previous[i - channels] : 0;
+            let predictor = 0;
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) {
+                const p = left + up - upLeft;
+                const [pa, pb, pc] = [Math.abs(p - left), Math.abs(p - up), Math.abs(p - upLeft)];
+                predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+            }
+            row[i] = (row[i] + predictor) & 0xFF;
+        }
+        for (let x = 0; x < width; x++) {
+            row.copy(pixels, (y * width + x) * 3, x * channels, x * channels + 3);
+        }
+        previous = row;
+    }
+    return { width, height, pixels };
+}
+
+function maxStateDifference(expected, actual) {
+    let max = 0;
+    for (let i = 0; i < expected.length; i++) {
+        max = Math.max(max, Math.abs(expected[i] - actual[i]));
+    }
+    return max;
+}
+
+// expected: RGB pixels from decodePng, actual: RGBA pixels from renderPixels (alpha is always opaque)
+function maxImageDifference(expected, actual) {
+    let max = 0;
+    for (let pixel = 0; pixel < expected.length / 3; pixel++) {
+        for (let c = 0; c < 3; c++) {
+            max = Math.max(max, Math.abs(expected[pixel * 3 + c] - actual[pixel * 4 + c]));
+        }
+    }
+    return max;
+}
+
+function writeResult(dir, result) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${result.name}.mlsnap`), result.snapshot);
+    fs.writeFileSync(path.join(dir, `${result.name}.png`), encodePng(result.width, result.height, result.image));
+}
+
+// Compare one result to its golden files: { passed, summary }
+function compareResult(result) {
+    const snapshotFile = path.join(EXPECTED_DIR, `${result.name}.mlsnap`);
+    const imageFile = path.join(EXPECTED_DIR, `${result.name}.png`);
+    if (!fs.existsSync(snapshotFile) || !fs.existsSync(imageFile)) {
+        return { passed: false, summary: 'no golden files (run with --update to create them)' };
+    }
+    
+    const toArrayBuffer = buffer => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+    const expected = NeuralCAWebGL.decodeSnapshot(toArrayBuffer(fs.readFileSync(snapshotFile)));
+    const actual = NeuralCAWebGL.decodeSnapshot(toArrayBuffer(result.snapshot));
+    if (expected.width !== actual.width || expected.height !== actual.height || expected.valuesPerCell !== actual.valuesPerCell) {
+        return { passed: false, summary: `grid is ${actual.width}x${actual.height}x${actual.valuesPerCell}, expected ${expected.width}x${expected.height}x${expected.valuesPerCell}` };
+    }
+    
+    const stateError = maxStateDifference(expected.state, actual.state);
+    const imageError = maxImageDifference(decodePng(fs.readFileSync(imageFile)).pixels, result.image);
+    return {
+        passed: stateError <= STATE_TOLERANCE && imageError <= IMAGE_TOLERANCE,
+        summary: `state max error ${stateError.toExponential(2)}, image max error ${imageError}`
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    
+    const results = options.cpu
+        ? runOnCpu()
+        : (await runInBrowser(findChrome(options.chrome), Number(options.timeout) || 120)).map(decodeBrowserResult);
+    
+    let failures = 0;
+    for (const result of results) {
+        if (result.error) {
+            console.log(`FAIL ${result.name}: ${result.error}`);
+            failures++;
+        } else if (options.update) {
+            writeResult(EXPECTED_DIR, result);
+            console.log(`wrote ${result.name}`);
+        } else {
+            const { passed, summary } = compareResult(result);
+            if (passed) {
+                console.log(`ok   ${result.name} (${summary})`);
+            } else {
+                writeResult(ACTUAL_DIR, result);
+                console.log(`FAIL ${result.name}: ${summary} (this run's files are in actual/)`);
+                failures++;
+            }
+        }
+    }
+    
+    if (failures > 0) {
+        console.log(`${failures} of ${results.length} scenarios failed`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
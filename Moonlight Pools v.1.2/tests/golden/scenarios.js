@@ -0,0 +1,116 @@
+// Golden-image scenarios: small grids with fixed weights, seeds and random seed, stepped a few times.
+// Shared by golden.html (shaders, NeuralCAWebGL in the browser) and run-golden.js --cpu (NeuralCACPU under Node).
+
+if (typeof module !== 'undefined' && typeof NeuralCAWebGL === 'undefined') {
+    Object.assign(globalThis, require('../../wwwroot/js/nca-webgl.js'));
+}
+
+const GOLDEN_RANDOM_SEED = 20240611; // Drives the stochastic update noise; weights and seeds don't use the engine PRNG
+
+// seeds: [x, y, radius, pattern] in texture coordinates, only patterns that don't draw random numbers
+const GOLDEN_SCENARIOS = [
+    {
+        name: 'conv-tanh',
+        gridSize: 32,
+        channels: 4,
+        steps: 16,
+        seeds: [[10, 12, 6, 'center'], [22, 20, 7, 'ring']]
+    },
+    {
+        name: 'conv-8ch-5x5-sigmoid',
+        gridSize: 32,
+        channels: 8,
+        steps: 10,
+        weightScale: 0.15,
+        setup: nca => {
+            nca.setKernel(5, 'square');
+            nca.activationFunc = 'sigmoid';
+            nca.setColorScheme('viridis');
+        },
+        seeds: [[16, 16, 10, 'spiral'], [6, 26, 5, 'checker']]
+    },
+    {
+        name: 'conv-radial-mirror-wall',
+        gridSize: { width: 40, height: 24 },
+        channels: 3,
+        steps: 12,
+        weightScale: 1.2,
+        setup: nca => {
+            nca.setKernel(7, 'radial');
+            nca.setBoundary({ x: 'mirror', y: 'wall' });
+            nca.setChannelMapping(NeuralCAWebGL.CHANNEL_MAPPING_PRESETS['hsv-magnitude']);
+            nca.setRenderParams({ threshold: 0.05, gamma: 1 });
+        },
+        seeds: [[4, 4, 6, 'cross'], [36, 12, 8, 'dot']]
+    },
+    {
+        name: 'mlp-swish',
+        gridSize: 32,
+        channels: 4,
+        steps: 12,
+        setup: nca => {
+            nca.setArchitecture('mlp', 8);
+            nca.activationFunc = 'swish';
+        },
+        seeds: [[16, 16, 9, 'ring']]
+    },
+    {
+        name: 'stochastic-blend-filters',
+        gridSize: 32,
+        channels: 2,
+        steps: 20,
+        weightScale: 0.4,
+        setup: nca => {
+            nca.setPerception('filters');
+            nca.setCellUpdate({ stochastic: true, fireRate: 0.5, aliveMask: true });
+            nca.setNeighborBlend({ enabled: true, influence: 0.4, threshold: 0.5 });
+            nca.setChannelMapping(NeuralCAWebGL.CHANNEL_MAPPING_PRESETS['rgb-abs']);
+        },
+        seeds: [[12, 14, 8, 'center'], [24, 8, 5, 'gradient']]
+    }
+];
+
+// Replace the active architecture's weights with values in [-scale, scale] from a fixed PRNG,
+// so the scenarios don't change when a weight init strategy does
+function setGoldenWeights(nca, scale) {
+    const rng = new SeededRandom(1);
+    const fill = weights => weights.map(() => (rng.next() * 2 - 1) * scale);
+    
+    if (nca.architecture === 'mlp') {
+        nca.mlpWeights = fill(new Float32Array(NeuralCAWebGL.getMlpWeightCount(nca.hiddenUnits, nca.channelSlots, nca.getPerceptionWidth())));
+        nca.uploadMlpWeights();
+    } else {
+        nca.currentWeights = fill(new Float32Array(NeuralCAWebGL.getWeightCount(nca.channelSlots, nca.getPerceptionWidth())));
+        nca.uploadWeights(nca.currentWeights);
+    }
+}
+
+// Run one scenario on an engine class; returns the final state as a snapshot and the rendered image (RGBA, top row first)
+function runGoldenScenario(Engine, scenario) {
+    const nca = new Engine(scenario.gridSize, scenario.channels, GOLDEN_RANDOM_SEED);
+    try {
+        if (scenario.setup) {
+            scenario.setup(nca);
+        }
+        setGoldenWeights(nca, scenario.weightScale ?? 0.25);
+        for (const [x, y, radius, pattern] of scenario.seeds) {
+            nca.seed(x, y, radius, pattern);
+        }
+        for (let i = 0; i < scenario.steps; i++) {
+            nca.step();
+        }
+        
+        return {
+            width: nca.gridWidth,
+            height: nca.gridHeight,
+            snapshot: nca.exportSnapshot(),
+            image: nca.renderPixels()
+        };
+    } finally {
+        nca.dispose();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GOLDEN_RANDOM_SEED, GOLDEN_SCENARIOS, setGoldenWeights, runGoldenScenario };
+}
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NeuralCAWebGL, createEngine } = require('./mock-webgl.js');
+
+function stats(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+    return { mean, std: Math.sqrt(variance), min: Math.min(...values), max: Math.max(...values) };
+}
+
+test('xavier weights are uniform within sqrt(6 / (fanIn + fanOut))', () => {
+    const nca = createEngine();
+    const fanIn = 36;
+    const fanOut = 4;
+    const limit = Math.sqrt(6 / (fanIn + fanOut));
+    const weights = new Float32Array(20000);
+    nca.initializeXavierWeights(weights, fanIn, fanOut);
+    
+    const { mean, std, min, max } = stats(Array.from(weights));
+    assert.ok(min >= -limit && max <= limit, `weights ${min}..${max} exceed ±${limit}`);
+    assert.ok(Math.abs(mean) < 0.02, `mean ${mean}`);
+    assert.ok(Math.abs(std - limit / Math.sqrt(3)) < 0.01, `std ${std}, expected ${limit / Math.sqrt(3)}`);
+});
+
+test('xavier defaults to the perception size and channel count as fan-in / fan-out', () => {
+    const nca = createEngine(32, 3);
+    assert.strictEqual(nca.getPerceptionSize(), 27);
+    const limit = Math.sqrt(6 / (27 + 3));
+    const weights = new Float32Array(5000);
+    nca.initializeXavierWeights(weights);
+    assert.ok(weights.every(w => Math.abs(w) <= limit));
+    assert.ok(weights.some(w => Math.abs(w) > limit * 0.95), 'range should reach the limit');
+});
+
+test('he weights are gaussian with std sqrt(2 / fanIn)', () => {
+    const nca = createEngine();
+    const fanIn = 36;
+    const weights = new Float32Array(20000);
+    nca.initializeHeWeights(weights, fanIn);
+    
+    const { mean, std } = stats(Array.from(weights));
+    const expected = Math.sqrt(2 / fanIn);
+    assert.ok(weights.every(Number.isFinite));
+    assert.ok(Math.abs(mean) < 0.01, `mean ${mean}`);
+    assert.ok(Math.abs(std - expected) / expected < 0.05, `std ${std}, expected ${expected}`);
+    
+    // Roughly 68% within one standard deviation
+    const inside = weights.filter(w => Math.abs(w) <= expected).length / weights.length;
+    assert.ok(Math.abs(inside - 0.683) < 0.02, `${inside} within 1 std`);
+});
+
+test('uniform weights span the weight range', () => {
+    const nca = createEngine();
+    nca.weightRange = 1.5;
+    const weights = new Float32Array(10000);
+    nca.initializeUniformWeights(weights);
+    
+    const { min, max } = stats(Array.from(weights));
+    assert.ok(min >= -1.5 && max <= 1.5);
+    assert.ok(min < -1.4 && max > 1.4);
+});
+
+test('weight constraints clamp to [min, max] and leave values inside untouched', () => {
+    const nca = createEngine();
+    nca.weightConstraints.min = -0.5;
+    nca.weightConstraints.max = 0.25;
+    const weights = Float32Array.from([-3, -0.5, -0.1, 0, 0.2, 0.25, 7, NaN]);
+    nca.applyWeightConstraints(weights);
+    
+    assert.deepStrictEqual(Array.from(weights.subarray(0, 7)), [-0.5, -0.5, Math.fround(-0.1), 0, Math.fround(0.2), 0.25, 0.25]);
+    assert.ok(Number.isNaN(weights[7]), 'NaN is passed through by Math.min / Math.max');
+});
+
+test('initializeWeights uploads constrained weights of the layout size to the GPU', () => {
+    for (const strategy of ['xavier', 'he', 'uniform', 'custom']) {
+        const nca = createEngine(32, 2, 5);
+        nca.setWeightInitStrategy(strategy);
+        nca.weightRange = 8; // wider than the constraints so uniform init has to be clamped
+        nca.initializeWeights();
+        
+        assert.strictEqual(nca.currentWeights.length, NeuralCAWebGL.getWeightCount(nca.channelSlots, 9));
+        assert.ok(nca.currentWeights.every(w => w >= nca.weightConstraints.min && w <= nca.weightConstraints.max), strategy);
+        assert.deepStrictEqual(Array.from(nca.readWeightsFromGPU()), Array.from(nca.currentWeights), strategy);
+    }
+});
+
+test('the same seed gives bit-identical weights, a different seed different ones', () => {
+    const a = createEngine(32, 4, 123);
+    const b = createEngine(32, 4, 123);
+    const c = createEngine(32, 4, 124);
+    assert.deepStrictEqual(Array.from(a.currentWeights), Array.from(b.currentWeights));
+    assert.notDeepStrictEqual(Array.from(a.currentWeights), Array.from(c.currentWeights));
+});
@@ -0,0 +1,118 @@
+// Minimal WebGL2 stand-in for running NeuralCAWebGL under Node (node --test tests/).
+// Textures keep their data and framebuffers their attachments, so uploads can be read back with
+// readPixels(); shaders compile to nothing and draw calls do nothing.
+
+const { NeuralCAWebGL, SeededRandom } = require('../wwwroot/js/nca-webgl.js');
+
+// Enums the engine does arithmetic on get their real values, every other constant a unique number
+const ENUMS = { NO_ERROR: 0, TEXTURE0: 0x84C0, COLOR_ATTACHMENT0: 0x8CE0, RED: 0x1903, RGBA: 0x1908 };
+
+function createMockWebGL() {
+    const bound = { texture: {}, framebuffer: null };
+    const enumValues = new Map(Object.entries(ENUMS));
+    
+    const componentsOf = format => format === ENUMS.RED ? 1 : 4;
+    
+    const allocate = (texture, width, height, depth, format) => {
+        Object.assign(texture, { width, height, depth, components: componentsOf(format) });
+        texture.layers = Array.from({ length: depth }, () => new Float32Array(width * height * texture.components));
+    };
+    
+    // Copy a width x height block between a tightly packed array and one texture layer
+    const copyRegion = (texture, layer, x, y, width, height, data, toTexture) => {
+        if (x < 0 || y < 0 || layer < 0 || x + width > texture.width || y + height > texture.height || layer >= texture.depth) {
+            throw new Error(`Region ${width}x${height} at (${x}, ${y}, layer ${layer}) is outside the ${texture.width}x${texture.height}x${texture.depth} texture`);
+        }
+        const components = texture.components;
+        for (let row = 0; row < height; row++) {
+            const start = ((y + row) * texture.width + x) * components;
+            const length = width * components;
+            if (toTexture) {
+                texture.layers[layer].set(data.subarray(row * length, (row + 1) * length), start);
+            } else {
+                data.set(texture.layers[layer].subarray(start, start + length), row * length);
+            }
+        }
+    };
+    
+    const gl = {
+        getParameter: name => name === context.MAX_TEXTURE_SIZE ? 16384 : name === context.MAX_DRAW_BUFFERS ? 8 : 'mock',
+        getExtension: () => ({}),
+        getSupportedExtensions: () => [],
+        getError: () => ENUMS.NO_ERROR,
+        getShaderParameter: () => true,
+        getProgramParameter: () => true,
+        getShaderInfoLog: () => '',
+        getProgramInfoLog: () => '',
+        getUniformLocation: (program, name) => ({ name }),
+        getAttribLocation: () => 0,
+        checkFramebufferStatus: () => context.FRAMEBUFFER_COMPLETE,
+        
+        createTexture: () => ({}),
+        bindTexture: (target, texture) => { bound.texture[target] = texture; },
+        texImage2D: (target, level, internalFormat, width, height, border, format) => {
+            allocate(bound.texture[target], width, height, 1, format);
+        },
+        texImage3D: (target, level, internalFormat, width, height, depth, border, format) => {
+            allocate(bound.texture[target], width, height, depth, format);
+        },
+        texSubImage2D: (target, level, x, y, width, height, format, type, data) => {
+            copyRegion(bound.texture[target], 0, x, y, width, height, Float32Array.from(data), true);
+        },
+        texSubImage3D: (target, level, x, y, layer, width, height, depth, format, type, data) => {
+            copyRegion(bound.texture[target], layer, x, y, width, height, Float32Array.from(data), true);
+        },
+        
+        createFramebuffer: () => ({ attachments: {}, readAttachment: ENUMS.COLOR_ATTACHMENT0 }),
+        bindFramebuffer: (target, framebuffer) => { bound.framebuffer = framebuffer; },
+        framebufferTexture2D: (target, attachment, textureTarget, texture) => {
+            bound.framebuffer.attachments[attachment] = { texture, layer: 0 };
+        },
+        framebufferTextureLayer: (target, attachment, texture, level, layer) => {
+            bound.framebuffer.attachments[attachment] = { texture, layer };
+        },
+        readBuffer: attachment => {
+            if (bound.framebuffer) bound.framebuffer.readAttachment = attachment;
+        },
+        readPixels: (x, y, width, height, format, type, data) => {
+            const { texture, layer } = bound.framebuffer.attachments[bound.framebuffer.readAttachment];
+            copyRegion(texture, layer, x, y, width, height, data, false);
+        }
+    };
+    
+    // Anything else: UPPER_CASE names are enums, the rest are no-op calls returning an empty object
+    const context = new Proxy(gl, {
+        get(target, name) {
+            if (name in target) return target[name];
+            if (typeof name !== 'string') return undefined;
+            if (/^[A-Z0-9_]+$/.test(name)) {
+                if (!enumValues.has(name)) enumValues.set(name, 0x10000 + enumValues.size);
+                return enumValues.get(name);
+            }
+            return () => ({});
+        }
+    });
+    return context;
+}
+
+global.document = global.document || {
+    createElement: () => ({ width: 0, height: 0, getContext: () => createMockWebGL() })
+};
+
+// Engine on the mock context, with its initialization logging silenced
+function createEngine(gridSize = 32, numChannels = 4, randomSeed = 1) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return new NeuralCAWebGL(gridSize, numChannels, randomSeed);
+    } finally {
+        console.log = log;
+    }
+}
+
+// PRNG stand-in returning a fixed value, to make a mutation's choices predictable
+function fixedRandom(value) {
+    return { next: () => value };
+}
+
+module.exports = { NeuralCAWebGL, SeededRandom, createEngine, fixedRandom };
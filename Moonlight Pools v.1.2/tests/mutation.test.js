@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, fixedRandom } = require('./mock-webgl.js');
+
+const ROW_SIZE = 36; // 9 kernel positions x 4 channel slots
+
+// Indices whose value differs between two weight arrays
+function changedIndices(before, after) {
+    const changed = [];
+    for (let i = 0; i < before.length; i++) {
+        if (before[i] !== after[i]) changed.push(i);
+    }
+    return changed;
+}
+
+test('conv weight groups follow (outChannel * 36) + (kernelPos * numChannels) + inChannel', () => {
+    const nca = createEngine(32, 4);
+    const groups = nca.getWeightGroups();
+    assert.strictEqual(groups.length, 4);
+    
+    groups.forEach((group, outChannel) => {
+        assert.strictEqual(group.outChannel, outChannel);
+        const expected = [];
+        for (let kernelPos = 0; kernelPos < 9; kernelPos++) {
+            for (let inChannel = 0; inChannel < 4; inChannel++) {
+                expected.push((outChannel * ROW_SIZE) + (kernelPos * 4) + inChannel);
+            }
+        }
+        assert.deepStrictEqual(group.indices, expected);
+    });
+});
+
+test('with fewer channels each row keeps its 36-value stride but only numChannels inputs per position', () => {
+    const nca = createEngine(32, 2);
+    assert.strictEqual(nca.channelSlots, 4);
+    const groups = nca.getWeightGroups();
+    
+    assert.strictEqual(groups.length, 4);
+    assert.deepStrictEqual(groups[1].indices.slice(0, 4), [36, 37, 38, 39]);
+    assert.strictEqual(groups[1].indices[17], 36 + 8 * 2 + 1);
+    assert.strictEqual(groups[1].indices.length, 18);
+});
+
+test('kernel mutation mask drops the masked positions from every group', () => {
+    const nca = createEngine(32, 4);
+    nca.setKernelMutationMask(4, false);
+    nca.setKernelMutationMask(0, false);
+    
+    for (const group of nca.getWeightGroups()) {
+        const base = group.outChannel * ROW_SIZE;
+        const positions = new Set(group.indices.map(i => Math.floor((i - base) / 4)));
+        assert.deepStrictEqual([...positions], [1, 2, 3, 5, 6, 7, 8]);
+    }
+});
+
+test('masked output channels and kernel positions never change, for every pattern', () => {
+    for (const pattern of ['uniform', 'gaussian', 'selective', 'spatial', 'temporal']) {
+        const nca = createEngine(32, 4, 11);
+        nca.mutationRate = 1;
+        nca.mutationStrength = 0.5;
+        nca.setChannelMutationMask(1, false);
+        nca.setChannelMutationMask(3, false);
+        nca.setKernelMutationMask(4, false);
+        
+        const before = nca.readWeightsFromGPU();
+        nca.mutateWeights(pattern);
+        const after = nca.readWeightsFromGPU();
+        const changed = changedIndices(before, after);
+        
+        assert.ok(changed.length > 0, `${pattern} changed nothing`);
+        for (const index of changed) {
+            const outChannel = Math.floor(index / ROW_SIZE);
+            const kernelPos = Math.floor((index % ROW_SIZE) / 4);
+            assert.ok(outChannel === 0 || outChannel === 2, `${pattern} changed masked channel ${outChannel} (index ${index})`);
+            assert.notStrictEqual(kernelPos, 4, `${pattern} changed the masked centre position (index ${index})`);
+        }
+    }
+});
+
+test('weights outside the group layout never change', () => {
+    const nca = createEngine(32, 2, 3);
+    nca.mutationRate = 1;
+    const allowed = new Set(nca.getWeightGroups().flatMap(group => group.indices));
+    
+    const before = nca.readWeightsFromGPU();
+    nca.mutateWeights('uniform');
+    const changed = changedIndices(before, nca.readWeightsFromGPU());
+    
+    assert.ok(changed.length > 0);
+    assert.deepStrictEqual(changed.filter(index => !allowed.has(index)), []);
+});
+
+test('spatial mutation shifts a whole group by the same amount', () => {
+    const nca = createEngine(32, 4);
+    nca.mutationRate = 0.5;
+    nca.mutationStrength = 0.2;
+    nca.weightRange = 2;
+    nca.setChannelMutationMask(2, false);
+    nca.rng.mutation = fixedRandom(0); // Always takes the whole-group branch, with the most negative shift
+    
+    const weights = new Float32Array(nca.currentWeights.length);
+    nca.applySpatialMutation(weights);
+    
+    const shift = Math.fround(-0.5 * 0.2 * 2);
+    for (const group of nca.getWeightGroups()) {
+        const expected = group.outChannel === 2 ? 0 : shift;
+        for (const index of group.indices) {
+            assert.strictEqual(weights[index], expected, `index ${index}`);
+        }
+    }
+});
+
+test('temporal mutation strength decays with mutationDecay per 1000 steps', () => {
+    const nca = createEngine(32, 4);
+    nca.mutationRate = 1;
+    nca.mutationStrength = 0.25;
+    nca.mutationDecay = 0.5;
+    nca.weightRange = 1;
+    nca.rng.mutation = fixedRandom(0);
+    
+    for (const [stepCount, strength] of [[0, 0.25], [1000, 0.125], [2000, 0.0625]]) {
+        nca.stepCount = stepCount;
+        const weights = new Float32Array(nca.currentWeights.length);
+        nca.applyTemporalMutation(weights);
+        assert.strictEqual(weights[0], Math.fround(-strength), `after ${stepCount} steps`);
+    }
+});
+
+test('selective mutation favours small weights: probability rate * (1 + e^-|w|)', () => {
+    const nca = createEngine(32, 4);
+    nca.mutationRate = 0.3;
+    nca.mutationStrength = 0.5;
+    nca.weightRange = 1;
+    // 0.45 < 0.3 * (1 + e^-|w|) exactly when |w| < ln 2; the step is then (0.45 * 2 - 1) * 0.5
+    nca.rng.mutation = fixedRandom(0.45);
+    
+    const weights = Float32Array.from({ length: nca.currentWeights.length }, (_, i) => (i % 2 ? 1 : -1) * (i % 10) * 0.1);
+    const before = weights.slice();
+    nca.applySelectiveMutation(weights);
+    
+    for (const index of nca.getWeightGroups().flatMap(group => group.indices)) {
+        if (Math.abs(before[index]) < Math.LN2) {
+            assert.strictEqual(weights[index], Math.fround(before[index] - 0.05), `index ${index} (${before[index]})`);
+        } else {
+            assert.strictEqual(weights[index], before[index], `index ${index} (${before[index]}) should not mutate`);
+        }
+    }
+});
+
+test('mutation keeps weights inside the constraints and in sync with the GPU copy', () => {
+    const nca = createEngine(32, 3, 9);
+    nca.mutationRate = 1;
+    nca.mutationStrength = 1;
+    nca.weightRange = 6;
+    
+    for (let i = 0; i < 5; i++) {
+        nca.mutateWeights('gaussian');
+    }
+    const weights = nca.readWeightsFromGPU();
+    assert.ok(weights.every(w => w >= nca.weightConstraints.min && w <= nca.weightConstraints.max));
+    assert.deepStrictEqual(Array.from(weights), Array.from(nca.currentWeights));
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NeuralCAWebGL, createEngine } = require('./mock-webgl.js');
+
+// importRule logs the schema versions it migrated between
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+// A rule as the first exported format (v1) wrote it, for a 2 channel 3x3 world
+function versionOneRule() {
+    return {
+        format: NeuralCAWebGL.RULE_FORMAT,
+        version: 1,
+        created: '2025-01-01T00:00:00.000Z',
+        numChannels: 2,
+        activationFunc: 'tanh',
+        activationParams: {
+            tanh: { scale: 1.0, bias: 0.0 },
+            relu: { leak: 0.01, threshold: 0.0 },
+            sigmoid: { scale: 1.0, bias: 0.0 },
+            swish: { beta: 1.0 },
+            gelu: { alpha: 1.0 }
+        },
+        weightRange: 2.0,
+        updateRate: 0.05,
+        stepsPerFrame: 2,
+        weightInitStrategy: 'xavier',
+        weightConstraints: { min: -4.0, max: 4.0, l1Penalty: 0.001, l2Penalty: 0.001 },
+        channelWeightScales: [1.0, 1.0, 1.0, 1.0],
+        kernelWeightScales: Array(9).fill(1.0),
+        mutation: {
+            rate: 0.05,
+            strength: 0.1,
+            pattern: 'uniform',
+            decay: 0.98,
+            channelMask: [true, true, true, true],
+            kernelMask: Array(9).fill(true)
+        },
+        weights: Array.from({ length: 144 }, (_, i) => Math.fround(Math.sin(i) * 0.5))
+    };
+}
+
+function withoutCreated(rule) {
+    const { created, ...rest } = rule;
+    return rest;
+}
+
+test('an exported rule survives JSON and importRule exactly', () => {
+    const source = createEngine(32, 4, 7);
+    quietly(() => {
+        source.setKernel(5, 'radial');
+        source.mutateWeights();
+        source.setBoundary({ x: 'wall', y: 'mirror', wallValue: [0.5, 0, 0, 0] });
+        source.setNeighborBlend({ enabled: true, influence: 0.4, threshold: 1.5 });
+        source.setMaskSettings({ sourceValue: [0.25, -0.5, 0, 1], sinkRate: 0.05 });
+        source.setKernelMutationMask(3, false);
+    });
+    const exported = source.exportRule();
+    
+    const target = createEngine(32, 4, 99);
+    quietly(() => target.importRule(JSON.parse(JSON.stringify(exported))));
+    
+    assert.deepStrictEqual(withoutCreated(target.exportRule()), withoutCreated(exported));
+    assert.deepStrictEqual(Array.from(target.readWeightsFromGPU()), Array.from(source.currentWeights));
+});
+
+test('a v1 rule is migrated to the current schema with the defaults of each step', () => {
+    const original = versionOneRule();
+    const migrated = NeuralCAWebGL.migrateRule(original);
+    
+    assert.strictEqual(migrated.version, NeuralCAWebGL.RULE_FORMAT_VERSION);
+    assert.doesNotThrow(() => NeuralCAWebGL.validateRule(migrated));
+    assert.strictEqual(migrated.updateRate, undefined);
+    assert.deepStrictEqual(migrated.channelUpdateRates, [0.05, 0.05, 0.05, 0.05]);
+    assert.deepStrictEqual(migrated.channelBiases, [0, 0, 0, 0]);
+    assert.strictEqual(migrated.render.colorScheme, 'auto');
+    assert.deepStrictEqual(migrated.boundary, NeuralCAWebGL.DEFAULT_BOUNDARY);
+    assert.deepStrictEqual(migrated.kernel, { size: 3, shape: 'square' });
+    assert.deepStrictEqual(migrated.architecture, { type: 'conv', hiddenUnits: 16 });
+    assert.strictEqual(migrated.neighborBlend.enabled, true); // Blending was always on with 2+ channels
+    assert.deepStrictEqual(migrated.maskSettings, NeuralCAWebGL.DEFAULT_MASK_SETTINGS);
+    assert.deepStrictEqual(migrated.weights, original.weights);
+    
+    // The caller's object is left as it was
+    assert.deepStrictEqual(original, versionOneRule());
+});
+
+test('a migrated v1 rule loads into an engine', () => {
+    const nca = createEngine(32, 2);
+    quietly(() => nca.importRule(versionOneRule()));
+    
+    assert.deepStrictEqual(Array.from(nca.currentWeights), versionOneRule().weights);
+    assert.deepStrictEqual(nca.channelUpdateRates, [0.05, 0.05, 0.05, 0.05]);
+});
+
+test('files that are not rule objects, or have no usable version, are rejected', () => {
+    const current = NeuralCAWebGL.RULE_FORMAT_VERSION;
+    const cases = [
+        [[1, 2, 3], /must contain a JSON object/],
+        [null, /must contain a JSON object/],
+        [{ ...versionOneRule(), format: 'something-else' }, /Not a Moonlight Pools rule file/],
+        [{ weights: Array(144).fill(0) }, /Not a Moonlight Pools rule file/],
+        [{ ...versionOneRule(), version: undefined }, /Invalid rule schema version/],
+        [{ ...versionOneRule(), version: 0 }, /Invalid rule schema version/],
+        [{ ...versionOneRule(), version: 1.5 }, /Invalid rule schema version/],
+        [{ ...versionOneRule(), version: current + 1 }, new RegExp(`schema v${current + 1}, but this build only supports up to v${current}`)]
+    ];
+    
+    for (const [rule, message] of cases) {
+        assert.throws(() => NeuralCAWebGL.migrateRule(rule), message);
+    }
+});
+
+test('malformed rules fail validation', () => {
+    const valid = () => NeuralCAWebGL.migrateRule(versionOneRule());
+    const cases = [
+        [rule => { rule.weights = rule.weights.slice(1); }, /"weights" must be an array of 144 numbers/],
+        [rule => { rule.weights[5] = 'x'; }, /"weights\[5\]" is not a finite number/],
+        [rule => { rule.activationFunc = 'softmax'; }, /Unknown activation function "softmax"/],
+        [rule => { rule.numChannels = 17; }, /"numChannels" must be an integer from 1 to 16/],
+        [rule => { rule.mutation.kernelMask = [true]; }, /"mutation.kernelMask" must be an array of 9 booleans/],
+        [rule => { rule.neighborBlend.threshold = 3; }, /"neighborBlend.threshold" must be in \[0, 2\]/],
+        [rule => { rule.maskSettings.sinkRate = -1; }, /"maskSettings.sinkRate" must be in \[0, 1\]/],
+        [rule => { rule.kernel = { size: 4, shape: 'square' }; }, /"kernel" must have a size of 3, 5, 7/]
+    ];
+    
+    for (const [corrupt, message] of cases) {
+        const rule = valid();
+        corrupt(rule);
+        assert.throws(() => NeuralCAWebGL.validateRule(rule), message);
+    }
+});
+
+test('a rejected rule leaves the running rule untouched', () => {
+    const nca = createEngine(32, 2);
+    const before = nca.exportRule();
+    const broken = { ...before, weights: before.weights.slice(0, 10) };
+    
+    assert.throws(() => quietly(() => nca.importRule(broken)), /"weights" must be an array/);
+    assert.deepStrictEqual(nca.exportRule().weights, before.weights);
+    assert.strictEqual(nca.weightHistory.length, 1);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SeededRandom, createEngine } = require('./mock-webgl.js');
+
+// Cells (texture coordinates) holding any non-zero value
+function activeCells(nca) {
+    const state = nca.readState();
+    const cells = [];
+    for (let y = 0; y < nca.gridHeight; y++) {
+        for (let x = 0; x < nca.gridWidth; x++) {
+            const offset = (y * nca.gridWidth + x) * nca.valuesPerCell;
+            if (state.subarray(offset, offset + nca.valuesPerCell).some(v => v !== 0)) {
+                cells.push({ x, y });
+            }
+        }
+    }
+    return cells;
+}
+
+function clearState(nca) {
+    nca.writeState(new Float32Array(nca.gridWidth * nca.gridHeight * nca.valuesPerCell));
+}
+
+test('clampSeedRadius rounds and keeps the radius between 1 and half the smaller side', () => {
+    const nca = createEngine({ width: 48, height: 20 });
+    assert.strictEqual(nca.clampSeedRadius(100), 10);
+    assert.strictEqual(nca.clampSeedRadius(10), 10);
+    assert.strictEqual(nca.clampSeedRadius(3.6), 4);
+    assert.strictEqual(nca.clampSeedRadius(0.2), 1);
+    assert.strictEqual(nca.clampSeedRadius(-5), 1);
+});
+
+test('seeds near and past the edges are shifted inside the grid', () => {
+    const nca = createEngine({ width: 40, height: 24 });
+    const radius = 6;
+    const positions = [[0, 0], [39, 23], [-15, 30], [60, -4], [2, 21], [38, 1], [20, 12]];
+    
+    for (const [x, y] of positions) {
+        clearState(nca);
+        nca.seed(x, y, radius, 'center'); // The mock throws on writes outside the texture
+        
+        const left = Math.max(0, Math.min(40 - radius * 2, x - radius));
+        const bottom = Math.max(0, Math.min(24 - radius * 2, y - radius));
+        const cells = activeCells(nca);
+        assert.ok(cells.length > 0, `seed at (${x}, ${y}) wrote nothing`);
+        for (const cell of cells) {
+            assert.ok(cell.x >= left && cell.x < left + radius * 2 && cell.y >= bottom && cell.y < bottom + radius * 2,
+                `seed at (${x}, ${y}) set cell (${cell.x}, ${cell.y}) outside its block at (${left}, ${bottom})`);
+        }
+    }
+});
+
+test('an oversized seed is clamped to fit the grid', () => {
+    const nca = createEngine({ width: 32, height: 16 });
+    clearState(nca);
+    nca.seed(30, 2, 50, 'random');
+    
+    const cells = activeCells(nca);
+    assert.ok(cells.some(cell => cell.y === 0) && cells.some(cell => cell.y === 15), 'radius 8 block should span the full height');
+    assert.ok(cells.every(cell => cell.x >= 16), 'block should sit against the right edge');
+});
+
+test('only cells within the radius of the block centre are written', () => {
+    const nca = createEngine(32, 4, 7);
+    const radius = 7;
+    clearState(nca);
+    nca.seed(16, 16, radius, 'random');
+    
+    const cells = activeCells(nca);
+    let expected = 0;
+    for (let dy = -radius; dy < radius; dy++) {
+        for (let dx = -radius; dx < radius; dx++) {
+            if (Math.sqrt(dx * dx + dy * dy) <= radius) expected++;
+        }
+    }
+    assert.strictEqual(cells.length, expected);
+    for (const { x, y } of cells) {
+        const dx = x - 16;
+        const dy = y - 16;
+        assert.ok(Math.sqrt(dx * dx + dy * dy) <= radius, `cell (${x}, ${y}) is outside the circle`);
+    }
+});
+
+test('seed patterns only fill the first four active channels', () => {
+    for (const numChannels of [1, 3, 6]) {
+        const nca = createEngine(32, numChannels, 2);
+        clearState(nca);
+        for (const pattern of ['random', 'center', 'ring', 'gradient', 'checker', 'spiral', 'cross', 'dot']) {
+            nca.seed(16, 16, 8, pattern);
+        }
+        
+        const state = nca.readState();
+        const filled = Math.min(4, numChannels);
+        for (let c = 0; c < nca.valuesPerCell; c++) {
+            let any = false;
+            for (let i = c; i < state.length; i += nca.valuesPerCell) {
+                any = any || state[i] !== 0;
+            }
+            assert.strictEqual(any, c < filled, `${numChannels} channels: channel ${c}`);
+        }
+    }
+});
+
+test('reset clears the state and places the same seeds for the same random seed', () => {
+    const seed = SeededRandom.parseSeed('moonlight');
+    const a = createEngine(64, 4, seed);
+    const b = createEngine(64, 4, seed);
+    const c = createEngine(64, 4, seed + 1);
+    for (const nca of [a, b, c]) {
+        nca.seed(2, 2, 3, 'center'); // Leftover state reset has to clear
+        nca.reset();
+    }
+    
+    const stateA = a.readState();
+    assert.deepStrictEqual(Array.from(stateA), Array.from(b.readState()));
+    assert.notDeepStrictEqual(Array.from(stateA), Array.from(c.readState()));
+    assert.strictEqual(a.stepCount, 0);
+    
+    // Seeds land within the central spread around the middle of the grid, not at the corner
+    const cells = activeCells(a);
+    assert.ok(cells.length > 0);
+    assert.ok(cells.every(cell => cell.x > 4 && cell.y > 4), 'the corner seed should have been cleared');
+});
+
+test('fixed seed count, radius and pattern are honoured by reset', () => {
+    const nca = createEngine(64, 4, 5);
+    nca.seedCount = 1;
+    nca.seedRadius = 4;
+    nca.seedPattern = 'dot';
+    nca.reset();
+    
+    const cells = activeCells(nca);
+    const xs = cells.map(cell => cell.x);
+    const ys = cells.map(cell => cell.y);
+    assert.ok(Math.max(...xs) - Math.min(...xs) < 8 && Math.max(...ys) - Math.min(...ys) < 8, 'one seed block of radius 4');
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NeuralCAWebGL, SeededRandom, createEngine } = require('./mock-webgl.js');
+
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+// An engine with arbitrary state, mask cells and step count, as a running world would have
+function createWorld(gridSize = 24, numChannels = 4) {
+    const nca = createEngine(gridSize, numChannels, 5);
+    const random = new SeededRandom(11);
+    const state = new Float32Array(nca.gridWidth * nca.gridHeight * nca.valuesPerCell).map(() => random.next() * 2 - 1);
+    nca.writeState(state);
+    nca.paintMask(4, 4, 3, 'obstacle');
+    nca.paintMask(12, 12, 2, 'source');
+    nca.paintMask(20, 6, 2, 'sink');
+    nca.setMaskSettings({ sourceValue: [0.5, 0.5, 0, 0], sinkRate: 0.25 });
+    nca.stepCount = 40000;
+    return nca;
+}
+
+// Rewrite a current snapshot the way format v1 stored it: no mask layer after the state
+function toVersionOne(buffer) {
+    const snapshot = NeuralCAWebGL.decodeSnapshot(buffer);
+    const v1 = buffer.slice(0, buffer.byteLength - snapshot.width * snapshot.height);
+    new DataView(v1).setUint16(4, 1, true);
+    return v1;
+}
+
+test('a snapshot decodes to the header, rule, state and mask it was saved with', () => {
+    const nca = createWorld({ width: 24, height: 16 }, 8);
+    const snapshot = NeuralCAWebGL.decodeSnapshot(nca.exportSnapshot());
+    
+    assert.strictEqual(snapshot.version, NeuralCAWebGL.SNAPSHOT_FORMAT_VERSION);
+    assert.strictEqual(snapshot.width, 24);
+    assert.strictEqual(snapshot.height, 16);
+    assert.strictEqual(snapshot.valuesPerCell, 8);
+    assert.strictEqual(snapshot.stepCount, 40000);
+    assert.deepStrictEqual(snapshot.rule.weights, Array.from(nca.currentWeights));
+    assert.deepStrictEqual(snapshot.state, nca.readState());
+    assert.deepStrictEqual(snapshot.mask, nca.maskData);
+    assert.deepStrictEqual(new Set(snapshot.mask), new Set([0, 1, 2, 3]));
+});
+
+test('importSnapshot restores the world into a fresh engine', () => {
+    const source = createWorld();
+    const target = createEngine(24, 4, 9);
+    quietly(() => target.importSnapshot(source.exportSnapshot()));
+    
+    assert.deepStrictEqual(target.readState(), source.readState());
+    assert.deepStrictEqual(target.maskData, source.maskData);
+    assert.deepStrictEqual(target.maskSettings, source.maskSettings);
+    assert.deepStrictEqual(Array.from(target.currentWeights), Array.from(source.currentWeights));
+    assert.strictEqual(target.stepCount, 40000);
+});
+
+test('v1 snapshots load with an empty mask', () => {
+    const source = createWorld();
+    const v1 = toVersionOne(source.exportSnapshot());
+    const snapshot = NeuralCAWebGL.decodeSnapshot(v1);
+    assert.strictEqual(snapshot.version, 1);
+    assert.strictEqual(snapshot.mask, null);
+    assert.deepStrictEqual(snapshot.state, source.readState());
+    
+    const target = createEngine(24, 4);
+    target.paintMask(8, 8, 4, 'obstacle');
+    quietly(() => target.importSnapshot(v1));
+    assert.ok(target.maskData.every(kind => kind === 0));
+    assert.deepStrictEqual(target.readState(), source.readState());
+});
+
+test('truncated snapshots are rejected', () => {
+    const buffer = createWorld().exportSnapshot();
+    
+    assert.throws(() => NeuralCAWebGL.decodeSnapshot(buffer.slice(0, 10)), /too small to contain a header/);
+    assert.throws(() => NeuralCAWebGL.decodeSnapshot(buffer.slice(0, buffer.byteLength - 1)),
+        new RegExp(`Snapshot is ${buffer.byteLength - 1} bytes, expected ${buffer.byteLength} for a 24x24 grid`));
+    assert.throws(() => NeuralCAWebGL.decodeSnapshot(new Uint8Array(buffer)), /too small to contain a header/);
+});
+
+test('files without the snapshot magic number are rejected', () => {
+    const buffer = createWorld().exportSnapshot();
+    new Uint8Array(buffer).set([0x50, 0x4B, 0x03, 0x04]); // A zip header
+    
+    assert.throws(() => NeuralCAWebGL.decodeSnapshot(buffer), /Not a Moonlight Pools snapshot file/);
+});
+
+test('unsupported versions, layouts, rule blocks and mask cells are rejected', () => {
+    const current = NeuralCAWebGL.SNAPSHOT_FORMAT_VERSION;
+    const corrupt = (change) => {
+        const buffer = createWorld().exportSnapshot();
+        change(new DataView(buffer), buffer);
+        return buffer;
+    };
+    
+    assert.throws(() => NeuralCAWebGL.decodeSnapshot(corrupt(view => view.setUint16(4, current + 1, true))),
+        new RegExp(`format v${current + 1}, but this build only supports up to v${current}`));
+    assert.throws(() => NeuralCAWebGL.decodeSnapshot(corrupt(view => view.setUint16(6, 6, true))), /Unsupported snapshot layout/);
+    assert.throws(() => NeuralCAWebGL.decodeSnapshot(corrupt((view, buffer) => {
+        new Uint8Array(buffer, NeuralCAWebGL.SNAPSHOT_HEADER_LENGTH, 1)[0] = 0x7E;
+    })), /rule block is not valid JSON/);
+    assert.throws(() => NeuralCAWebGL.decodeSnapshot(corrupt((view, buffer) => {
+        new Uint8Array(buffer)[buffer.byteLength - 1] = 9;
+    })), /mask contains unknown cell kinds/);
+});
+
+test('a snapshot for another grid size is refused before anything is imported', () => {
+    const buffer = createWorld().exportSnapshot();
+    const target = createEngine(32, 4);
+    const weights = Array.from(target.currentWeights);
+    
+    assert.throws(() => quietly(() => target.importSnapshot(buffer)), /Snapshot grid is 24x24, but the engine grid is 32x32/);
+    assert.deepStrictEqual(Array.from(target.currentWeights), weights);
+});
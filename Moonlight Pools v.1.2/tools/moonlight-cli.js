@@ -0,0 +1,294 @@
+// Headless batch runs: simulate a rule on the CPU engine (NeuralCACPU) under Node and write
+// PNG frames, the final state as a snapshot the app can load, and a metrics JSON.
+//
+//     node tools/moonlight-cli.js --rule my-rule.json --size 256 --steps 1000 --seed 42 --out runs/my-rule
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { NeuralCACPU } = require('../wwwroot/js/nca-cpu.js');
+const { NeuralCAWebGL, SeededRandom } = require('../wwwroot/js/nca-webgl.js');
+
+const USAGE = `Usage: node tools/moonlight-cli.js [options]
+  
+  --rule <file>          Rule JSON saved with EXPORT_RULE (default: a fresh rule from --seed)
+  --channels <n>         Channel count of a fresh rule (default 2; not with --rule)
+  --mutate <n>           Mutate the rule n times with its own mutation settings before running (default 0)
+  --size <n | WxH>       Grid size, ${NeuralCAWebGL.MIN_GRID_SIZE} to ${NeuralCAWebGL.MAX_GRID_SIZE} per side (default 256)
+  --steps <n>            Steps to simulate (default 1000)
+  --seed <n | text>      Random seed for weights, mutation, seeding and stochastic updates (default: random)
+  --pattern <name>       Seed pattern placed on reset: auto, ${NeuralCAWebGL.SEED_PATTERNS.join(', ')} (default auto)
+  --out <dir>            Output directory (default moonlight-out)
+  --frame-every <n>      Also write a PNG every n steps (default 0 = final frame only)
+  --metrics-every <n>    Sample metrics every n steps (default steps / 100)
+  --verbose              Keep the engine's console logging
+  --help                 Show this help
+`;
+
+// Cells with any channel above this magnitude count as active in the metrics
+const ACTIVE_THRESHOLD = 0.1;
+
+function parseArgs(argv) {
+    const flags = ['verbose', 'help'];
+    const options = {};
+    
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)$/.exec(argv[i]);
+        if (!match) {
+            throw new Error(`Unexpected argument "${argv[i]}"`);
+        }
+        const name = match[1].replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+        if (flags.includes(match[1])) {
+            options[name] = true;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${match[1]}`);
+        }
+    }
+    return options;
+}
+
+function parseCount(value, name, fallback, min = 0) {
+    if (value === undefined) return fallback;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < min) {
+        throw new Error(`--${name} must be an integer of at least ${min} (got "${value}")`);
+    }
+    return count;
+}
+
+function parseGridSize(value) {
+    const match = /^(\d+)(?:x(\d+))?$/i.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`--size must be N or WIDTHxHEIGHT (got "${value}")`);
+    }
+    const width = Number(match[1]);
+    const height = match[2] ? Number(match[2]) : width;
+    
+    // normalizeGridSize would clamp silently; a batch run should only ever produce the grid asked for
+    const { MIN_GRID_SIZE, MAX_GRID_SIZE } = NeuralCAWebGL;
+    if ([width, height].some(side => side < MIN_GRID_SIZE || side > MAX_GRID_SIZE)) {
+        throw new Error(`--size sides must be from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE} (got "${value}")`);
+    }
+    return { width, height };
+}
+
+// Minimal PNG encoder: 8-bit RGB, no row filtering, one zlib-compressed IDAT chunk
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'ascii');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+function encodePng(width, height, rgba) {
+    const rowLength = width * 3 + 1; // Filter byte + RGB
+    const raw = Buffer.alloc(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < 3; c++) {
+                raw[y * rowLength + 1 + x * 3 + c] = rgba[(y * width + x) * 4 + c];
+            }
+        }
+    }
+    
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Color type: RGB
+    
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Per-channel mean / standard deviation / min / max, the share of active cells and the mean
+// absolute change per value since the previous sample (null for the first one)
+function measureState(nca, state, previous) {
+    const cells = nca.gridWidth * nca.gridHeight;
+    const channels = Array.from({ length: nca.numChannels }, () => ({ sum: 0, sumSq: 0, min: Infinity, max: -Infinity }));
+    let activeCells = 0;
+    let change = 0;
+    
+    for (let cell = 0; cell < cells; cell++) {
+        let active = false;
+        for (let c = 0; c < nca.numChannels; c++) {
+            const index = cell * nca.valuesPerCell + c;
+            const value = state[index];
+            const stats = channels[c];
+            stats.sum += value;
+            stats.sumSq += value * value;
+            stats.min = Math.min(stats.min, value);
+            stats.max = Math.max(stats.max, value);
+            active = active || Math.abs(value) > ACTIVE_THRESHOLD;
+            if (previous) {
+                change += Math.abs(value - previous[index]);
+            }
+        }
+        if (active) activeCells++;
+    }
+    
+    const round = value => Number(value.toFixed(6));
+    return {
+        step: nca.stepCount,
+        activeFraction: round(activeCells / cells),
+        change: previous ? round(change / (cells * nca.numChannels)) : null,
+        channels: channels.map(({ sum, sumSq, min, max }) => {
+            const mean = sum / cells;
+            return { mean: round(mean), std: round(Math.sqrt(Math.max(0, sumSq / cells - mean * mean))), min: round(min), max: round(max) };
+        })
+    };
+}
+
+// dead: nothing above ACTIVE_THRESHOLD, static: no change between the last two samples, active otherwise
+function classifyRun(sample) {
+    if (sample.activeFraction === 0) return 'dead';
+    if (sample.change !== null && sample.change < 1e-6) return 'static';
+    return 'active';
+}
+
+function run(options) {
+    // The engine logs every initialization and mutation; keep batch output readable
+    const log = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+    
+    // Restored on errors too, so the message main() prints isn't swallowed
+    let summary;
+    try {
+        const size = NeuralCAWebGL.normalizeGridSize(parseGridSize(options.size ?? '256'));
+        const steps = parseCount(options.steps, 'steps', 1000);
+        const seed = options.seed === undefined ? SeededRandom.randomSeed() : SeededRandom.parseSeed(options.seed);
+        const frameEvery = parseCount(options.frameEvery, 'frame-every', 0);
+        const metricsEvery = parseCount(options.metricsEvery, 'metrics-every', Math.max(1, Math.round(steps / 100)), 1);
+        const mutations = parseCount(options.mutate, 'mutate', 0);
+        const outDir = path.resolve(options.out ?? 'moonlight-out');
+    
+        // Build the engine for the rule's channel count, then load the rule into it
+        if (options.rule && options.channels !== undefined) {
+            throw new Error('--channels only applies to a fresh rule; a --rule file brings its own channel count');
+        }
+        let rule = null;
+        if (options.rule) {
+            rule = NeuralCAWebGL.migrateRule(JSON.parse(fs.readFileSync(options.rule, 'utf8')));
+            NeuralCAWebGL.validateRule(rule);
+        }
+        const channels = rule ? rule.numChannels : parseCount(options.channels, 'channels', 2, 1);
+        const nca = new NeuralCACPU(size, channels, seed);
+        if (rule) {
+            nca.importRule(rule);
+        }
+        for (let i = 0; i < mutations; i++) {
+            nca.mutateWeights();
+        }
+        if (options.pattern !== undefined) {
+            if (options.pattern !== 'auto' && !NeuralCAWebGL.SEED_PATTERNS.includes(options.pattern)) {
+                throw new Error(`Unknown seed pattern "${options.pattern}"`);
+            }
+            nca.setSeedPattern(options.pattern);
+        }
+        nca.reset();
+    
+        fs.mkdirSync(outDir, { recursive: true });
+        fs.writeFileSync(path.join(outDir, 'rule.json'), JSON.stringify(nca.exportRule(), null, 2));
+    
+        const writeFrame = () => {
+            if (nca.autoExposure) {
+                nca.applyAutoExposure();
+            }
+            const file = path.join(outDir, `frame-${String(nca.stepCount).padStart(6, '0')}.png`);
+            fs.writeFileSync(file, encodePng(nca.gridWidth, nca.gridHeight, nca.renderPixels()));
+        };
+    
+        const startTime = Date.now();
+        let previous = nca.readState();
+        const samples = [measureState(nca, previous, null)];
+        if (frameEvery > 0) writeFrame();
+    
+        for (let step = 1; step <= steps; step++) {
+            nca.step();
+        
+            if (step % metricsEvery === 0 || step === steps) {
+                const state = nca.readState();
+                samples.push(measureState(nca, state, previous));
+                previous = state;
+            }
+            if (frameEvery > 0 && step % frameEvery === 0 && step !== steps) {
+                writeFrame();
+            }
+            if (step % 100 === 0) {
+                process.stderr.write(`\rstep ${step}/${steps}`);
+            }
+        }
+        writeFrame();
+        const elapsedMs = Date.now() - startTime;
+        process.stderr.write(`\r${' '.repeat(32)}\r`);
+    
+        fs.writeFileSync(path.join(outDir, 'final.mlsnap'), Buffer.from(nca.exportSnapshot()));
+    
+        const final = samples[samples.length - 1];
+        const metrics = {
+            rule: options.rule ? path.resolve(options.rule) : null,
+            seed,
+            gridWidth: nca.gridWidth,
+            gridHeight: nca.gridHeight,
+            numChannels: nca.numChannels,
+            mutations,
+            steps,
+            elapsedMs,
+            stepsPerSecond: Number((steps / Math.max(0.001, elapsedMs / 1000)).toFixed(2)),
+            status: classifyRun(final),
+            final,
+            samples
+        };
+        fs.writeFileSync(path.join(outDir, 'metrics.json'), JSON.stringify(metrics, null, 2));
+        summary = `${metrics.status}: ${steps} steps of ${nca.gridWidth}x${nca.gridHeight} in ${(elapsedMs / 1000).toFixed(1)}s -> ${outDir}`;
+    } finally {
+        console.log = log;
+    }
+    console.log(summary);
+}
+
+function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (options.help) {
+            process.stdout.write(USAGE);
+            return;
+        }
+        run(options);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { encodePng };
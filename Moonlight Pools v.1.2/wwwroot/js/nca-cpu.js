@@ -0,0 +1,453 @@
+// Pure-JavaScript Neural Cellular Automata Implementation
+
+// Under Node (see tools/moonlight-cli.js) the base engine comes from nca-webgl.js instead of an earlier <script>
+if (typeof module !== 'undefined' && typeof NeuralCAWebGL === 'undefined') {
+    Object.assign(globalThis, require('./nca-webgl.js'));
+}
+
+// NeuralCAWebGL with the compute, render and exposure shaders replaced by loops over Float32Arrays.
+// Weights, mutation, history, rule files and snapshots are inherited, so the same rule, seed and
+// steps give the same state as the GPU up to float precision. Used as the fallback engine on small
+// grids when WebGL2 is missing and as a reference to check GPU output against.
+class NeuralCACPU extends NeuralCAWebGL {
+    // Grid the fallback starts with and the largest it accepts (every step visits each cell's whole neighborhood)
+    static FALLBACK_GRID_SIZE = 256;
+    static MAX_FALLBACK_GRID_SIZE = 512;
+    
+    // Replaces the WebGL setup: two ping-pong state buffers in readState() layout
+    // (valuesPerCell floats per cell, row 0 at the bottom like the state textures)
+    initWebGL() {
+        const values = this.gridWidth * this.gridHeight * this.valuesPerCell;
+        this.stateBuffers = [new Float32Array(values), new Float32Array(values)];
+        this.currentStateIndex = 0;
+        this.convWeights = new Float32Array(NeuralCAWebGL.getWeightCount(this.channelSlots, this.getPerceptionWidth()));
+        this.uploadPalette();
+        console.log('CPU NCA initialized (no WebGL)');
+    }
+    
+    // Nothing to rebuild - step() reads the layout and weights directly
+    recreateKernelResources() {}
+    
+    // The "GPU" copies: step() reads convWeights, mlpWeights, maskData and paletteData
+    uploadWeights(weightData) {
+        this.convWeights = Float32Array.from(weightData);
+    }
+    
+    readWeightsFromGPU() {
+        return this.convWeights.slice();
+    }
+    
+    uploadMlpWeights() {}
+    
+    uploadMask() {}
+    
+    uploadPalette() {
+        this.paletteData = NeuralCAWebGL.buildPalette(this.getPaletteStops(), NeuralCAWebGL.PALETTE_SIZE);
+    }
+    
+    readStateRegion(x, y, width, height) {
+        const state = this.stateBuffers[this.currentStateIndex];
+        const rowValues = width * this.valuesPerCell;
+        const regionData = new Float32Array(height * rowValues);
+        
+        for (let row = 0; row < height; row++) {
+            const start = ((y + row) * this.gridWidth + x) * this.valuesPerCell;
+            regionData.set(state.subarray(start, start + rowValues), row * rowValues);
+        }
+        return regionData;
+    }
+    
+    writeStateRegion(x, y, width, height, regionData, stateIndex = this.currentStateIndex) {
+        const state = this.stateBuffers[stateIndex];
+        const rowValues = width * this.valuesPerCell;
+        
+        for (let row = 0; row < height; row++) {
+            const start = row * rowValues;
+            state.set(regionData.subarray(start, start + rowValues), ((y + row) * this.gridWidth + x) * this.valuesPerCell);
+        }
+    }
+    
+    // Map a neighbor coordinate on one axis into [0, size) (-1 = outside a wall), see boundaryCoord() in the compute shader
+    static boundaryCoord(p, size, mode) {
+        if (p >= 0 && p < size) return p;
+        if (mode === 0) return (p % size + size) % size;
+        if (mode === 1) return Math.max(0, Math.min(size - 1, p));
+        if (mode === 2) return p < 0 ? -p - 1 : 2 * size - p - 1;
+        return -1;
+    }
+    
+    // Integer hash of the cell and step seed, uniform in [0, 1) - bit-identical to cellNoise() in the compute shader
+    static cellNoise(x, y, seed) {
+        let h = (Math.imul(x, 1664525) ^ Math.imul(y, 22695477) ^ seed) >>> 0;
+        h = (Math.imul(h, 747796405) + 2891336453) >>> 0;
+        h = Math.imul(((h >>> ((h >>> 28) + 4)) ^ h) >>> 0, 277803737) >>> 0;
+        h = ((h >>> 22) ^ h) >>> 0;
+        return Math.fround(h) / 4294967296;
+    }
+    
+    static activate(x, func, params) {
+        switch (func) {
+            case 0: return Math.tanh(x * params[0] + params[1]);
+            case 1: return x > params[3] ? x : params[2] * x;
+            case 2: return 1 / (1 + Math.exp(-(x * params[0] + params[1])));
+            case 4: return x / (1 + Math.exp(-params[2] * x));
+            case 5: return 0.5 * x * (1 + Math.tanh(Math.sqrt(2 / 3.14159) * params[3] * (x + 0.044715 * x * x * x)));
+            default: return x;
+        }
+    }
+    
+    // One step of the compute shader's main() for every cell
+    step() {
+        // Update FPS
+        const currentTime = performance.now();
+        this.frameCount++;
+        if (currentTime - this.lastTime >= 1000) {
+            this.fps = Math.round(this.frameCount / ((currentTime - this.lastTime) / 1000));
+            this.frameCount = 0;
+            this.lastTime = currentTime;
+        }
+        
+        this.advanceAutoEvolve();
+        
+        const outputIndex = 1 - this.currentStateIndex;
+        const input = this.stateBuffers[this.currentStateIndex];
+        const output = this.stateBuffers[outputIndex];
+        const width = this.gridWidth;
+        const height = this.gridHeight;
+        const numChannels = this.numChannels;
+        const slots = this.valuesPerCell;
+        
+        const boundaryX = NeuralCAWebGL.BOUNDARY_MODES[this.boundary.x];
+        const boundaryY = NeuralCAWebGL.BOUNDARY_MODES[this.boundary.y];
+        const wallValue = this.boundary.wallValue;
+        
+        // Offset of a neighbor's first channel in the input, or -1 past a wall (reads wallValue in channels 0-3, zero in the rest)
+        const neighborOffset = (x, y) => {
+            const nx = NeuralCACPU.boundaryCoord(x, width, boundaryX);
+            const ny = NeuralCACPU.boundaryCoord(y, height, boundaryY);
+            return nx < 0 || ny < 0 ? -1 : (ny * width + nx) * slots;
+        };
+        const neighborValue = (offset, channel) => offset >= 0 ? input[offset + channel] : (channel < 4 ? wallValue[channel] : 0);
+        
+        // Cells of the window the perception reads (the fixed filters only read the 3x3 center), see perceive()
+        const kernelRadius = (this.kernelSize - 1) / 2;
+        const kernelLayout = this.getKernelLayout();
+        const kernelCellWeights = NeuralCAWebGL.getKernelCellWeights(kernelLayout);
+        const learned = this.perceptionMode !== 'filters';
+        const radius = learned ? kernelRadius : 1;
+        const neighborhood = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const cell = (dy + kernelRadius) * this.kernelSize + dx + kernelRadius;
+                if (kernelLayout[cell] < 0) continue;
+                neighborhood.push({ dx, dy, kernelPos: kernelLayout[cell], cellWeight: kernelCellWeights[cell], stencilPos: (dy + 1) * 3 + dx + 1 });
+            }
+        }
+        const filters = Object.entries(NeuralCAWebGL.PERCEPTION_FILTERS)
+            .map(([name, stencil], filter) => ({ filter, stencil, enabled: this.perceptionFilters[name] }))
+            .filter(filter => filter.enabled);
+        
+        const perceptionRow = this.getPerceptionWidth() * this.channelSlots;
+        const perceptionUsed = this.getPerceptionWidth() * numChannels;
+        const perception = new Float64Array(perceptionRow);
+        
+        const activation = this.getActivationUniforms();
+        const isMlp = this.architecture === 'mlp';
+        const units = this.hiddenUnits;
+        const mlpRow = perceptionRow + 1;
+        const mlpHidden = isMlp ? this.mlpWeights.subarray(0, units * mlpRow) : null;
+        const mlpOutput = isMlp ? this.mlpWeights.subarray(units * mlpRow) : null;
+        const mlpDelta = new Float64Array(slots);
+        
+        const { stochastic, fireRate, aliveMask, aliveChannel, aliveThreshold } = this.cellUpdate;
+        const noiseSeed = this.getUpdateNoiseSeed();
+        const blend = this.neighborBlend;
+        const [blendA, blendB] = blend.channels;
+        const { sourceValue, sinkRate } = this.maskSettings;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const cellOffset = (y * width + x) * slots;
+                
+                // Average of the blend channels over active neighbors
+                let averageA = 0;
+                let averageB = 0;
+                let activeNeighbors = 0;
+                if (blend.enabled) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const offset = neighborOffset(x + dx, y + dy);
+                            const a = neighborValue(offset, blendA);
+                            const b = neighborValue(offset, blendB);
+                            const magnitude = blendA === blendB ? Math.abs(a) : Math.hypot(a, b);
+                            if (magnitude > blend.threshold) {
+                                averageA += a;
+                                averageB += b;
+                                activeNeighbors++;
+                            }
+                        }
+                    }
+                    if (activeNeighbors > 0) {
+                        averageA /= activeNeighbors;
+                        averageB /= activeNeighbors;
+                    }
+                }
+                
+                // Cells that don't fire this step keep their state, dead cells are zeroed
+                const fires = !stochastic || NeuralCACPU.cellNoise(x, y, noiseSeed) < fireRate;
+                let alive = !aliveMask;
+                for (let dy = -1; dy <= 1 && !alive; dy++) {
+                    for (let dx = -1; dx <= 1 && !alive; dx++) {
+                        alive = neighborValue(neighborOffset(x + dx, y + dy), aliveChannel) > aliveThreshold;
+                    }
+                }
+                
+                // Perception vector: kernelPos * numChannels + inChannel, or filter * numChannels + inChannel
+                perception.fill(0);
+                for (const { dx, dy, kernelPos, cellWeight, stencilPos } of neighborhood) {
+                    const offset = neighborOffset(x + dx, y + dy);
+                    const kernelScale = this.kernelWeightScales[kernelPos];
+                    for (let ic = 0; ic < numChannels; ic++) {
+                        const value = neighborValue(offset, ic) * kernelScale;
+                        if (learned) {
+                            perception[kernelPos * numChannels + ic] += value * cellWeight;
+                        } else {
+                            for (const { filter, stencil } of filters) {
+                                perception[filter * numChannels + ic] += value * stencil[stencilPos];
+                            }
+                        }
+                    }
+                }
+                
+                // Hidden-layer perceptron: perception vector -> hidden layer (activation) -> linear output
+                if (isMlp) {
+                    mlpDelta.fill(0);
+                    for (let h = 0; h < units; h++) {
+                        let sum = mlpHidden[h * mlpRow + perceptionRow]; // Bias
+                        for (let i = 0; i < perceptionUsed; i++) {
+                            sum += perception[i] * mlpHidden[h * mlpRow + i];
+                        }
+                        const hidden = NeuralCACPU.activate(sum, activation.func, activation.params);
+                        for (let c = 0; c < numChannels; c++) {
+                            mlpDelta[c] += hidden * mlpOutput[c * units + h];
+                        }
+                    }
+                }
+                
+                for (let c = 0; c < slots; c++) {
+                    if (c >= numChannels) {
+                        output[cellOffset + c] = 0;
+                        continue;
+                    }
+                    
+                    const oldVal = input[cellOffset + c];
+                    let newVal;
+                    if (isMlp) {
+                        newVal = oldVal + (mlpDelta[c] + this.channelBiases[c]) * this.channelWeightScales[c] * this.channelUpdateRates[c];
+                    } else {
+                        let sum = 0;
+                        for (let i = 0; i < perceptionUsed; i++) {
+                            sum += perception[i] * this.convWeights[c * perceptionRow + i] * this.channelWeightScales[c];
+                        }
+                        const activated = NeuralCACPU.activate(sum + this.channelBiases[c], activation.func, activation.params);
+                        const updateRate = this.channelUpdateRates[c];
+                        newVal = oldVal * (1 - updateRate) + activated * updateRate;
+                    }
+                    
+                    // Post-update neighbor blending of the target channels
+                    if (activeNeighbors > 0) {
+                        if (c === blendA) {
+                            newVal = newVal * (1 - blend.influence) + averageA * blend.influence;
+                        } else if (c === blendB) {
+                            newVal = newVal * (1 - blend.influence) + averageB * blend.influence;
+                        }
+                    }
+                    
+                    if (!fires) {
+                        newVal = oldVal;
+                    }
+                    output[cellOffset + c] = alive ? Math.max(-1, Math.min(1, newVal)) : 0;
+                }
+                
+                // Mask layer overrides the update for obstacle, source and sink cells
+                const maskKind = this.maskData[y * width + x];
+                for (let c = 0; c < slots; c++) {
+                    if (maskKind === 1) {
+                        output[cellOffset + c] = 0;
+                    } else if (maskKind === 2) {
+                        output[cellOffset + c] = c < numChannels && c < 4 ? sourceValue[c] : 0;
+                    } else if (maskKind === 3) {
+                        output[cellOffset + c] *= 1 - sinkRate;
+                    }
+                }
+            }
+        }
+        
+        // Swap state buffers
+        this.currentStateIndex = outputIndex;
+        this.stepCount++;
+        
+        if (this.experiment) {
+            this.experiment.update();
+        }
+    }
+    
+    // Viewed channels (see viewChannels) of one cell in the ch0-ch3 slots the mapping reads
+    viewState(cellOffset) {
+        const state = this.stateBuffers[this.currentStateIndex];
+        return this.viewChannels.map(channel => state[cellOffset + channel]);
+    }
+    
+    // Source ids as in mapSource() of the render shader: 0-3 = channel mapped [-1,1] -> [0,1],
+    // 4-7 = |channel|, 8 = RMS magnitude of the active channels, 9 = one, 10 = zero
+    static mapSource(state, source, numChannels) {
+        if (source < 4) {
+            return source < numChannels ? Math.max(0, Math.min(1, (state[source] + 1) * 0.5)) : 0.5;
+        } else if (source < 8) {
+            return source - 4 < numChannels ? Math.min(1, Math.abs(state[source - 4])) : 0;
+        } else if (source === 8) {
+            let sumSq = 0;
+            for (let c = 0; c < Math.min(4, numChannels); c++) {
+                sumSq += state[c] * state[c];
+            }
+            return Math.min(1, Math.sqrt(sumSq / numChannels));
+        }
+        return source === 9 ? 1 : 0;
+    }
+    
+    static hsv2rgb(h, s, v) {
+        return [1, 2 / 3, 1 / 3].map(k => {
+            const p = Math.abs((h + k - Math.floor(h + k)) * 6 - 3);
+            return v * (1 + (Math.max(0, Math.min(1, p - 1)) - 1) * s);
+        });
+    }
+    
+    // Linear palette lookup like the LINEAR-filtered palette texture
+    samplePalette(t) {
+        const size = NeuralCAWebGL.PALETTE_SIZE;
+        const position = Math.max(0, Math.min(1, t)) * size - 0.5;
+        const lower = Math.max(0, Math.min(size - 1, Math.floor(position)));
+        const upper = Math.min(size - 1, lower + 1);
+        const mix = Math.max(0, Math.min(1, position - lower));
+        return [0, 1, 2].map(c => (this.paletteData[lower * 4 + c] * (1 - mix) + this.paletteData[upper * 4 + c] * mix) / 255);
+    }
+    
+    // Color of one cell, following the render shader's main()
+    renderCell(cellOffset, maskKind, mapping, numChannels) {
+        const { threshold, contrast } = this.renderParams;
+        const fadeRange = Math.max(0.001, this.renderParams.fadeRange);
+        const gamma = Math.max(0.01, this.renderParams.gamma);
+        const adjustBrightness = brightness => Math.min(1, Math.pow(brightness, 1 / gamma) * contrast);
+        const state = this.viewState(cellOffset);
+        const [s0, s1, s2, s3] = mapping.sources;
+        
+        let color = [0, 0, 0];
+        const magnitude = Math.hypot(...state.map((value, c) => value * mapping.channelMask[c]));
+        if (magnitude > threshold) {
+            // Smooth fade for gradient effect
+            let fade = 1;
+            if (magnitude < threshold + fadeRange) {
+                const fadeAmount = (magnitude - threshold) / fadeRange;
+                fade = fadeAmount * fadeAmount * (3 - 2 * fadeAmount);
+            }
+            
+            const source = id => NeuralCACPU.mapSource(state, id, numChannels);
+            if (mapping.colorMode === 1) {
+                color = NeuralCACPU.hsv2rgb(source(s0), source(s1), adjustBrightness(source(s2)) * fade);
+            } else if (mapping.colorMode === 2) {
+                color = [s0, s1, s2].map(id => adjustBrightness(source(id)) * source(s3) * fade);
+            } else if (numChannels >= 2) {
+                const brightness = adjustBrightness(source(s1)) * fade;
+                color = this.samplePalette(source(s0)).map(value => value * brightness);
+            } else {
+                color = this.samplePalette(adjustBrightness(source(s0)) * fade);
+            }
+        }
+        
+        // Tint mask cells: obstacles gray, sources green, sinks red
+        if (this.maskSettings.showOverlay) {
+            if (maskKind === 1) return [0.35, 0.35, 0.4];
+            if (maskKind === 2) return color.map((value, c) => value + ([0, 1, 0.3][c] - value) * 0.35);
+            if (maskKind === 3) return color.map((value, c) => value + ([1, 0.1, 0.1][c] - value) * 0.35);
+        }
+        return color;
+    }
+    
+    renderToCanvas(canvas, ctx, zoom, panX, panY) {
+        if (this.autoExposure && performance.now() - this.lastExposureTime >= NeuralCAWebGL.AUTO_EXPOSURE_INTERVAL) {
+            this.applyAutoExposure();
+        }
+        
+        // Render the grid into an offscreen 2D canvas
+        if (!this.computeCanvas) {
+            this.computeCanvas = document.createElement('canvas');
+            this.computeCanvas.width = this.gridWidth;
+            this.computeCanvas.height = this.gridHeight;
+        }
+        const computeCtx = this.computeCanvas.getContext('2d');
+        const image = computeCtx.createImageData(this.gridWidth, this.gridHeight);
+        this.renderPixels(image.data);
+        computeCtx.putImageData(image, 0, 0);
+        
+        this.drawComputeCanvas(canvas, ctx, zoom, panX, panY);
+    }
+    
+    // RGBA8 image of the whole grid as the display shows it, top row first (the state's row 0 is the bottom)
+    renderPixels(pixels = new Uint8ClampedArray(this.gridWidth * this.gridHeight * 4)) {
+        const mapping = this.getMappingUniforms();
+        const numChannels = Math.min(4, this.numChannels);
+        
+        for (let y = 0; y < this.gridHeight; y++) {
+            const row = (this.gridHeight - 1 - y) * this.gridWidth;
+            for (let x = 0; x < this.gridWidth; x++) {
+                const cell = y * this.gridWidth + x;
+                const color = this.renderCell(cell * this.valuesPerCell, this.maskData[cell], mapping, numChannels);
+                const pixel = (row + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    pixels[pixel + c] = Math.round(Math.max(0, Math.min(1, color[c])) * 255);
+                }
+                pixels[pixel + 3] = 255;
+            }
+        }
+        return pixels;
+    }
+    
+    // Same AUTO_EXPOSURE_SIZE sample grid and (magnitude, brightness) values as the exposure shader
+    measureExposure() {
+        const size = NeuralCAWebGL.AUTO_EXPOSURE_SIZE;
+        const mapping = this.getMappingUniforms();
+        const numChannels = Math.min(4, this.numChannels);
+        const [s0, s1, s2] = mapping.sources;
+        const magnitudes = new Float32Array(size * size);
+        const brightness = new Float32Array(size * size);
+        
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                const x = Math.floor((i + 0.5) / size * this.gridWidth);
+                const y = Math.floor((j + 0.5) / size * this.gridHeight);
+                const state = this.viewState((y * this.gridWidth + x) * this.valuesPerCell);
+                const source = id => NeuralCACPU.mapSource(state, id, numChannels);
+                
+                magnitudes[j * size + i] = Math.hypot(...state.map((value, c) => value * mapping.channelMask[c]));
+                if (mapping.colorMode === 1) {
+                    brightness[j * size + i] = source(s2);
+                } else if (mapping.colorMode === 2) {
+                    brightness[j * size + i] = Math.max(source(s0), source(s1), source(s2));
+                } else {
+                    brightness[j * size + i] = source(numChannels >= 2 ? s1 : s0);
+                }
+            }
+        }
+        
+        return { magnitudes: magnitudes.sort(), brightness: brightness.sort() };
+    }
+    
+    dispose() {
+        this.stateBuffers = null;
+        this.computeCanvas = null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NeuralCACPU };
+}
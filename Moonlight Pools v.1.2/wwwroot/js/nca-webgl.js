@@ -1,24 +1,437 @@
 // WebGL-accelerated Neural Cellular Automata Implementation
+
+// Seedable PRNG (mulberry32) - every random decision in the engine draws from one of these
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    // Uniform float in [0, 1), same contract as Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // Derive an independent 32-bit seed for a named stream (FNV-1a over the name, mixed with the seed)
+    static deriveSeed(seed, streamName) {
+        let hash = (0x811C9DC5 ^ seed) >>> 0;
+        for (let i = 0; i < streamName.length; i++) {
+            hash ^= streamName.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+    
+    // Turn user input into a 32-bit seed: plain integers are used as-is, anything else is hashed
+    static parseSeed(value) {
+        const text = String(value).trim();
+        if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) {
+            return Number(text);
+        }
+        return SeededRandom.deriveSeed(0, text);
+    }
+    
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+}
+
+// Scripted damage-and-regenerate run: warm up, zero a region, then track how the region
+// recovers toward its pre-damage state. Driven by NeuralCAWebGL.step() once per step.
+class RegenerationExperiment {
+    constructor(nca, options = {}) {
+        this.nca = nca;
+        this.region = options.region;
+        this.warmupSteps = options.warmupSteps ?? 200;
+        this.sampleInterval = options.sampleInterval ?? 10;
+        this.maxRecoverySteps = options.maxRecoverySteps ?? 2000;
+        this.recoveryThreshold = options.recoveryThreshold ?? 0.9;
+        
+        this.phase = 'warmup'; // warmup -> recovering -> done (or aborted)
+        this.startStep = nca.stepCount;
+        this.damageStep = null;
+        this.recoveredAfter = null;
+        this.curve = []; // { steps, recovery, activity } sampled after the damage
+        this.reference = null;
+        this.baselineError = 0;
+        this.baselineActivity = 0;
+    }
+    
+    update() {
+        if (this.phase === 'warmup') {
+            const warmedUp = this.nca.stepCount - this.startStep;
+            if (warmedUp >= this.warmupSteps) {
+                this.applyDamage();
+            } else if (warmedUp % this.sampleInterval === 0) {
+                this.notify();
+            }
+            return;
+        }
+        
+        if (this.phase !== 'recovering') return;
+        
+        const stepsSinceDamage = this.nca.stepCount - this.damageStep;
+        if (stepsSinceDamage % this.sampleInterval !== 0) return;
+        
+        const sample = this.measure();
+        this.curve.push({ steps: stepsSinceDamage, ...sample });
+        
+        if (sample.recovery >= this.recoveryThreshold) {
+            this.recoveredAfter = stepsSinceDamage;
+            this.phase = 'done';
+        } else if (stepsSinceDamage >= this.maxRecoverySteps) {
+            this.phase = 'done';
+        }
+        this.notify();
+    }
+    
+    applyDamage() {
+        const mask = this.nca.getRegionMask(this.region);
+        if (!mask) {
+            console.error('Damage region lies outside the grid');
+            this.phase = 'done';
+            this.notify();
+            return;
+        }
+        
+        this.reference = this.nca.readStateRegion(mask.x, mask.y, mask.width, mask.height);
+        this.baselineActivity = this.meanAbs(this.reference, null, mask);
+        this.nca.damage(this.region);
+        
+        // Right after damage the region is all zeros, so the error equals the reference activity
+        this.baselineError = this.baselineActivity;
+        this.damageStep = this.nca.stepCount;
+        this.phase = 'recovering';
+        this.curve.push({ steps: 0, recovery: 0, activity: 0 });
+        this.notify();
+    }
+    
+    // recovery: 1 - (mean |reference - current|) / (error right after damage); activity relative to before
+    measure() {
+        const mask = this.nca.getRegionMask(this.region);
+        const current = this.nca.readStateRegion(mask.x, mask.y, mask.width, mask.height);
+        const error = this.meanAbs(current, this.reference, mask);
+        const activity = this.meanAbs(current, null, mask);
+        
+        return {
+            recovery: this.baselineError > 0 ? 1 - error / this.baselineError : 1,
+            activity: this.baselineActivity > 0 ? activity / this.baselineActivity : 0
+        };
+    }
+    
+    meanAbs(data, reference, mask) {
+        const channels = this.nca.numChannels;
+        const stride = this.nca.valuesPerCell;
+        let sum = 0;
+        let count = 0;
+        
+        for (let i = 0; i < mask.cells.length; i++) {
+            if (!mask.cells[i]) continue;
+            for (let c = 0; c < channels; c++) {
+                sum += Math.abs(data[i * stride + c] - (reference ? reference[i * stride + c] : 0));
+            }
+            count += channels;
+        }
+        
+        return count > 0 ? sum / count : 0;
+    }
+    
+    notify() {
+        this.nca.notify('experiment', {
+            experiment: this,
+            timestamp: new Date()
+        });
+    }
+}
+
 class NeuralCAWebGL {
-    constructor(gridSize, numChannels) {
-        console.log(`Initializing WebGL NCA with grid: ${gridSize}x${gridSize}, channels: ${numChannels}`);
+    // Rule file schema - bump the version and add a migration whenever the layout changes
+    static RULE_FORMAT = 'moonlight-pools-rule';
+    static RULE_FORMAT_VERSION = 13;
+    static ACTIVATION_FUNCTIONS = ['tanh', 'relu', 'sigmoid', 'identity', 'swish', 'gelu'];
+    
+    // Built-in palettes as [position, '#rrggbb'] stops; 'custom' uses this.customPalette and 'auto'
+    // (the default) the original look: white/gray for 1 channel, the rainbow hue wheel otherwise
+    static COLOR_SCHEMES = {
+        rainbow: [[0, '#ff0000'], [1 / 6, '#ffff00'], [2 / 6, '#00ff00'], [3 / 6, '#00ffff'], [4 / 6, '#0000ff'], [5 / 6, '#ff00ff'], [1, '#ff0000']],
+        viridis: [[0, '#440154'], [0.125, '#482878'], [0.25, '#3e4989'], [0.375, '#31688e'], [0.5, '#26828e'], [0.625, '#1f9e89'], [0.75, '#35b779'], [0.875, '#6ece58'], [1, '#fde725']],
+        magma: [[0, '#000004'], [0.125, '#1c1044'], [0.25, '#4f127b'], [0.375, '#812581'], [0.5, '#b5367a'], [0.625, '#e55064'], [0.75, '#fb8761'], [0.875, '#fec287'], [1, '#fcfdbf']],
+        twilight: [[0, '#e2d9e2'], [0.125, '#9eb9cd'], [0.25, '#6a8dc6'], [0.375, '#5d53a9'], [0.5, '#2f1436'], [0.625, '#7d2a5e'], [0.75, '#c0655a'], [0.875, '#d8a48e'], [1, '#e2d9e2']],
+        grayscale: [[0, '#000000'], [1, '#ffffff']],
+        diverging: [[0, '#2166ac'], [0.25, '#67a9cf'], [0.5, '#f7f7f7'], [0.75, '#ef8a62'], [1, '#b2182b']]
+    };
+    static DEFAULT_CUSTOM_PALETTE = [[0, '#000000'], [0.5, '#00bcd4'], [1, '#ffffff']];
+    static PALETTE_SIZE = 256;
+    
+    // Channel-to-color mapping: each mode reads its slots from sources
+    // (palette: index, brightness | hsv: hue, saturation, value | rgb: red, green, blue, alpha)
+    static COLOR_MODES = { palette: 2, hsv: 3, rgb: 4 }; // mode -> slots used
+    static MAPPING_SOURCES = ['ch0', 'ch1', 'ch2', 'ch3', 'abs0', 'abs1', 'abs2', 'abs3', 'magnitude', 'one', 'zero'];
+    static CHANNEL_MAPPING_PRESETS = {
+        'palette': { mode: 'palette', sources: ['ch0', 'ch1', 'ch2', 'one'] },
+        'magnitude-palette': { mode: 'palette', sources: ['magnitude', 'one', 'ch2', 'one'] },
+        'rgb-direct': { mode: 'rgb', sources: ['ch0', 'ch1', 'ch2', 'one'] },
+        'rgb-abs': { mode: 'rgb', sources: ['abs0', 'abs1', 'abs2', 'one'] },
+        'rgba-direct': { mode: 'rgb', sources: ['ch0', 'ch1', 'ch2', 'abs3'] },
+        'hsv-ch012': { mode: 'hsv', sources: ['ch0', 'ch1', 'ch2', 'one'] },
+        'hsv-magnitude': { mode: 'hsv', sources: ['ch0', 'abs1', 'magnitude', 'one'] }
+    };
+    
+    // Render shader display tuning (threshold/fade on the mapped magnitude, contrast/gamma on brightness)
+    static DEFAULT_RENDER_PARAMS = { threshold: 0.2, fadeRange: 0.3, contrast: 1.2, gamma: 1.4 };
+    static AUTO_EXPOSURE_SIZE = 64; // Exposure is measured on an N x N sample of the state
+    static AUTO_EXPOSURE_INTERVAL = 250; // ms between measurements
+    
+    // Update rule architecture: 'conv' is the single convolution per output channel, 'mlp' feeds the
+    // perception vector through a hidden layer (hiddenUnits wide) and adds the output as a residual update.
+    // mlpWeights layout: hiddenUnits rows of [perceptionWidth * channelSlots perception weights (kernelPos * numChannels + inChannel), bias],
+    // then channelSlots rows (one per output channel) of hiddenUnits weights.
+    static ARCHITECTURES = ['conv', 'mlp'];
+    static MIN_HIDDEN_UNITS = 8;
+    static MAX_HIDDEN_UNITS = 64;
+    
+    // Perception: 'learned' gives the weights the raw neighborhood (see KERNEL_SHAPES), 'filters' gives them the
+    // responses of these fixed 3x3 stencils (kernel positions 0-8) per channel, at index filter * numChannels + inChannel
+    static PERCEPTION_MODES = ['learned', 'filters'];
+    static PERCEPTION_FILTERS = {
+        identity: [0, 0, 0, 0, 1, 0, 0, 0, 0],
+        sobelX: [-1, 0, 1, -2, 0, 2, -1, 0, 1].map(v => v / 8),
+        sobelY: [-1, -2, -1, 0, 0, 0, 1, 2, 1].map(v => v / 8),
+        laplacian: [1, 2, 1, 2, -12, 2, 1, 2, 1].map(v => v / 16)
+    };
+    
+    // Neighborhood read by learned perception: 'square' has one kernel position per cell of the
+    // size x size window, 'radial' (Lenia-style) one per ring shell - shell k averages the cells whose
+    // distance from the center rounds to k, and corner cells past the outer shell are left out.
+    // Kernel positions index kernelWeightScales, kernelMutationMask and the perception vector.
+    static KERNEL_SIZES = [3, 5, 7];
+    static KERNEL_SHAPES = ['square', 'radial'];
+    
+    // Channel layout: state lives in ceil(numChannels / 4) RGBA32F layers of an array texture, written
+    // together through multiple render targets. Weights and per-channel settings are sized by the channel
+    // slots (4 per layer, at least 4), so every world with up to 4 channels shares the original 36 x 4 layout.
+    static MAX_CHANNELS = 16;
+    static CHANNEL_COUNTS = [1, 2, 3, 4, 8, 12, 16];
+    
+    // Per-output-channel bias (added before the activation / to the MLP delta) and update rate
+    // (how far each step moves the channel toward its new value). Both are initialized and mutated
+    // with the weights; biases at BIAS_SCALE of the weight range.
+    static DEFAULT_UPDATE_RATE = 0.1;
+    static MIN_UPDATE_RATE = 0.01;
+    static BIAS_SCALE = 0.1;
+    
+    // Grid dimensions accepted by the constructor (either side; non-square grids are fine)
+    static MIN_GRID_SIZE = 16;
+    static MAX_GRID_SIZE = 4096;
+    
+    // What neighbors outside the grid look like, chosen per axis:
+    // wrap (torus), clamp (repeat the edge cell), mirror (reflect across the edge), wall (constant wallValue)
+    static BOUNDARY_MODES = { wrap: 0, clamp: 1, mirror: 2, wall: 3 };
+    static DEFAULT_BOUNDARY = { x: 'wrap', y: 'wrap', wallValue: [0, 0, 0, 0] };
+    static BOUNDARY_PRESETS = {
+        'torus': { x: 'wrap', y: 'wrap' },
+        'cylinder': { x: 'wrap', y: 'wall' },
+        'box': { x: 'wall', y: 'wall' },
+        'mirror': { x: 'mirror', y: 'mirror' },
+        'clamp': { x: 'clamp', y: 'clamp' }
+    };
+    
+    // Mask layer: per-cell kind read by the compute shader. Obstacles stay frozen at zero,
+    // sources are held at maskSettings.sourceValue and sinks drain by maskSettings.sinkRate per step.
+    // MASK_COLORS is the PNG encoding (loaded images are matched to the nearest color).
+    static MASK_KINDS = { none: 0, obstacle: 1, source: 2, sink: 3 };
+    static MASK_COLORS = { none: [0, 0, 0], obstacle: [255, 255, 255], source: [0, 255, 0], sink: [255, 0, 0] };
+    static DEFAULT_MASK_SETTINGS = { sourceValue: [1, 1, 1, 1], sinkRate: 0.1 };
+    
+    static SEED_PATTERNS = ['random', 'center', 'ring', 'gradient', 'checker', 'spiral', 'cross', 'dot'];
+    
+    // Auto-evolve mutates every 3600-7200 steps (30-60 s at 60 fps and 2 steps per frame). Counting steps
+    // rather than time keeps where the mutations land independent of the frame rate.
+    static AUTO_EVOLVE_MIN_STEPS = 3600;
+    static AUTO_EVOLVE_MAX_STEPS = 7200;
+    
+    // Cell update scheduling: with stochastic on, each cell fires with probability fireRate per step
+    // (hash noise of the cell and step, so runs stay reproducible) and keeps its state otherwise.
+    // The alive mask zeroes cells whose 3x3 neighborhood has no value above aliveThreshold in aliveChannel.
+    static DEFAULT_CELL_UPDATE = { stochastic: false, fireRate: 0.5, aliveMask: false, aliveChannel: 0, aliveThreshold: 0.1 };
+    
+    // Optional post-update stage: each of the two target channels is pulled toward its average over the
+    // active 3x3 neighbors (magnitude of the target channels above threshold) by influence.
+    // Off by default ("pure" mode); rules from before it was optional always blended channels 0 and 1.
+    static DEFAULT_NEIGHBOR_BLEND = { enabled: false, influence: 0.15, threshold: 0.3, channels: [0, 1] };
+    
+    // Binary snapshot layout: 'MLPS', u16 version, u16 values per cell, u32 width, u32 height,
+    // f64 step count, u32 rule JSON length, then the padded rule JSON, raw Float32 state and
+    // (from v2) one mask kind byte per cell
+    static SNAPSHOT_MAGIC = 'MLPS';
+    static SNAPSHOT_FORMAT_VERSION = 2;
+    static SNAPSHOT_HEADER_LENGTH = 28;
+    
+    // Rule migrations keyed by the schema version they upgrade from (v1 is the first exported format)
+    static RULE_MIGRATIONS = {
+        // v1 -> v2: render palette
+        1: (rule) => ({
+            ...rule,
+            version: 2,
+            render: {
+                colorScheme: 'auto',
+                customPalette: NeuralCAWebGL.DEFAULT_CUSTOM_PALETTE.map(stop => stop.slice()),
+                ...rule.render
+            }
+        }),
+        // v2 -> v3: channel-to-color mapping
+        2: (rule) => ({
+            ...rule,
+            version: 3,
+            render: {
+                channelMapping: NeuralCAWebGL.copyChannelMapping(NeuralCAWebGL.CHANNEL_MAPPING_PRESETS.palette),
+                ...rule.render
+            }
+        }),
+        // v3 -> v4: display tuning (the old hardcoded shader constants)
+        3: (rule) => ({
+            ...rule,
+            version: 4,
+            render: {
+                params: { ...NeuralCAWebGL.DEFAULT_RENDER_PARAMS },
+                autoExposure: false,
+                ...rule.render
+            }
+        }),
+        // v4 -> v5: boundary conditions (everything used to be a torus)
+        4: (rule) => ({
+            ...rule,
+            version: 5,
+            boundary: {
+                ...NeuralCAWebGL.copyBoundary(NeuralCAWebGL.DEFAULT_BOUNDARY),
+                ...rule.boundary
+            }
+        }),
+        // v5 -> v6: mask source value and sink rate (they were engine settings that rules didn't carry)
+        5: (rule) => ({
+            maskSettings: NeuralCAWebGL.copyMaskSettings(NeuralCAWebGL.DEFAULT_MASK_SETTINGS),
+            ...rule,
+            version: 6
+        }),
+        // v6 -> v7: architecture selection (older rules are all single-convolution)
+        6: (rule) => ({
+            architecture: { type: 'conv', hiddenUnits: 16 },
+            mlpWeights: null,
+            ...rule,
+            version: 7
+        }),
+        // v7 -> v8: fixed perception filters (older rules all learn the raw 3x3 kernel)
+        7: (rule) => ({
+            perception: { mode: 'learned', filters: NeuralCAWebGL.allPerceptionFilters() },
+            ...rule,
+            version: 8
+        }),
+        // v8 -> v9: visible channel selection (older rules had at most 4 channels, all shown)
+        8: (rule) => ({
+            ...rule,
+            render: { viewChannels: [0, 1, 2, 3], ...rule.render },
+            version: 9
+        }),
+        // v9 -> v10: per-channel biases and update rates (the single updateRate applied to every channel, with no bias)
+        9: ({ updateRate, ...rule }) => {
+            const channelSlots = Array.isArray(rule.channelWeightScales) ? rule.channelWeightScales.length : 4;
+            return {
+                channelBiases: Array(channelSlots).fill(0),
+                channelUpdateRates: Array(channelSlots).fill(updateRate),
+                ...rule,
+                version: 10
+            };
+        },
+        // v10 -> v11: stochastic updates and the alive mask (every cell used to update every step)
+        10: (rule) => ({
+            cellUpdate: { ...NeuralCAWebGL.DEFAULT_CELL_UPDATE },
+            ...rule,
+            version: 11
+        }),
+        // v11 -> v12: neighborhood size and shape (older rules are all 3x3)
+        11: (rule) => ({
+            kernel: { size: 3, shape: 'square' },
+            ...rule,
+            version: 12
+        }),
+        // v12 -> v13: optional neighbor blending (it used to be hardcoded on whenever there were 2+ channels)
+        12: (rule) => ({
+            neighborBlend: {
+                ...NeuralCAWebGL.copyNeighborBlend(NeuralCAWebGL.DEFAULT_NEIGHBOR_BLEND),
+                enabled: rule.numChannels >= 2,
+                channels: [0, Math.min(1, rule.numChannels - 1)]
+            },
+            ...rule,
+            version: 13
+        })
+    };
+    
+    // gridSize is a side length for square grids or { width, height }
+    constructor(gridSize, numChannels, randomSeed = SeededRandom.randomSeed()) {
+        const { width, height } = NeuralCAWebGL.normalizeGridSize(gridSize);
+        if (!Number.isInteger(numChannels) || numChannels < 1 || numChannels > NeuralCAWebGL.MAX_CHANNELS) {
+            throw new Error(`Channel count must be an integer from 1 to ${NeuralCAWebGL.MAX_CHANNELS} (got ${numChannels})`);
+        }
+        console.log(`Initializing WebGL NCA with grid: ${width}x${height}, channels: ${numChannels}, seed: ${randomSeed}`);
+        
+        // Separate PRNG streams so e.g. extra seeding calls don't shift the mutation sequence
+        this.setRandomSeed(randomSeed);
         
-        this.gridSize = gridSize;
+        this.gridWidth = width;
+        this.gridHeight = height;
         this.numChannels = numChannels;
+        this.channelSlots = NeuralCAWebGL.getChannelSlots(numChannels);
+        this.numLayers = this.channelSlots / 4;
+        this.valuesPerCell = this.channelSlots; // Floats per cell in readState() / writeState() data
+        this.viewChannels = [0, 1, 2, 3].map(c => Math.min(c, numChannels - 1)); // Channels shown as ch0-ch3 by the channel mapping
         this.running = false;
         this.stepCount = 0;
-        this.updateRate = 0.1;
+        this.channelBiases = Array(this.channelSlots).fill(0);
+        this.channelUpdateRates = Array(this.channelSlots).fill(NeuralCAWebGL.DEFAULT_UPDATE_RATE);
         this.activationFunc = 'tanh';
-        this.colorScheme = 'rainbow';
+        this.colorScheme = 'auto';
+        this.customPalette = NeuralCAWebGL.DEFAULT_CUSTOM_PALETTE.map(stop => stop.slice());
+        this.channelMapping = NeuralCAWebGL.copyChannelMapping(NeuralCAWebGL.CHANNEL_MAPPING_PRESETS.palette);
+        this.renderParams = { ...NeuralCAWebGL.DEFAULT_RENDER_PARAMS };
+        this.boundary = NeuralCAWebGL.copyBoundary(NeuralCAWebGL.DEFAULT_BOUNDARY);
+        this.maskData = new Uint8Array(this.gridWidth * this.gridHeight);
+        this.maskSettings = { ...NeuralCAWebGL.copyMaskSettings(NeuralCAWebGL.DEFAULT_MASK_SETTINGS), showOverlay: true };
+        this.cellUpdate = { ...NeuralCAWebGL.DEFAULT_CELL_UPDATE };
+        this.neighborBlend = NeuralCAWebGL.copyNeighborBlend(NeuralCAWebGL.DEFAULT_NEIGHBOR_BLEND);
+        this.neighborBlend.channels = this.neighborBlend.channels.map(c => Math.min(c, numChannels - 1));
+        this.autoExposure = false;
+        this.lastExposureTime = 0;
+        this.onEvent = null; // (event, data) => void, told about mutations, resets, etc. (see notify)
         this.weightRange = 2.0;
         this.stepsPerFrame = 2; // Add stepsPerFrame property to match CPU version
         
+        // Update rule architecture (see ARCHITECTURES); mlpWeights is filled on first use
+        this.architecture = 'conv';
+        this.hiddenUnits = 16;
+        this.mlpWeights = null;
+        
+        // Perception (see PERCEPTION_MODES); filters maps each PERCEPTION_FILTERS name to enabled
+        this.perceptionMode = 'learned';
+        this.perceptionFilters = NeuralCAWebGL.allPerceptionFilters();
+        
+        // Neighborhood (see KERNEL_SIZES / KERNEL_SHAPES); changed with setKernel()
+        this.kernelSize = 3;
+        this.kernelShape = 'square';
+        
+        // Seeds placed by reset(); 'auto' / 0 keep the random pick per seed
+        this.seedPattern = 'auto';
+        this.seedRadius = 0;
+        this.seedCount = 0;
+        
         // Enhanced mutation parameters
         this.mutationRate = 0.05; // 5% by default
         this.mutationStrength = 0.1; // How much to change weights (0.1 = 10% of weight range)
         this.mutationPattern = 'uniform'; // uniform, gaussian, selective, spatial, temporal
         this.mutationDecay = 0.98; // Decay factor for temporal mutations
-        this.channelMutationMask = [true, true, true, true]; // Which channels to mutate
+        this.channelMutationMask = Array(this.channelSlots).fill(true); // Which channels to mutate
         this.kernelMutationMask = Array(9).fill(true); // Which kernel positions to mutate
         
         // Advanced weight control
@@ -31,7 +444,7 @@ class NeuralCAWebGL {
         };
         
         // Per-layer and per-channel weight scaling
-        this.channelWeightScales = [1.0, 1.0, 1.0, 1.0];
+        this.channelWeightScales = Array(this.channelSlots).fill(1.0);
         this.kernelWeightScales = Array(9).fill(1.0);
         
         // Activation function parameters
@@ -44,13 +457,21 @@ class NeuralCAWebGL {
         };
         
         this.autoEvolveEnabled = false;
-        this.autoEvolveInterval = this.getRandomAutoEvolveInterval(); // Random between 30-60 seconds
-        this.lastAutoEvolveTime = 0;
+        this.autoEvolveInterval = 0; // Steps between mutations, drawn by restartAutoEvolve()
+        this.autoEvolveSteps = 0; // Steps since the last one
+        
+        // Active RegenerationExperiment, if any
+        this.experiment = null;
         
         // Mutation history for analysis
         this.mutationHistory = [];
         this.maxHistorySize = 100;
         
+        // Undo/redo stack of full weight snapshots (index points at the live entry)
+        this.weightHistory = [];
+        this.weightHistoryIndex = -1;
+        this.maxWeightHistorySize = 100;
+        
         // FPS tracking
         this.lastTime = performance.now();
         this.frameCount = 0;
@@ -67,16 +488,54 @@ class NeuralCAWebGL {
         }
    }
     
-    // Initialize weights based on the selected strategy
+    // Initialize weights based on the selected strategy (only the active architecture's weights)
     initializeWeights() {
-        const weightData = new Float32Array(36 * 4); // 9 kernel positions * 4 channels * 4 output channels
+        if (this.architecture === 'mlp') {
+            this.initializeMlpWeights();
+        } else {
+            this.initializeConvWeights();
+        }
+        this.initializeChannelParams();
+        this.pushWeightHistory(`init_${this.weightInitStrategy}`);
+        
+        console.log(`Weights initialized using ${this.weightInitStrategy} strategy`);
+        this.notifyInit();
+    }
+    
+    // 'init' means fresh weights here; the app also sends it for a new engine, whose constructor
+    // initializes the weights before anyone is listening
+    notifyInit() {
+        this.notify('init', {
+            strategy: this.weightInitStrategy,
+            weightRange: this.weightRange,
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight,
+            numChannels: this.numChannels,
+            timestamp: new Date()
+        });
+    }
+    
+    initializeConvWeights() {
+        const weightData = new Float32Array(NeuralCAWebGL.getWeightCount(this.channelSlots, this.getPerceptionWidth())); // perception width * slots * slots
+        this.initializeWeightsByStrategy(weightData);
+        
+        // Apply constraints
+        this.applyWeightConstraints(weightData);
         
+        // Upload to GPU
+        this.uploadWeights(weightData);
+        
+        // Store for calculation display
+        this.currentWeights = weightData.slice();
+    }
+    
+    initializeWeightsByStrategy(weightData, fanIn = this.getPerceptionSize(), fanOut = this.numChannels) {
         switch (this.weightInitStrategy) {
             case 'xavier':
-                this.initializeXavierWeights(weightData);
+                this.initializeXavierWeights(weightData, fanIn, fanOut);
                 break;
             case 'he':
-                this.initializeHeWeights(weightData);
+                this.initializeHeWeights(weightData, fanIn);
                 break;
             case 'uniform':
                 this.initializeUniformWeights(weightData);
@@ -85,19 +544,111 @@ class NeuralCAWebGL {
                 this.initializeCustomWeights(weightData);
                 break;
             default:
-                this.initializeXavierWeights(weightData);
+                this.initializeXavierWeights(weightData, fanIn, fanOut);
+        }
+    }
+    
+    // Biases and update rates shared by both architectures: xavier / he start every channel at zero bias
+    // and the default rate like a fresh dense layer, uniform / custom roll them per channel
+    initializeChannelParams() {
+        const randomize = this.weightInitStrategy === 'uniform' || this.weightInitStrategy === 'custom';
+        const biasRange = this.weightRange * NeuralCAWebGL.BIAS_SCALE;
+        
+        for (let c = 0; c < this.channelSlots; c++) {
+            if (randomize && c < this.numChannels) {
+                this.setChannelBias(c, (this.rng.weights.next() * 2 - 1) * biasRange);
+                this.setChannelUpdateRate(c, NeuralCAWebGL.MIN_UPDATE_RATE +
+                    this.rng.weights.next() * (2 * NeuralCAWebGL.DEFAULT_UPDATE_RATE - NeuralCAWebGL.MIN_UPDATE_RATE));
+            } else {
+                this.channelBiases[c] = 0;
+                this.channelUpdateRates[c] = NeuralCAWebGL.DEFAULT_UPDATE_RATE;
+            }
+        }
+    }
+    
+    // Each layer gets the selected strategy with its own fan-in / fan-out
+    initializeMlpWeights() {
+        const inputs = this.getPerceptionSize();
+        const rowSize = this.getPerceptionWidth() * this.channelSlots + 1;
+        const weightData = new Float32Array(NeuralCAWebGL.getMlpWeightCount(this.hiddenUnits, this.channelSlots, this.getPerceptionWidth()));
+        const hiddenLayer = weightData.subarray(0, this.hiddenUnits * rowSize);
+        const outputLayer = weightData.subarray(this.hiddenUnits * rowSize);
+        
+        this.initializeWeightsByStrategy(hiddenLayer, inputs, this.hiddenUnits);
+        this.initializeWeightsByStrategy(outputLayer, this.hiddenUnits, this.numChannels);
+        
+        // Start the hidden biases at zero like a freshly built dense layer
+        for (let unit = 0; unit < this.hiddenUnits; unit++) {
+            hiddenLayer[unit * rowSize + rowSize - 1] = 0;
         }
         
-        // Apply constraints
         this.applyWeightConstraints(weightData);
-        
-        // Upload to GPU
-        this.uploadWeights(weightData);
-        
-        // Store for calculation display
-        this.currentWeights = weightData.slice();
-        
-        console.log(`Weights initialized using ${this.weightInitStrategy} strategy`);
+        this.mlpWeights = weightData;
+        this.uploadMlpWeights();
+    }
+    
+    static getMlpWeightCount(hiddenUnits, channelSlots = 4, perceptionWidth = 9) {
+        return hiddenUnits * (perceptionWidth * channelSlots + 1) + channelSlots * hiddenUnits;
+    }
+    
+    static getWeightCount(channelSlots = 4, perceptionWidth = 9) {
+        return perceptionWidth * channelSlots * channelSlots;
+    }
+    
+    // Channels rounded up to whole RGBA layers, never fewer than 4 (see MAX_CHANNELS)
+    static getChannelSlots(numChannels) {
+        return Math.max(4, Math.ceil(numChannels / 4) * 4);
+    }
+    
+    // Number of perception values per cell fed to the weights (rest of each perceptionWidth * channelSlots row is unused)
+    getPerceptionSize() {
+        return this.perceptionMode === 'filters'
+            ? Object.keys(NeuralCAWebGL.PERCEPTION_FILTERS).length * this.numChannels
+            : NeuralCAWebGL.getKernelPositionCount(this.kernelSize, this.kernelShape) * this.numChannels;
+    }
+    
+    // Perception values per channel the weight rows have room for: every kernel position or every
+    // fixed filter, whichever needs more (9 for the 3x3 square, so older rules keep their layout)
+    static getPerceptionWidth(kernelSize = 3, kernelShape = 'square') {
+        return Math.max(Object.keys(NeuralCAWebGL.PERCEPTION_FILTERS).length, NeuralCAWebGL.getKernelPositionCount(kernelSize, kernelShape));
+    }
+    
+    getPerceptionWidth() {
+        return NeuralCAWebGL.getPerceptionWidth(this.kernelSize, this.kernelShape);
+    }
+    
+    static getKernelPositionCount(kernelSize, kernelShape) {
+        return kernelShape === 'radial' ? (kernelSize + 1) / 2 : kernelSize * kernelSize;
+    }
+    
+    // Kernel position of every cell of the window, row by row from the top left (-1 = not read)
+    static getKernelLayout(kernelSize, kernelShape) {
+        const radius = (kernelSize - 1) / 2;
+        const layout = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (kernelShape === 'radial') {
+                    const shell = Math.round(Math.hypot(dx, dy));
+                    layout.push(shell <= radius ? shell : -1);
+                } else {
+                    layout.push(layout.length);
+                }
+            }
+        }
+        return layout;
+    }
+    
+    // Share of its kernel position each cell gets (radial shells average their cells)
+    static getKernelCellWeights(layout) {
+        return layout.map(kernelPos => kernelPos < 0 ? 0 : 1 / layout.filter(p => p === kernelPos).length);
+    }
+    
+    getKernelLayout() {
+        return NeuralCAWebGL.getKernelLayout(this.kernelSize, this.kernelShape);
+    }
+    
+    static allPerceptionFilters() {
+        return Object.fromEntries(Object.keys(NeuralCAWebGL.PERCEPTION_FILTERS).map(name => [name, true]));
     }
 
     // Get sample weights for display (first 9 values for kernel visualization)
@@ -108,32 +659,76 @@ class NeuralCAWebGL {
         return Array(9).fill(0);
     }
     
-    // Get effective (scaled) weights for display - shows what's actually used in computation
+    // Get effective (scaled) weights for display - shows what's actually used in computation,
+    // one value per cell of the kernel window (row by row, see getKernelLayout)
     getEffectiveWeights() {
-        if (!this.currentWeights || this.currentWeights.length < 9) {
-            return Array(9).fill(0);
-        }
+        const weights = this.architecture === 'mlp' && this.mlpWeights ? this.mlpWeights : this.currentWeights;
+        const layout = this.getKernelLayout();
+        const scale = this.channelWeightScales[0]; // Use first channel for display
         
-        const effectiveWeights = [];
-        const channelScale = this.channelWeightScales[0]; // Use first channel for display
+        if (!weights) {
+            return Array(layout.length).fill(0);
+        }
         
-        // Apply kernel scaling to first 9 weights (channel 0, kernel position i)
-        for (let i = 0; i < 9; i++) {
-            const baseWeight = this.currentWeights[i]; // These are stored as channel 0, kernel position i
-            const kernelScale = this.kernelWeightScales[i];
-            const effectiveWeight = baseWeight * channelScale * kernelScale;
-            effectiveWeights.push(effectiveWeight);
+        // With fixed filters the effective kernel is the weighted sum of the active 3x3 stencils
+        // around the center (output channel 0, or the first hidden unit in MLP mode, reading channel 0)
+        if (this.perceptionMode === 'filters') {
+            const size = this.kernelSize;
+            const offset = (size - 3) / 2;
+            const effectiveWeights = Array(layout.length).fill(0);
+            Object.entries(NeuralCAWebGL.PERCEPTION_FILTERS).forEach(([name, stencil], filter) => {
+                if (!this.perceptionFilters[name]) return;
+                stencil.forEach((value, i) => {
+                    const cell = (Math.floor(i / 3) + offset) * size + (i % 3) + offset;
+                    effectiveWeights[cell] += weights[filter * this.numChannels] * value * this.kernelWeightScales[layout[cell]] * scale;
+                });
+            });
+            return effectiveWeights;
         }
         
-        return effectiveWeights;
+        // Channel 0 at each kernel position, for output channel 0 (or the first hidden unit in MLP mode)
+        const cellWeights = NeuralCAWebGL.getKernelCellWeights(layout);
+        return layout.map((kernelPos, cell) => kernelPos < 0 ? 0 :
+            weights[kernelPos * this.numChannels] * scale * this.kernelWeightScales[kernelPos] * cellWeights[cell]);
+    }
+    
+    // Report a change (init, mutation, reset, history, snapshot, exposure, experiment) to whoever drives the engine
+    notify(event, data) {
+        if (this.onEvent) {
+            this.onEvent(event, data);
+        }
     }
     
-    // Helper method to get random auto-evolve interval between 30-60 seconds
-    getRandomAutoEvolveInterval() {
-        const minSeconds = 30;
-        const maxSeconds = 60;
-        const randomSeconds = minSeconds + Math.random() * (maxSeconds - minSeconds);
-        return randomSeconds * 1000; // Convert to milliseconds
+    // Re-seed every PRNG stream; the same seed + same actions gives bit-identical weights and seeds
+    setRandomSeed(seed) {
+        this.randomSeed = seed >>> 0;
+        this.rng = {
+            weights: new SeededRandom(SeededRandom.deriveSeed(this.randomSeed, 'weights')),
+            mutation: new SeededRandom(SeededRandom.deriveSeed(this.randomSeed, 'mutation')),
+            seeding: new SeededRandom(SeededRandom.deriveSeed(this.randomSeed, 'seeding')),
+            autoEvolve: new SeededRandom(SeededRandom.deriveSeed(this.randomSeed, 'autoEvolve'))
+        };
+        if (this.autoEvolveEnabled) {
+            this.restartAutoEvolve();
+        }
+    }
+    
+    // Start counting toward the next auto-evolve mutation (AUTO_EVOLVE_MIN_STEPS to AUTO_EVOLVE_MAX_STEPS away)
+    restartAutoEvolve() {
+        const range = NeuralCAWebGL.AUTO_EVOLVE_MAX_STEPS - NeuralCAWebGL.AUTO_EVOLVE_MIN_STEPS;
+        this.autoEvolveInterval = NeuralCAWebGL.AUTO_EVOLVE_MIN_STEPS + Math.floor(this.rng.autoEvolve.next() * (range + 1));
+        this.autoEvolveSteps = 0;
+    }
+    
+    // Called once per step, before the update
+    advanceAutoEvolve() {
+        if (!this.autoEvolveEnabled) return;
+        
+        this.autoEvolveSteps++;
+        if (this.autoEvolveSteps >= this.autoEvolveInterval) {
+            this.mutateWeights();
+            this.restartAutoEvolve();
+        }
     }
     
     initWebGL() {
@@ -141,8 +736,8 @@ class NeuralCAWebGL {
         
         // Create offscreen canvas for computation
         this.computeCanvas = document.createElement('canvas');
-        this.computeCanvas.width = this.gridSize;
-        this.computeCanvas.height = this.gridSize;
+        this.computeCanvas.width = this.gridWidth;
+        this.computeCanvas.height = this.gridHeight;
         
         // Get WebGL2 context (better than WebGL1 for compute tasks)
         const gl = this.computeCanvas.getContext('webgl2', {
@@ -177,6 +772,11 @@ class NeuralCAWebGL {
         console.log('Max Texture Size:', gl.getParameter(gl.MAX_TEXTURE_SIZE));
         console.log('Max Texture Units:', gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS));
         
+        const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        if (this.gridWidth > maxTextureSize || this.gridHeight > maxTextureSize) {
+            throw new Error(`Grid ${this.gridWidth}x${this.gridHeight} exceeds this GPU's maximum texture size of ${maxTextureSize}`);
+        }
+        
         // Check for required extensions
         const requiredExts = ['EXT_color_buffer_float'];
         const supportedExts = gl.getSupportedExtensions();
@@ -207,6 +807,24 @@ class NeuralCAWebGL {
             this.createWeightTexture();
             this.checkGLError('weight texture creation');
             
+            console.log('Creating MLP weight textures...');
+            this.createMlpWeightTextures();
+            this.checkGLError('MLP weight texture creation');
+            
+            console.log('Creating palette texture...');
+            this.createPaletteTexture();
+            this.uploadPalette();
+            this.checkGLError('palette texture creation');
+            
+            console.log('Creating mask texture...');
+            this.createMaskTexture();
+            this.uploadMask();
+            this.checkGLError('mask texture creation');
+            
+            console.log('Creating exposure target...');
+            this.createExposureTarget();
+            this.checkGLError('exposure target creation');
+            
             console.log('Creating geometry...');
             this.createQuadGeometry();
             this.checkGLError('geometry creation');
@@ -234,10 +852,10 @@ class NeuralCAWebGL {
         }
     }
     
-    createShaders() {
+    // Vertex shader shared by every program
+    compileVertexShader() {
         const gl = this.gl;
         
-        // Vertex shader (same for all programs)
         const vertexShaderSource = `#version 300 es
             in vec2 a_position;
             out vec2 v_texCoord;
@@ -248,45 +866,110 @@ class NeuralCAWebGL {
             }
         `;
         
+        console.log('Compiling vertex shader...');
+        const vertexShader = this.compileShader(gl, gl.VERTEX_SHADER, vertexShaderSource);
+        if (!vertexShader) {
+            throw new Error('Failed to compile vertex shader');
+        }
+        return vertexShader;
+    }
+    
+    // Compute program for the current channel layout and neighborhood, and its uniform locations.
+    // Throws when the GPU can't compile or link it; nothing on the engine is touched until it succeeds.
+    createComputeProgram() {
+        const gl = this.gl;
+        
+        // Compute shader sizes follow this engine's channel layout (see MAX_CHANNELS) and neighborhood
+        // (see KERNEL_SHAPES): the perception vector has room for perceptionWidth values per channel slot,
+        // and each RGBA state layer gets its own render target
+        const channelSlots = this.channelSlots;
+        const perceptionWidth = this.getPerceptionWidth();
+        const perceptionSize = perceptionWidth * channelSlots;
+        const layers = Array.from({ length: this.numLayers }, (_, layer) => layer);
+        const kernelLayout = this.getKernelLayout();
+        const kernelCellWeights = NeuralCAWebGL.getKernelCellWeights(kernelLayout);
+        const kernelPositions = NeuralCAWebGL.getKernelPositionCount(this.kernelSize, this.kernelShape);
+        
         // Fragment shader for computation step - Fixed array uniform issue
         const computeFragmentShaderSource = `#version 300 es
             precision highp float;
             precision highp sampler2D;
+            precision highp sampler2DArray;
             
-            uniform sampler2D u_state;
+            uniform sampler2DArray u_state; // One RGBA layer per 4 channels
             uniform sampler2D u_weights;
             uniform vec2 u_resolution;
-            uniform float u_updateRate;
+            uniform ivec2 u_boundaryMode; // Per axis: 0=wrap, 1=clamp, 2=mirror, 3=wall
+            uniform vec4 u_wallValue;
+            uniform sampler2D u_mask; // Cell kind * 1/255, see MASK_KINDS
+            uniform vec4 u_sourceValue;
+            uniform float u_sinkRate;
+            uniform int u_stochastic; // 1 = each cell fires with probability u_fireRate per step
+            uniform float u_fireRate;
+            uniform uint u_noiseSeed; // Different every step, see step()
+            uniform int u_aliveMask; // 1 = zero cells with no neighbor above u_aliveThreshold in u_aliveChannel
+            uniform int u_aliveChannel;
+            uniform float u_aliveThreshold;
+            uniform int u_blendEnabled; // 1 = pull u_blendChannels toward their active-neighbor average
+            uniform ivec2 u_blendChannels;
+            uniform float u_blendInfluence;
+            uniform float u_blendThreshold;
+            uniform int u_architecture; // 0=conv, 1=mlp
+            uniform int u_hiddenUnits;
+            uniform sampler2D u_mlpHidden; // (perceptionWidth * channelSlots + 1) x MAX_HIDDEN_UNITS, see mlpWeights
+            uniform sampler2D u_mlpOutput; // MAX_HIDDEN_UNITS x channelSlots
+            uniform int u_perceptionMode; // 0=learned kernel, 1=fixed filters
+            uniform vec4 u_filterEnabled; // identity, sobelX, sobelY, laplacian
+            uniform float u_channelBiases[${channelSlots}];
+            uniform float u_channelUpdateRates[${channelSlots}];
             uniform int u_activationFunc; // 0=tanh, 1=relu, 2=sigmoid, 3=identity, 4=swish, 5=gelu
             uniform int u_numChannels;
             uniform vec4 u_activationParams; // scale, bias, leak/beta, threshold/alpha
-            uniform vec4 u_channelScales; // Per-channel weight scaling
-            // Changed to individual uniforms instead of array for better compatibility
-            uniform float u_kernelScale0;
-            uniform float u_kernelScale1;
-            uniform float u_kernelScale2;
-            uniform float u_kernelScale3;
-            uniform float u_kernelScale4;
-            uniform float u_kernelScale5;
-            uniform float u_kernelScale6;
-            uniform float u_kernelScale7;
-            uniform float u_kernelScale8;
+            uniform float u_channelScales[${channelSlots}]; // Per-channel weight scaling
+            uniform float u_kernelScales[${kernelPositions}]; // Per-kernel-position weight scaling
             
             in vec2 v_texCoord;
-            out vec4 outColor;
+            ${layers.map(layer => `layout(location = ${layer}) out vec4 outLayer${layer};`).join('\n            ')}
+            
+            // Map a neighbor coordinate on one axis into [0, size) (-1 = outside a wall)
+            int boundaryCoord(int p, int size, int mode) {
+                if (p >= 0 && p < size) return p;
+                if (mode == 0) return (p % size + size) % size;
+                if (mode == 1) return clamp(p, 0, size - 1);
+                if (mode == 2) return p < 0 ? -p - 1 : 2 * size - p - 1;
+                return -1;
+            }
+            
+            // Fetch one layer of a neighbor's state with the boundary condition applied
+            // (walls hold wallValue in channels 0-3 and zero in the rest)
+            vec4 sampleNeighbor(int dx, int dy, int layer) {
+                ivec2 size = ivec2(u_resolution);
+                ivec2 cell = ivec2(gl_FragCoord.xy) + ivec2(dx, dy);
+                int x = boundaryCoord(cell.x, size.x, u_boundaryMode.x);
+                int y = boundaryCoord(cell.y, size.y, u_boundaryMode.y);
+                if (x < 0 || y < 0) return layer == 0 ? u_wallValue : vec4(0.0);
+                return texelFetch(u_state, ivec3(x, y, layer), 0);
+            }
+            
+            // Integer hash (PCG output permutation) of the cell and step seed, uniform in [0, 1)
+            float cellNoise(ivec2 cell, uint seed) {
+                uint h = uint(cell.x) * 1664525u ^ uint(cell.y) * 22695477u ^ seed;
+                h = h * 747796405u + 2891336453u;
+                h = ((h >> ((h >> 28u) + 4u)) ^ h) * 277803737u;
+                h = (h >> 22u) ^ h;
+                return float(h) / 4294967296.0;
+            }
             
-            // Helper function to get kernel scale by index
-            float getKernelScale(int index) {
-                if (index == 0) return u_kernelScale0;
-                if (index == 1) return u_kernelScale1;
-                if (index == 2) return u_kernelScale2;
-                if (index == 3) return u_kernelScale3;
-                if (index == 4) return u_kernelScale4;
-                if (index == 5) return u_kernelScale5;
-                if (index == 6) return u_kernelScale6;
-                if (index == 7) return u_kernelScale7;
-                if (index == 8) return u_kernelScale8;
-                return 1.0; // fallback
+            // Alive rule: a cell lives while any cell of its 3x3 neighborhood is above the threshold
+            bool isAlive() {
+                int layer = u_aliveChannel / 4;
+                int component = u_aliveChannel % 4;
+                for (int dy = -1; dy <= 1; dy++) {
+                    for (int dx = -1; dx <= 1; dx++) {
+                        if (sampleNeighbor(dx, dy, layer)[component] > u_aliveThreshold) return true;
+                    }
+                }
+                return false;
             }
             
             // Enhanced activation functions with parameters
@@ -311,216 +994,396 @@ class NeuralCAWebGL {
                 return x; // fallback
             }
             
-            void main() {
-                vec2 pixelSize = 1.0 / u_resolution;
+            // Fixed perception stencils, 9 cells of the 3x3 window each (see PERCEPTION_FILTERS)
+            const float FILTER_STENCILS[36] = float[36](${Object.values(NeuralCAWebGL.PERCEPTION_FILTERS).flat().map(v => v.toFixed(6)).join(', ')});
+            
+            // Kernel window: position and share of it for every cell, row by row (see getKernelLayout)
+            const int KERNEL_RADIUS = ${(this.kernelSize - 1) / 2};
+            const int KERNEL_LAYOUT[${kernelLayout.length}] = int[${kernelLayout.length}](${kernelLayout.join(', ')});
+            const float KERNEL_CELL_WEIGHTS[${kernelLayout.length}] = float[${kernelLayout.length}](${kernelCellWeights.map(v => v.toFixed(6)).join(', ')});
+            
+            // Perception vector fed to the weights: the kernel-scaled neighborhood at
+            // kernelPos * numChannels + inChannel, or filter responses at filter * numChannels + inChannel
+            void perceive(out float perception[${perceptionSize}]) {
+                for (int i = 0; i < ${perceptionSize}; i++) {
+                    perception[i] = 0.0;
+                }
+                
+                // The fixed filters only read the 3x3 center of the window
+                int radius = u_perceptionMode == 0 ? KERNEL_RADIUS : 1;
+                for (int dy = -radius; dy <= radius; dy++) {
+                    for (int dx = -radius; dx <= radius; dx++) {
+                        int cell = (dy + KERNEL_RADIUS) * ${this.kernelSize} + dx + KERNEL_RADIUS;
+                        int kernelPos = KERNEL_LAYOUT[cell];
+                        if (kernelPos < 0) continue;
+                        
+                        float kernelScale = u_kernelScales[kernelPos];
+                        int stencilPos = (dy + 1) * 3 + dx + 1;
+                        
+                        for (int layer = 0; layer < ${this.numLayers}; layer++) {
+                            vec4 neighborState = sampleNeighbor(dx, dy, layer) * kernelScale;
+                            
+                            for (int component = 0; component < 4; component++) {
+                                int ic = layer * 4 + component;
+                                if (ic >= u_numChannels) break;
+                                
+                                if (u_perceptionMode == 0) {
+                                    perception[kernelPos * u_numChannels + ic] += neighborState[component] * KERNEL_CELL_WEIGHTS[cell];
+                                } else {
+                                    for (int f = 0; f < 4; f++) { // 'filter' is reserved in GLSL ES
+                                        if (u_filterEnabled[f] < 0.5) continue;
+                                        perception[f * u_numChannels + ic] += neighborState[component] * FILTER_STENCILS[f * 9 + stencilPos];
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+            
+            // Hidden-layer perceptron: perception vector -> hidden layer (activation) -> linear output
+            void mlpUpdate(float perception[${perceptionSize}], out float delta[${channelSlots}]) {
+                for (int c = 0; c < ${channelSlots}; c++) {
+                    delta[c] = 0.0;
+                }
                 
-                // Calculate neighbor color average for gradient effect
-                float neighborHue = 0.0;
-                float neighborBrightness = 0.0;
+                for (int h = 0; h < ${NeuralCAWebGL.MAX_HIDDEN_UNITS}; h++) {
+                    if (h >= u_hiddenUnits) break;
+                    
+                    float sum = texelFetch(u_mlpHidden, ivec2(${perceptionSize}, h), 0).r; // Bias
+                    for (int i = 0; i < ${perceptionSize}; i++) {
+                        if (i >= ${perceptionWidth} * u_numChannels) break;
+                        sum += perception[i] * texelFetch(u_mlpHidden, ivec2(i, h), 0).r;
+                    }
+                    
+                    float hidden = activate(sum, u_activationFunc, u_activationParams);
+                    for (int c = 0; c < ${channelSlots}; c++) {
+                        if (c >= u_numChannels) break;
+                        delta[c] += hidden * texelFetch(u_mlpOutput, ivec2(h, c), 0).r;
+                    }
+                }
+            }
+            
+            void main() {
+                // Average of the blend channels over active neighbors (see DEFAULT_NEIGHBOR_BLEND)
+                vec2 neighborAverage = vec2(0.0);
                 float activeNeighbors = 0.0;
                 
-                if (u_numChannels >= 2) {
+                if (u_blendEnabled == 1) {
                     for (int dy = -1; dy <= 1; dy++) {
                         for (int dx = -1; dx <= 1; dx++) {
-                            vec2 samplePos = v_texCoord + vec2(float(dx), float(dy)) * pixelSize;
-                            samplePos = fract(samplePos);
-                            
-                            vec4 neighborState = texture(u_state, samplePos);
-                            float nCh0 = neighborState.r;
-                            float nCh1 = neighborState.g;
-                            float nMag = sqrt(nCh0 * nCh0 + nCh1 * nCh1);
+                            float a = sampleNeighbor(dx, dy, u_blendChannels.x / 4)[u_blendChannels.x % 4];
+                            float b = sampleNeighbor(dx, dy, u_blendChannels.y / 4)[u_blendChannels.y % 4];
+                            float magnitude = u_blendChannels.x == u_blendChannels.y ? abs(a) : length(vec2(a, b));
                             
-                            if (nMag > 0.3) { // Only count active neighbors
-                                neighborHue += nCh0;
-                                neighborBrightness += nCh1;
+                            if (magnitude > u_blendThreshold) { // Only count active neighbors
+                                neighborAverage += vec2(a, b);
                                 activeNeighbors += 1.0;
                             }
                         }
                     }
                     
                     if (activeNeighbors > 0.0) {
-                        neighborHue /= activeNeighbors;
-                        neighborBrightness /= activeNeighbors;
+                        neighborAverage /= activeNeighbors;
                     }
                 }
                 
-                // Sample 3x3 neighborhood for convolution
-                vec4 result = vec4(0.0);
+                // Cells that don't fire this step keep their state, dead cells are zeroed
+                bool fires = u_stochastic == 0 || cellNoise(ivec2(gl_FragCoord.xy), u_noiseSeed) < u_fireRate;
+                bool alive = u_aliveMask == 0 || isAlive();
                 
-                for (int c = 0; c < 4; c++) {
-                    if (c >= u_numChannels) break;
-                    
-                    float sum = 0.0;
-                    int weightIdx = 0;
+                // Sample the kernel neighborhood for convolution
+                float result[${channelSlots}];
+                float perception[${perceptionSize}];
+                perceive(perception);
+                float mlpDelta[${channelSlots}];
+                if (u_architecture == 1) {
+                    mlpUpdate(perception, mlpDelta);
+                }
+                
+                for (int c = 0; c < ${channelSlots}; c++) {
+                    result[c] = 0.0;
+                    if (c >= u_numChannels) continue;
                     
-                    // 3x3 convolution with per-channel and per-kernel scaling
-                    float channelScale = u_channelScales[c];
+                    float oldVal = texelFetch(u_state, ivec3(ivec2(gl_FragCoord.xy), c / 4), 0)[c % 4];
+                    float newVal;
                     
-                    for (int dy = -1; dy <= 1; dy++) {
-                        for (int dx = -1; dx <= 1; dx++) {
-                            vec2 samplePos = v_texCoord + vec2(float(dx), float(dy)) * pixelSize;
-                            
-                            // Wrap around edges (toroidal topology)
-                            samplePos = fract(samplePos);
-                            
-                            vec4 neighborState = texture(u_state, samplePos);
-                            
-                            // Get kernel scale for this position using helper function
-                            float kernelScale = getKernelScale(weightIdx);
+                    if (u_architecture == 1) {
+                        // Residual update from the hidden-layer perceptron
+                        newVal = oldVal + (mlpDelta[c] + u_channelBiases[c]) * u_channelScales[c] * u_channelUpdateRates[c];
+                    } else {
+                        float sum = 0.0;
+                        
+                        // Weighted sum of the perception vector (kernel scaling is already applied)
+                        float channelScale = u_channelScales[c];
+                        
+                        for (int i = 0; i < ${perceptionSize}; i++) {
+                            if (i >= ${perceptionWidth} * u_numChannels) break;
+                            float weight = texelFetch(u_weights, ivec2(i, c), 0).r;
                             
-                            // Read weights for this kernel position and output channel
-                            for (int ic = 0; ic < 4; ic++) {
-                                if (ic >= u_numChannels) break;
-                                
-                                float weight = texture(u_weights, 
-                                    vec2(float(weightIdx * u_numChannels + ic) / 36.0, 
-                                         float(c) / 4.0)).r;
-                                
-                                sum += neighborState[ic] * weight * channelScale * kernelScale;
-                            }
-                            weightIdx++;
+                            sum += perception[i] * weight * channelScale;
                         }
+                        
+                        // Apply activation function with parameters
+                        float activated = activate(sum + u_channelBiases[c], u_activationFunc, u_activationParams);
+                        
+                        // Blend with previous state at this channel's update rate
+                        float updateRate = u_channelUpdateRates[c];
+                        newVal = oldVal * (1.0 - updateRate) + activated * updateRate;
                     }
                     
-                    // Apply activation function with parameters
-                    float activated = activate(sum, u_activationFunc, u_activationParams);
-                    
-                    // Blend with previous state
-                    float oldVal = texture(u_state, v_texCoord)[c];
-                    float newVal = oldVal * (1.0 - u_updateRate) + activated * u_updateRate;
-                    
-                    // Apply gradient blending for color channels
-                    if (u_numChannels >= 2 && activeNeighbors > 0.0) {
-                        float neighborInfluence = 0.15; // How much neighbors affect color
-                        if (c == 0) { // Hue channel
-                            newVal = newVal * (1.0 - neighborInfluence) + neighborHue * neighborInfluence;
-                        } else if (c == 1) { // Brightness channel
-                            newVal = newVal * (1.0 - neighborInfluence) + neighborBrightness * neighborInfluence;
+                    // Post-update neighbor blending of the target channels
+                    if (activeNeighbors > 0.0) {
+                        if (c == u_blendChannels.x) {
+                            newVal = mix(newVal, neighborAverage.x, u_blendInfluence);
+                        } else if (c == u_blendChannels.y) {
+                            newVal = mix(newVal, neighborAverage.y, u_blendInfluence);
                         }
                     }
                     
-                    result[c] = clamp(newVal, -1.0, 1.0);
+                    if (!fires) {
+                        newVal = oldVal;
+                    }
+                    result[c] = alive ? clamp(newVal, -1.0, 1.0) : 0.0;
+                }
+                
+                // Mask layer overrides the update for obstacle, source and sink cells
+                // (sources hold sourceValue in channels 0-3 and zero in the rest)
+                int maskKind = int(texelFetch(u_mask, ivec2(gl_FragCoord.xy), 0).r * 255.0 + 0.5);
+                for (int c = 0; c < ${channelSlots}; c++) {
+                    if (maskKind == 1) {
+                        result[c] = 0.0;
+                    } else if (maskKind == 2) {
+                        result[c] = c < u_numChannels && c < 4 ? u_sourceValue[min(c, 3)] : 0.0;
+                    } else if (maskKind == 3) {
+                        result[c] *= 1.0 - u_sinkRate;
+                    }
                 }
                 
-                outColor = result;
+                ${layers.map(layer => `outLayer${layer} = vec4(${[0, 1, 2, 3].map(c => `result[${layer * 4 + c}]`).join(', ')});`).join('\n                ')}
+            }
+        `;
+        
+        console.log('Compiling compute fragment shader...');
+        const computeFragmentShader = this.compileShader(gl, gl.FRAGMENT_SHADER, computeFragmentShaderSource);
+        if (!computeFragmentShader) {
+            throw new Error(`Failed to compile the compute shader for a ${this.kernelSize}x${this.kernelSize} ${this.kernelShape} kernel with ${this.numChannels} channels`);
+        }
+        
+        console.log('Creating compute program...');
+        const program = this.createProgram(gl, this.compileVertexShader(), computeFragmentShader);
+        if (!program) {
+            throw new Error(`Failed to link the compute program for a ${this.kernelSize}x${this.kernelSize} ${this.kernelShape} kernel with ${this.numChannels} channels`);
+        }
+        
+        const uniforms = {
+            state: gl.getUniformLocation(program, 'u_state'),
+            weights: gl.getUniformLocation(program, 'u_weights'),
+            resolution: gl.getUniformLocation(program, 'u_resolution'),
+            boundaryMode: gl.getUniformLocation(program, 'u_boundaryMode'),
+            wallValue: gl.getUniformLocation(program, 'u_wallValue'),
+            mask: gl.getUniformLocation(program, 'u_mask'),
+            sourceValue: gl.getUniformLocation(program, 'u_sourceValue'),
+            sinkRate: gl.getUniformLocation(program, 'u_sinkRate'),
+            stochastic: gl.getUniformLocation(program, 'u_stochastic'),
+            fireRate: gl.getUniformLocation(program, 'u_fireRate'),
+            noiseSeed: gl.getUniformLocation(program, 'u_noiseSeed'),
+            aliveMask: gl.getUniformLocation(program, 'u_aliveMask'),
+            aliveChannel: gl.getUniformLocation(program, 'u_aliveChannel'),
+            aliveThreshold: gl.getUniformLocation(program, 'u_aliveThreshold'),
+            blendEnabled: gl.getUniformLocation(program, 'u_blendEnabled'),
+            blendChannels: gl.getUniformLocation(program, 'u_blendChannels'),
+            blendInfluence: gl.getUniformLocation(program, 'u_blendInfluence'),
+            blendThreshold: gl.getUniformLocation(program, 'u_blendThreshold'),
+            architecture: gl.getUniformLocation(program, 'u_architecture'),
+            hiddenUnits: gl.getUniformLocation(program, 'u_hiddenUnits'),
+            mlpHidden: gl.getUniformLocation(program, 'u_mlpHidden'),
+            mlpOutput: gl.getUniformLocation(program, 'u_mlpOutput'),
+            perceptionMode: gl.getUniformLocation(program, 'u_perceptionMode'),
+            filterEnabled: gl.getUniformLocation(program, 'u_filterEnabled'),
+            channelBiases: gl.getUniformLocation(program, 'u_channelBiases'),
+            channelUpdateRates: gl.getUniformLocation(program, 'u_channelUpdateRates'),
+            activationFunc: gl.getUniformLocation(program, 'u_activationFunc'),
+            numChannels: gl.getUniformLocation(program, 'u_numChannels'),
+            activationParams: gl.getUniformLocation(program, 'u_activationParams'),
+            channelScales: gl.getUniformLocation(program, 'u_channelScales'),
+            kernelScales: gl.getUniformLocation(program, 'u_kernelScales')
+        };
+        
+        return { program, uniforms };
+    }
+    
+    createShaders() {
+        const gl = this.gl;
+        
+        const { program, uniforms } = this.createComputeProgram();
+        this.computeProgram = program;
+        this.computeUniforms = uniforms;
+        
+        // Channel-to-color source lookup shared by the render and exposure programs
+        // (expects u_numChannels, u_state and u_viewChannels to be declared by the including shader)
+        const mappingFunctionsSource = `
+            // Gather the viewed channels (see viewChannels) into the ch0-ch3 slots the mapping reads
+            vec4 viewState(vec2 texCoord) {
+                vec4 state = vec4(0.0);
+                for (int k = 0; k < 4; k++) {
+                    int channel = u_viewChannels[k];
+                    state[k] = texture(u_state, vec3(texCoord, float(channel / 4)))[channel % 4];
+                }
+                return state;
+            }
+            
+            // Source ids: 0-3 = channel mapped [-1,1] -> [0,1], 4-7 = |channel|,
+            // 8 = RMS magnitude of the active channels, 9 = one, 10 = zero
+            float mapSource(vec4 state, int source) {
+                if (source < 4) {
+                    return source < u_numChannels ? clamp((state[source] + 1.0) * 0.5, 0.0, 1.0) : 0.5;
+                } else if (source < 8) {
+                    return source - 4 < u_numChannels ? min(1.0, abs(state[source - 4])) : 0.0;
+                } else if (source == 8) {
+                    float sumSq = 0.0;
+                    for (int c = 0; c < 4; c++) {
+                        if (c < u_numChannels) sumSq += state[c] * state[c];
+                    }
+                    return min(1.0, sqrt(sumSq / float(u_numChannels)));
+                }
+                return source == 9 ? 1.0 : 0.0;
             }
         `;
         
-        // Fragment shader for rendering (unchanged)
+        // Fragment shader for rendering
         const renderFragmentShaderSource = `#version 300 es
             precision highp float;
             precision highp sampler2D;
+            precision highp sampler2DArray;
             
-            uniform sampler2D u_state;
-            uniform int u_numChannels;
+            uniform sampler2DArray u_state;
+            uniform ivec4 u_viewChannels; // Channel shown in each mapping slot
+            uniform sampler2D u_palette; // 1D color lookup, see uploadPalette()
+            uniform int u_numChannels; // Mapping slots in use: min(4, numChannels)
+            uniform int u_colorMode; // 0=palette, 1=hsv, 2=rgb
+            uniform ivec4 u_mapSources; // Source id per color slot, see mapSource()
+            uniform vec4 u_mapChannelMask; // 1.0 for channels the mapping reads
+            uniform float u_threshold; // Display tuning, see renderParams
+            uniform float u_fadeRange;
+            uniform float u_contrast;
+            uniform float u_gamma;
+            uniform sampler2D u_mask;
+            uniform bool u_showMask;
             
             in vec2 v_texCoord;
             out vec4 outColor;
             
-            const float threshold = 0.2;
-            const float thresholdSq = threshold * threshold;
-            const float fadeRange = 0.3;
-            const float fadeThreshold = threshold + fadeRange;
-            const float fadeThresholdSq = fadeThreshold * fadeThreshold;
-            const float invFadeRange = 1.0 / fadeRange;
-            const float contrastBoost = 1.2;
-            const float gammaCorrection = 1.4;
-            const float invGamma = 1.0 / gammaCorrection;
+            vec3 palette(float t) {
+                return texture(u_palette, vec2(clamp(t, 0.0, 1.0), 0.5)).rgb;
+            }
+            
+            ${mappingFunctionsSource}
+            
+            float adjustBrightness(float brightness) {
+                return min(1.0, pow(brightness, 1.0 / u_gamma) * u_contrast);
+            }
+            
+            vec3 hsv2rgb(vec3 c) {
+                vec3 p = abs(fract(c.xxx + vec3(1.0, 2.0 / 3.0, 1.0 / 3.0)) * 6.0 - 3.0);
+                return c.z * mix(vec3(1.0), clamp(p - 1.0, 0.0, 1.0), c.y);
+            }
+            
+            // Tint mask cells: obstacles gray, sources green, sinks red
+            vec4 maskOverlay(vec3 color) {
+                if (u_showMask) {
+                    int maskKind = int(texture(u_mask, v_texCoord).r * 255.0 + 0.5);
+                    if (maskKind == 1) return vec4(0.35, 0.35, 0.4, 1.0);
+                    if (maskKind == 2) return vec4(mix(color, vec3(0.0, 1.0, 0.3), 0.35), 1.0);
+                    if (maskKind == 3) return vec4(mix(color, vec3(1.0, 0.1, 0.1), 0.35), 1.0);
+                }
+                return vec4(color, 1.0);
+            }
             
             void main() {
-                vec4 state = texture(u_state, v_texCoord);
+                vec4 state = viewState(v_texCoord);
                 
-                if (u_numChannels >= 2) {
-                    // Color mode - use full rainbow colorspace
-                    float ch0 = state.r;
-                    float ch1 = state.g;
-                    float magnitudeSq = ch0 * ch0 + ch1 * ch1;
-                    
-                    if (magnitudeSq > thresholdSq) {
-                        float hue = (ch0 + 1.0) * 0.5; // Convert from [-1,1] to [0,1]
-                        float brightness = (ch1 + 1.0) * 0.5;
-                        
-                        brightness = pow(brightness, invGamma);
-                        brightness = min(1.0, brightness * contrastBoost);
-                        
-                        // Smooth fade for gradient effect
-                        if (magnitudeSq < fadeThresholdSq) {
-                            float magnitude = sqrt(magnitudeSq);
-                            float fadeAmount = (magnitude - threshold) * invFadeRange;
-                            // Smoothstep fade curve
-                            float smoothFade = fadeAmount * fadeAmount * (3.0 - 2.0 * fadeAmount);
-                            brightness *= smoothFade;
-                        }
-                        
-                        // Rainbow color scheme - map hue to full spectrum
-                        vec3 color;
-                        float h = hue * 6.0; // Scale hue to 0-6 range for easier color wheel math
-                        
-                        if (h < 1.0) {
-                            // Red to Yellow
-                            color = vec3(1.0, h, 0.0);
-                        } else if (h < 2.0) {
-                            // Yellow to Green  
-                            color = vec3(2.0 - h, 1.0, 0.0);
-                        } else if (h < 3.0) {
-                            // Green to Cyan
-                            color = vec3(0.0, 1.0, h - 2.0);
-                        } else if (h < 4.0) {
-                            // Cyan to Blue
-                            color = vec3(0.0, 4.0 - h, 1.0);
-                        } else if (h < 5.0) {
-                            // Blue to Magenta
-                            color = vec3(h - 4.0, 0.0, 1.0);
-                        } else {
-                            // Magenta to Red
-                            color = vec3(1.0, 0.0, 6.0 - h);
-                        }
-                        
-                        // Apply brightness
-                        color *= brightness;
-                        
-                        outColor = vec4(color, 1.0);
-                    } else {
-                        outColor = vec4(0.0, 0.0, 0.0, 1.0);
-                    }
+                // Visibility comes from the channels the mapping actually reads
+                vec4 mapped = state * u_mapChannelMask;
+                float magnitude = length(mapped);
+                
+                if (magnitude <= u_threshold) {
+                    outColor = maskOverlay(vec3(0.0));
+                    return;
+                }
+                
+                // Smooth fade for gradient effect
+                float fade = 1.0;
+                if (magnitude < u_threshold + u_fadeRange) {
+                    float fadeAmount = (magnitude - u_threshold) / u_fadeRange;
+                    // Smoothstep fade curve
+                    fade = fadeAmount * fadeAmount * (3.0 - 2.0 * fadeAmount);
+                }
+                
+                vec3 color;
+                if (u_colorMode == 1) {
+                    // HSV - sources are hue, saturation, value
+                    float value = adjustBrightness(mapSource(state, u_mapSources.z)) * fade;
+                    color = hsv2rgb(vec3(mapSource(state, u_mapSources.x), mapSource(state, u_mapSources.y), value));
+                } else if (u_colorMode == 2) {
+                    // Direct RGB - sources are red, green, blue and alpha (composited over black)
+                    color = vec3(
+                        adjustBrightness(mapSource(state, u_mapSources.x)),
+                        adjustBrightness(mapSource(state, u_mapSources.y)),
+                        adjustBrightness(mapSource(state, u_mapSources.z))
+                    ) * mapSource(state, u_mapSources.w) * fade;
+                } else if (u_numChannels >= 2) {
+                    // Palette - first source picks the palette color, second its brightness
+                    float brightness = adjustBrightness(mapSource(state, u_mapSources.y)) * fade;
+                    color = palette(mapSource(state, u_mapSources.x)) * brightness;
                 } else {
-                    // Monochrome mode - use brightness as white/gray
-                    float val = state.r;
-                    float absVal = abs(val);
-                    
-                    if (absVal > threshold) {
-                        float brightness = (val + 1.0) * 0.5;
-                        brightness = pow(brightness, invGamma);
-                        brightness = min(1.0, brightness * contrastBoost);
-                        
-                        // Smooth fade
-                        if (absVal < fadeThreshold) {
-                            float fadeAmount = (absVal - threshold) * invFadeRange;
-                            float smoothFade = fadeAmount * fadeAmount * (3.0 - 2.0 * fadeAmount);
-                            brightness *= smoothFade;
-                        }
-                        
-                        // Monochrome - white/gray based on brightness
-                        outColor = vec4(vec3(brightness), 1.0);
-                    } else {
-                        outColor = vec4(0.0, 0.0, 0.0, 1.0);
-                    }
+                    // Monochrome palette - brightness indexes the palette (the default 'auto' scheme is grayscale, plain white/gray)
+                    color = palette(adjustBrightness(mapSource(state, u_mapSources.x)) * fade);
                 }
+                
+                outColor = maskOverlay(color);
             }
         `;
         
-        // Compile shaders with better error handling
-        console.log('Compiling vertex shader...');
-        const vertexShader = this.compileShader(gl, gl.VERTEX_SHADER, vertexShaderSource);
-        if (!vertexShader) {
-            throw new Error('Failed to compile vertex shader');
-        }
+        // Fragment shader for auto-exposure: samples the state on a coarse grid and writes
+        // (visibility magnitude, brightness slot value) per texel for measureExposure()
+        const exposureFragmentShaderSource = `#version 300 es
+            precision highp float;
+            precision highp sampler2D;
+            precision highp sampler2DArray;
+            
+            uniform sampler2DArray u_state;
+            uniform ivec4 u_viewChannels;
+            uniform int u_numChannels;
+            uniform int u_colorMode;
+            uniform ivec4 u_mapSources;
+            uniform vec4 u_mapChannelMask;
+            
+            in vec2 v_texCoord;
+            out vec4 outColor;
+            
+            ${mappingFunctionsSource}
+            
+            void main() {
+                vec4 state = viewState(v_texCoord);
+                vec4 mapped = state * u_mapChannelMask;
+                
+                float brightness;
+                if (u_colorMode == 1) {
+                    brightness = mapSource(state, u_mapSources.z);
+                } else if (u_colorMode == 2) {
+                    brightness = max(max(mapSource(state, u_mapSources.x), mapSource(state, u_mapSources.y)), mapSource(state, u_mapSources.z));
+                } else if (u_numChannels >= 2) {
+                    brightness = mapSource(state, u_mapSources.y);
+                } else {
+                    brightness = mapSource(state, u_mapSources.x);
+                }
+                
+                outColor = vec4(length(mapped), brightness, 0.0, 1.0);
+            }
+        `;
         
-        console.log('Compiling compute fragment shader...');
-        const computeFragmentShader = this.compileShader(gl, gl.FRAGMENT_SHADER, computeFragmentShaderSource);
-        if (!computeFragmentShader) {
-            throw new Error('Failed to compile compute fragment shader');
-        }
+        const vertexShader = this.compileVertexShader();
         
         console.log('Compiling render fragment shader...');
         const renderFragmentShader = this.compileShader(gl, gl.FRAGMENT_SHADER, renderFragmentShaderSource);
@@ -528,45 +1391,47 @@ class NeuralCAWebGL {
             throw new Error('Failed to compile render fragment shader');
         }
         
-        // Create programs with better error handling
-        console.log('Creating compute program...');
-        this.computeProgram = this.createProgram(gl, vertexShader, computeFragmentShader);
-        if (!this.computeProgram) {
-            throw new Error('Failed to create compute program');
-        }
-        
         console.log('Creating render program...');
         this.renderProgram = this.createProgram(gl, vertexShader, renderFragmentShader);
         if (!this.renderProgram) {
             throw new Error('Failed to create render program');
         }
         
-        // Get uniform locations for compute program
-        this.computeUniforms = {
-            state: gl.getUniformLocation(this.computeProgram, 'u_state'),
-            weights: gl.getUniformLocation(this.computeProgram, 'u_weights'),
-            resolution: gl.getUniformLocation(this.computeProgram, 'u_resolution'),
-            updateRate: gl.getUniformLocation(this.computeProgram, 'u_updateRate'),
-            activationFunc: gl.getUniformLocation(this.computeProgram, 'u_activationFunc'),
-            numChannels: gl.getUniformLocation(this.computeProgram, 'u_numChannels'),
-            activationParams: gl.getUniformLocation(this.computeProgram, 'u_activationParams'),
-            channelScales: gl.getUniformLocation(this.computeProgram, 'u_channelScales'),
-            // Individual kernel scale uniforms for better compatibility
-            kernelScale0: gl.getUniformLocation(this.computeProgram, 'u_kernelScale0'),
-            kernelScale1: gl.getUniformLocation(this.computeProgram, 'u_kernelScale1'),
-            kernelScale2: gl.getUniformLocation(this.computeProgram, 'u_kernelScale2'),
-            kernelScale3: gl.getUniformLocation(this.computeProgram, 'u_kernelScale3'),
-            kernelScale4: gl.getUniformLocation(this.computeProgram, 'u_kernelScale4'),
-            kernelScale5: gl.getUniformLocation(this.computeProgram, 'u_kernelScale5'),
-            kernelScale6: gl.getUniformLocation(this.computeProgram, 'u_kernelScale6'),
-            kernelScale7: gl.getUniformLocation(this.computeProgram, 'u_kernelScale7'),
-            kernelScale8: gl.getUniformLocation(this.computeProgram, 'u_kernelScale8')
-        };
+        console.log('Creating exposure program...');
+        const exposureFragmentShader = this.compileShader(gl, gl.FRAGMENT_SHADER, exposureFragmentShaderSource);
+        if (!exposureFragmentShader) {
+            throw new Error('Failed to compile exposure fragment shader');
+        }
+        this.exposureProgram = this.createProgram(gl, vertexShader, exposureFragmentShader);
+        if (!this.exposureProgram) {
+            throw new Error('Failed to create exposure program');
+        }
         
         // Get uniform locations for render program
         this.renderUniforms = {
             state: gl.getUniformLocation(this.renderProgram, 'u_state'),
-            numChannels: gl.getUniformLocation(this.renderProgram, 'u_numChannels')
+            viewChannels: gl.getUniformLocation(this.renderProgram, 'u_viewChannels'),
+            palette: gl.getUniformLocation(this.renderProgram, 'u_palette'),
+            numChannels: gl.getUniformLocation(this.renderProgram, 'u_numChannels'),
+            colorMode: gl.getUniformLocation(this.renderProgram, 'u_colorMode'),
+            mapSources: gl.getUniformLocation(this.renderProgram, 'u_mapSources'),
+            mapChannelMask: gl.getUniformLocation(this.renderProgram, 'u_mapChannelMask'),
+            threshold: gl.getUniformLocation(this.renderProgram, 'u_threshold'),
+            fadeRange: gl.getUniformLocation(this.renderProgram, 'u_fadeRange'),
+            contrast: gl.getUniformLocation(this.renderProgram, 'u_contrast'),
+            gamma: gl.getUniformLocation(this.renderProgram, 'u_gamma'),
+            mask: gl.getUniformLocation(this.renderProgram, 'u_mask'),
+            showMask: gl.getUniformLocation(this.renderProgram, 'u_showMask')
+        };
+        
+        // Get uniform locations for exposure program
+        this.exposureUniforms = {
+            state: gl.getUniformLocation(this.exposureProgram, 'u_state'),
+            viewChannels: gl.getUniformLocation(this.exposureProgram, 'u_viewChannels'),
+            numChannels: gl.getUniformLocation(this.exposureProgram, 'u_numChannels'),
+            colorMode: gl.getUniformLocation(this.exposureProgram, 'u_colorMode'),
+            mapSources: gl.getUniformLocation(this.exposureProgram, 'u_mapSources'),
+            mapChannelMask: gl.getUniformLocation(this.exposureProgram, 'u_mapChannelMask')
         };
         
         console.log('Shaders compiled and programs created successfully');
@@ -628,14 +1493,40 @@ class NeuralCAWebGL {
         
         // Create two textures for ping-pong rendering
         this.stateTextures = [
-            this.createFloatTexture(gl),
-            this.createFloatTexture(gl)
+            this.createStateTexture(gl),
+            this.createStateTexture(gl)
         ];
         
         this.currentStateIndex = 0;
     }
     
-    createFloatTexture(gl) {
+    // RGBA32F array texture with one layer per 4 channels
+    createStateTexture(gl) {
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, texture);
+        gl.texImage3D(
+            gl.TEXTURE_2D_ARRAY,
+            0,
+            gl.RGBA32F,
+            this.gridWidth,
+            this.gridHeight,
+            this.numLayers,
+            0,
+            gl.RGBA,
+            gl.FLOAT,
+            null
+        );
+        
+        // Use NEAREST filtering for crisp pixels when zoomed
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        
+        return texture;
+    }
+    
+    createFloatTexture(gl, width = this.gridWidth, height = this.gridHeight) {
         const texture = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, texture);
         
@@ -644,8 +1535,8 @@ class NeuralCAWebGL {
             gl.TEXTURE_2D,
             0,
             gl.RGBA32F,
-            this.gridSize,
-            this.gridSize,
+            width,
+            height,
             0,
             gl.RGBA,
             gl.FLOAT,
@@ -664,6 +1555,11 @@ class NeuralCAWebGL {
     createFramebuffers() {
         const gl = this.gl;
         
+        const maxDrawBuffers = gl.getParameter(gl.MAX_DRAW_BUFFERS);
+        if (this.numLayers > maxDrawBuffers) {
+            throw new Error(`${this.numChannels} channels need ${this.numLayers} render targets, but this GPU supports ${maxDrawBuffers}`);
+        }
+        
         this.framebuffers = [
             gl.createFramebuffer(),
             gl.createFramebuffer()
@@ -673,23 +1569,20 @@ class NeuralCAWebGL {
             throw new Error('Failed to create framebuffers');
         }
         
-        // Attach textures to framebuffers with error checking
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[0]);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.stateTextures[0], 0);
-        
-        // Check framebuffer completeness
-        let status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
-        if (status !== gl.FRAMEBUFFER_COMPLETE) {
-            throw new Error(`Framebuffer 0 not complete: ${this.getFramebufferStatusString(status)}`);
-        }
-        
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[1]);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.stateTextures[1], 0);
-        
-        // Check second framebuffer completeness
-        status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
-        if (status !== gl.FRAMEBUFFER_COMPLETE) {
-            throw new Error(`Framebuffer 1 not complete: ${this.getFramebufferStatusString(status)}`);
+        // Attach every state layer as its own color attachment (multiple render targets)
+        const attachments = Array.from({ length: this.numLayers }, (_, layer) => gl.COLOR_ATTACHMENT0 + layer);
+        for (let i = 0; i < 2; i++) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[i]);
+            attachments.forEach((attachment, layer) => {
+                gl.framebufferTextureLayer(gl.FRAMEBUFFER, attachment, this.stateTextures[i], 0, layer);
+            });
+            gl.drawBuffers(attachments);
+            
+            // Check framebuffer completeness
+            const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+            if (status !== gl.FRAMEBUFFER_COMPLETE) {
+                throw new Error(`Framebuffer ${i} not complete: ${this.getFramebufferStatusString(status)}`);
+            }
         }
         
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
@@ -716,14 +1609,14 @@ class NeuralCAWebGL {
         this.weightTexture = gl.createTexture();
         gl.bindTexture(gl.TEXTURE_2D, this.weightTexture);
         
-        // Weight texture dimensions: (9 * numChannels) x numChannels
+        // Weight texture dimensions: (perceptionWidth * channelSlots) x channelSlots
         // Each row stores weights for one output channel
         gl.texImage2D(
             gl.TEXTURE_2D,
             0,
             gl.R32F,
-            36, // 9 positions * 4 max channels
-            4,  // 4 output channels
+            this.getPerceptionWidth() * this.channelSlots, // perception values * channel slots
+            this.channelSlots,     // One row per output channel
             0,
             gl.RED,
             gl.FLOAT,
@@ -736,6 +1629,229 @@ class NeuralCAWebGL {
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
     }
     
+    // Hidden layer ((perceptionWidth * channelSlots + 1) x MAX_HIDDEN_UNITS: perception weights + bias per row) and
+    // output layer (MAX_HIDDEN_UNITS x channelSlots) of the 'mlp' architecture
+    createMlpWeightTextures() {
+        const gl = this.gl;
+        const maxUnits = NeuralCAWebGL.MAX_HIDDEN_UNITS;
+        
+        const createTexture = (width, height) => {
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, width, height, 0, gl.RED, gl.FLOAT, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            return texture;
+        };
+        
+        this.mlpHiddenTexture = createTexture(this.getPerceptionWidth() * this.channelSlots + 1, maxUnits);
+        this.mlpOutputTexture = createTexture(maxUnits, this.channelSlots);
+    }
+    
+    uploadMlpWeights() {
+        const gl = this.gl;
+        const units = this.hiddenUnits;
+        const rowSize = this.getPerceptionWidth() * this.channelSlots + 1;
+        
+        gl.bindTexture(gl.TEXTURE_2D, this.mlpHiddenTexture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, rowSize, units, gl.RED, gl.FLOAT, this.mlpWeights.subarray(0, units * rowSize));
+        
+        gl.bindTexture(gl.TEXTURE_2D, this.mlpOutputTexture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, units, this.channelSlots, gl.RED, gl.FLOAT, this.mlpWeights.subarray(units * rowSize));
+    }
+    
+    // Small float target the exposure program samples the state into
+    createExposureTarget() {
+        const gl = this.gl;
+        const size = NeuralCAWebGL.AUTO_EXPOSURE_SIZE;
+        
+        this.exposureTexture = this.createFloatTexture(gl, size, size);
+        this.exposureFramebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.exposureFramebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.exposureTexture, 0);
+        
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error(`Exposure framebuffer not complete: ${this.getFramebufferStatusString(status)}`);
+        }
+    }
+    
+    // Grid-sized R8 texture holding the mask kind of every cell
+    createMaskTexture() {
+        const gl = this.gl;
+        
+        this.maskTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.R8,
+            this.gridWidth,
+            this.gridHeight,
+            0,
+            gl.RED,
+            gl.UNSIGNED_BYTE,
+            null
+        );
+        
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+    
+    // Upload a rectangle of maskData (the whole grid by default)
+    uploadMask(x = 0, y = 0, width = this.gridWidth, height = this.gridHeight) {
+        const gl = this.gl;
+        const regionData = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            const start = (y + row) * this.gridWidth + x;
+            regionData.set(this.maskData.subarray(start, start + width), row * width);
+        }
+        
+        gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+        // One byte per texel, so rows aren't 4-byte aligned
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texSubImage2D(
+            gl.TEXTURE_2D,
+            0,
+            x, y,
+            width, height,
+            gl.RED,
+            gl.UNSIGNED_BYTE,
+            regionData
+        );
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    }
+    
+    // 1D color lookup (PALETTE_SIZE x 1, RGBA8) sampled by the render shader
+    createPaletteTexture() {
+        const gl = this.gl;
+        
+        this.paletteTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA8,
+            NeuralCAWebGL.PALETTE_SIZE,
+            1,
+            0,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            null
+        );
+        
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+    
+    getPaletteStops() {
+        if (this.colorScheme === 'custom') return this.customPalette;
+        if (this.colorScheme === 'auto') return NeuralCAWebGL.COLOR_SCHEMES[this.numChannels === 1 ? 'grayscale' : 'rainbow'];
+        return NeuralCAWebGL.COLOR_SCHEMES[this.colorScheme];
+    }
+    
+    uploadPalette() {
+        const gl = this.gl;
+        const paletteData = NeuralCAWebGL.buildPalette(this.getPaletteStops(), NeuralCAWebGL.PALETTE_SIZE);
+        
+        gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+        gl.texSubImage2D(
+            gl.TEXTURE_2D,
+            0,
+            0, 0,
+            NeuralCAWebGL.PALETTE_SIZE, 1,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            paletteData
+        );
+    }
+    
+    // Linearly interpolate sorted [position, '#rrggbb'] stops into RGBA8 texels
+    static buildPalette(stops, size) {
+        const sorted = stops.slice().sort((a, b) => a[0] - b[0]);
+        const colors = sorted.map(([, hex]) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+        const paletteData = new Uint8Array(size * 4);
+        
+        for (let i = 0; i < size; i++) {
+            const t = i / (size - 1);
+            let upper = sorted.findIndex(([position]) => position >= t);
+            if (upper === -1) upper = sorted.length - 1;
+            const lower = Math.max(0, upper - 1);
+            
+            const span = sorted[upper][0] - sorted[lower][0];
+            const mix = span > 0 ? Math.max(0, Math.min(1, (t - sorted[lower][0]) / span)) : 0;
+            for (let c = 0; c < 3; c++) {
+                paletteData[i * 4 + c] = Math.round(colors[lower][c] + (colors[upper][c] - colors[lower][c]) * mix);
+            }
+            paletteData[i * 4 + 3] = 255;
+        }
+        
+        return paletteData;
+    }
+    
+    static copyChannelMapping(mapping) {
+        return { mode: mapping.mode, sources: mapping.sources.slice() };
+    }
+    
+    static validateChannelMapping(mapping, name = 'channelMapping') {
+        if (!mapping || !NeuralCAWebGL.COLOR_MODES[mapping.mode]) {
+            throw new Error(`"${name}.mode" must be one of ${Object.keys(NeuralCAWebGL.COLOR_MODES).join(', ')}`);
+        }
+        if (!Array.isArray(mapping.sources) || mapping.sources.length !== 4 ||
+            !mapping.sources.every(source => NeuralCAWebGL.MAPPING_SOURCES.includes(source))) {
+            throw new Error(`"${name}.sources" must be 4 of ${NeuralCAWebGL.MAPPING_SOURCES.join(', ')}`);
+        }
+    }
+    
+    // Source ids for the render shader plus which channels feed the visibility threshold
+    getMappingUniforms() {
+        const { mode, sources } = this.channelMapping;
+        const slotsUsed = this.numChannels === 1 && mode === 'palette' ? 1 : NeuralCAWebGL.COLOR_MODES[mode];
+        const channelMask = [0, 0, 0, 0];
+        
+        sources.slice(0, slotsUsed).forEach(source => {
+            const channel = /^(ch|abs)(\d)$/.exec(source);
+            if (channel) {
+                channelMask[parseInt(channel[2])] = 1;
+            } else if (source === 'magnitude') {
+                channelMask.fill(1);
+            }
+        });
+        
+        // Constant-only mappings still show everything above the threshold
+        for (let c = 0; c < 4; c++) {
+            if (c >= this.numChannels) channelMask[c] = 0;
+        }
+        if (channelMask.every(v => v === 0)) {
+            channelMask.fill(1, 0, Math.min(4, this.numChannels));
+        }
+        
+        return {
+            colorMode: Object.keys(NeuralCAWebGL.COLOR_MODES).indexOf(mode),
+            sources: sources.map(source => NeuralCAWebGL.MAPPING_SOURCES.indexOf(source)),
+            channelMask
+        };
+    }
+    
+    static validatePalette(stops, name = 'palette') {
+        if (!Array.isArray(stops) || stops.length < 2) {
+            throw new Error(`"${name}" must be an array of at least 2 [position, color] stops`);
+        }
+        stops.forEach((stop, i) => {
+            if (!Array.isArray(stop) || typeof stop[0] !== 'number' || stop[0] < 0 || stop[0] > 1 ||
+                typeof stop[1] !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(stop[1])) {
+                throw new Error(`"${name}[${i}]" must be [position 0-1, "#rrggbb"]`);
+            }
+        });
+    }
+    
     createQuadGeometry() {
         const gl = this.gl;
         
@@ -751,8 +1867,13 @@ class NeuralCAWebGL {
         gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
         
-        // Set up vertex attribute for both programs
-        [this.computeProgram, this.renderProgram].forEach(program => {
+        this.bindQuadGeometry();
+    }
+    
+    // Set up vertex attribute for every program (again for a compute program rebuilt by recreateKernelResources)
+    bindQuadGeometry(programs = [this.computeProgram, this.renderProgram, this.exposureProgram]) {
+        const gl = this.gl;
+        programs.forEach(program => {
             const positionLocation = gl.getAttribLocation(program, 'a_position');
             gl.useProgram(program);
             gl.enableVertexAttribArray(positionLocation);
@@ -762,25 +1883,23 @@ class NeuralCAWebGL {
     }
     
     // Xavier/Glorot initialization
-    initializeXavierWeights(weightData) {
-        const fanIn = this.numChannels * 9; // Input channels * kernel size
-        const fanOut = this.numChannels; // Output channels
+    initializeXavierWeights(weightData, fanIn = this.getPerceptionSize(), fanOut = this.numChannels) {
+        // Defaults: input channels * kernel size in, output channels out
         const limit = Math.sqrt(6.0 / (fanIn + fanOut));
         
         for (let i = 0; i < weightData.length; i++) {
-            weightData[i] = (Math.random() * 2 - 1) * limit;
+            weightData[i] = (this.rng.weights.next() * 2 - 1) * limit;
         }
     }
     
     // He initialization (good for ReLU)
-    initializeHeWeights(weightData) {
-        const fanIn = this.numChannels * 9;
+    initializeHeWeights(weightData, fanIn = this.getPerceptionSize()) {
         const stddev = Math.sqrt(2.0 / fanIn);
         
         for (let i = 0; i < weightData.length; i++) {
             // Box-Muller transform for Gaussian distribution
-            const u1 = Math.random();
-            const u2 = Math.random();
+            const u1 = this.rng.weights.next();
+            const u2 = this.rng.weights.next();
             const gaussian = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
             weightData[i] = gaussian * stddev;
         }
@@ -790,7 +1909,7 @@ class NeuralCAWebGL {
     initializeUniformWeights(weightData) {
         const range = this.weightRange;
         for (let i = 0; i < weightData.length; i++) {
-            weightData[i] = (Math.random() * 2 - 1) * range;
+            weightData[i] = (this.rng.weights.next() * 2 - 1) * range;
         }
     }
     
@@ -816,7 +1935,7 @@ class NeuralCAWebGL {
             gl.TEXTURE_2D,
             0,
             0, 0,
-            36, 4,
+            this.getPerceptionWidth() * this.channelSlots, this.channelSlots,
             gl.RED,
             gl.FLOAT,
             weightData
@@ -826,7 +1945,7 @@ class NeuralCAWebGL {
     // Read weights from GPU (for mutation)
     readWeightsFromGPU() {
         const gl = this.gl;
-        const weightData = new Float32Array(36 * 4);
+        const weightData = new Float32Array(NeuralCAWebGL.getWeightCount(this.channelSlots, this.getPerceptionWidth()));
         
         // Create temporary framebuffer to read from weight texture
         const fb = gl.createFramebuffer();
@@ -834,7 +1953,7 @@ class NeuralCAWebGL {
         gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.weightTexture, 0);
         
         if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE) {
-            gl.readPixels(0, 0, 36, 4, gl.RED, gl.FLOAT, weightData);
+            gl.readPixels(0, 0, this.getPerceptionWidth() * this.channelSlots, this.channelSlots, gl.RED, gl.FLOAT, weightData);
         }
         
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
@@ -846,9 +1965,10 @@ class NeuralCAWebGL {
     // Enhanced mutation methods with finer control
     mutateWeights(mutationType = null) {
         const type = mutationType || this.mutationPattern;
+        const isMlp = this.architecture === 'mlp';
         
-        // Read existing weights from GPU before mutation
-        const weightData = this.readWeightsFromGPU();
+        // Read existing weights from GPU before mutation (the MLP weights only live on the CPU side)
+        const weightData = isMlp ? this.mlpWeights.slice() : this.readWeightsFromGPU();
         
         // Apply mutations based on type
         switch (type) {
@@ -870,44 +1990,107 @@ class NeuralCAWebGL {
             default:
                 this.applyUniformMutation(weightData);
         }
+        this.mutateChannelParams();
         
         // Apply constraints and upload
         this.applyWeightConstraints(weightData);
-        this.uploadWeights(weightData);
-        
-        // Store for calculation display
-        this.currentWeights = weightData.slice();
+        if (isMlp) {
+            this.mlpWeights = weightData;
+            this.uploadMlpWeights();
+        } else {
+            this.uploadWeights(weightData);
+            
+            // Store for calculation display
+            this.currentWeights = weightData.slice();
+        }
         
         // Record mutation in history
         this.recordMutation(type, this.mutationRate, this.mutationStrength);
+        this.pushWeightHistory(type, this.mutationRate, this.mutationStrength);
         
-        // Notify calculation display of mutation
-        if (typeof updateCalculationDisplay === 'function') {
-            updateCalculationDisplay('mutation', {
-                type: type,
-                rate: this.mutationRate,
-                strength: this.mutationStrength,
-                timestamp: new Date()
+        // Notify the app of the mutation
+        this.notify('mutation', {
+            type: type,
+            rate: this.mutationRate,
+            strength: this.mutationStrength,
+            timestamp: new Date()
+        });
+    }
+    
+    // Mutable weights grouped the way the masks see them. Each group has the output channel its
+    // weights feed (null when they feed every channel) and the indices allowed by the kernel mask.
+    // conv: one group per output channel, indices (outChannel * perceptionWidth * channelSlots) + (kernelPos * numChannels) + inChannel.
+    // mlp: one group per hidden unit (perception weights + bias), then one per output channel.
+    getWeightGroups() {
+        const groups = [];
+        const inputs = this.getMutablePerceptionIndices();
+        
+        const rowSize = this.getPerceptionWidth() * this.channelSlots;
+        
+        if (this.architecture === 'mlp') {
+            for (let unit = 0; unit < this.hiddenUnits; unit++) {
+                const indices = inputs.map(input => unit * (rowSize + 1) + input);
+                indices.push(unit * (rowSize + 1) + rowSize);
+                groups.push({ outChannel: null, indices: indices });
+            }
+            
+            const outputOffset = this.hiddenUnits * (rowSize + 1);
+            for (let outChannel = 0; outChannel < this.channelSlots; outChannel++) {
+                const indices = [];
+                for (let unit = 0; unit < this.hiddenUnits; unit++) {
+                    indices.push(outputOffset + outChannel * this.hiddenUnits + unit);
+                }
+                groups.push({ outChannel: outChannel, indices: indices });
+            }
+            return groups;
+        }
+        
+        for (let outChannel = 0; outChannel < this.channelSlots; outChannel++) {
+            const indices = inputs.map(input => (outChannel * rowSize) + input);
+            groups.push({ outChannel: outChannel, indices: indices });
+        }
+        return groups;
+    }
+    
+    // Perception slots whose weights may mutate: kernel positions allowed by the kernel mask,
+    // or the enabled fixed filters (the kernel mask doesn't apply to filter responses)
+    getMutablePerceptionIndices() {
+        const indices = [];
+        if (this.perceptionMode === 'filters') {
+            Object.keys(NeuralCAWebGL.PERCEPTION_FILTERS).forEach((name, filter) => {
+                if (!this.perceptionFilters[name]) return;
+                for (let inChannel = 0; inChannel < this.numChannels; inChannel++) {
+                    indices.push(filter * this.numChannels + inChannel);
+                }
             });
+            return indices;
+        }
+        
+        for (let kernelPos = 0; kernelPos < this.kernelMutationMask.length; kernelPos++) {
+            if (!this.kernelMutationMask[kernelPos]) continue;
+            for (let inChannel = 0; inChannel < this.numChannels; inChannel++) {
+                indices.push((kernelPos * this.numChannels) + inChannel);
+            }
         }
+        return indices;
+    }
+    
+    // Groups whose output channel is enabled in the channel mutation mask
+    getMutableWeightGroups() {
+        return this.getWeightGroups().filter(group =>
+            group.outChannel === null || this.channelMutationMask[group.outChannel]
+        );
     }
     
     // Uniform mutation
     applyUniformMutation(weightData) {
         const mutationStrength = this.mutationStrength * this.weightRange;
         
-        for (let outChannel = 0; outChannel < 4; outChannel++) {
-            if (!this.channelMutationMask[outChannel]) continue;
-            
-            for (let kernelPos = 0; kernelPos < 9; kernelPos++) {
-                if (!this.kernelMutationMask[kernelPos]) continue;
-                
-                for (let inChannel = 0; inChannel < this.numChannels; inChannel++) {
-                    if (Math.random() < this.mutationRate) {
-                        const idx = (outChannel * 36) + (kernelPos * this.numChannels) + inChannel;
-                        const mutation = (Math.random() * 2 - 1) * mutationStrength;
-                        weightData[idx] += mutation;
-                    }
+        for (const group of this.getMutableWeightGroups()) {
+            for (const idx of group.indices) {
+                if (this.rng.mutation.next() < this.mutationRate) {
+                    const mutation = (this.rng.mutation.next() * 2 - 1) * mutationStrength;
+                    weightData[idx] += mutation;
                 }
             }
         }
@@ -917,22 +2100,15 @@ class NeuralCAWebGL {
     applyGaussianMutation(weightData) {
         const mutationStrength = this.mutationStrength * this.weightRange;
         
-        for (let outChannel = 0; outChannel < 4; outChannel++) {
-            if (!this.channelMutationMask[outChannel]) continue;
-            
-            for (let kernelPos = 0; kernelPos < 9; kernelPos++) {
-                if (!this.kernelMutationMask[kernelPos]) continue;
-                
-                for (let inChannel = 0; inChannel < this.numChannels; inChannel++) {
-                    if (Math.random() < this.mutationRate) {
-                        const idx = (outChannel * 36) + (kernelPos * this.numChannels) + inChannel;
-                        // Box-Muller transform for Gaussian
-                        const u1 = Math.random();
-                        const u2 = Math.random();
-                        const gaussian = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-                        const mutation = gaussian * mutationStrength;
-                        weightData[idx] += mutation;
-                    }
+        for (const group of this.getMutableWeightGroups()) {
+            for (const idx of group.indices) {
+                if (this.rng.mutation.next() < this.mutationRate) {
+                    // Box-Muller transform for Gaussian
+                    const u1 = this.rng.mutation.next();
+                    const u2 = this.rng.mutation.next();
+                    const gaussian = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+                    const mutation = gaussian * mutationStrength;
+                    weightData[idx] += mutation;
                 }
             }
         }
@@ -942,23 +2118,16 @@ class NeuralCAWebGL {
     applySelectiveMutation(weightData) {
         const mutationStrength = this.mutationStrength * this.weightRange;
         
-        for (let outChannel = 0; outChannel < 4; outChannel++) {
-            if (!this.channelMutationMask[outChannel]) continue;
-            
-            for (let kernelPos = 0; kernelPos < 9; kernelPos++) {
-                if (!this.kernelMutationMask[kernelPos]) continue;
+        for (const group of this.getMutableWeightGroups()) {
+            for (const idx of group.indices) {
+                const weight = weightData[idx];
                 
-                for (let inChannel = 0; inChannel < this.numChannels; inChannel++) {
-                    const idx = (outChannel * 36) + (kernelPos * this.numChannels) + inChannel;
-                    const weight = weightData[idx];
-                    
-                    // Higher chance to mutate smaller weights
-                    const probability = this.mutationRate * (1.0 + Math.exp(-Math.abs(weight)));
-                    
-                    if (Math.random() < probability) {
-                        const mutation = (Math.random() * 2 - 1) * mutationStrength;
-                        weightData[idx] += mutation;
-                    }
+                // Higher chance to mutate smaller weights
+                const probability = this.mutationRate * (1.0 + Math.exp(-Math.abs(weight)));
+                
+                if (this.rng.mutation.next() < probability) {
+                    const mutation = (this.rng.mutation.next() * 2 - 1) * mutationStrength;
+                    weightData[idx] += mutation;
                 }
             }
         }
@@ -968,20 +2137,13 @@ class NeuralCAWebGL {
     applySpatialMutation(weightData) {
         const mutationStrength = this.mutationStrength * this.weightRange;
         
-        for (let outChannel = 0; outChannel < 4; outChannel++) {
-            if (!this.channelMutationMask[outChannel]) continue;
-            
-            // Sometimes mutate entire kernels together
-            if (Math.random() < this.mutationRate * 0.5) {
-                const globalMutation = (Math.random() * 2 - 1) * mutationStrength * 0.5;
+        for (const group of this.getMutableWeightGroups()) {
+            // Sometimes mutate entire kernels (or hidden units) together
+            if (this.rng.mutation.next() < this.mutationRate * 0.5) {
+                const globalMutation = (this.rng.mutation.next() * 2 - 1) * mutationStrength * 0.5;
                 
-                for (let kernelPos = 0; kernelPos < 9; kernelPos++) {
-                    if (!this.kernelMutationMask[kernelPos]) continue;
-                    
-                    for (let inChannel = 0; inChannel < this.numChannels; inChannel++) {
-                        const idx = (outChannel * 36) + (kernelPos * this.numChannels) + inChannel;
-                        weightData[idx] += globalMutation;
-                    }
+                for (const idx of group.indices) {
+                    weightData[idx] += globalMutation;
                 }
             } else {
                 // Normal mutation
@@ -995,23 +2157,32 @@ class NeuralCAWebGL {
         const decayedStrength = this.mutationStrength * Math.pow(this.mutationDecay, this.stepCount / 1000);
         const mutationStrength = decayedStrength * this.weightRange;
         
-        for (let outChannel = 0; outChannel < 4; outChannel++) {
-            if (!this.channelMutationMask[outChannel]) continue;
-            
-            for (let kernelPos = 0; kernelPos < 9; kernelPos++) {
-                if (!this.kernelMutationMask[kernelPos]) continue;
-                
-                for (let inChannel = 0; inChannel < this.numChannels; inChannel++) {
-                    if (Math.random() < this.mutationRate) {
-                        const idx = (outChannel * 36) + (kernelPos * this.numChannels) + inChannel;
-                        const mutation = (Math.random() * 2 - 1) * mutationStrength;
-                        weightData[idx] += mutation;
-                    }
+        for (const group of this.getMutableWeightGroups()) {
+            for (const idx of group.indices) {
+                if (this.rng.mutation.next() < this.mutationRate) {
+                    const mutation = (this.rng.mutation.next() * 2 - 1) * mutationStrength;
+                    weightData[idx] += mutation;
                 }
             }
         }
     }
     
+    // Biases take uniform steps like the weights (at BIAS_SCALE); update rates are scaled by up to
+    // e^±strength so slow channels stay slow. Same rate and channel mask as the weights, for every pattern.
+    mutateChannelParams() {
+        const biasStrength = this.mutationStrength * this.weightRange * NeuralCAWebGL.BIAS_SCALE;
+        
+        for (let c = 0; c < this.numChannels; c++) {
+            if (!this.channelMutationMask[c]) continue;
+            if (this.rng.mutation.next() < this.mutationRate) {
+                this.setChannelBias(c, this.channelBiases[c] + (this.rng.mutation.next() * 2 - 1) * biasStrength);
+            }
+            if (this.rng.mutation.next() < this.mutationRate) {
+                this.setChannelUpdateRate(c, this.channelUpdateRates[c] * Math.exp((this.rng.mutation.next() * 2 - 1) * this.mutationStrength));
+            }
+        }
+    }
+    
     // Record mutation in history
     recordMutation(type, rate, strength) {
         this.mutationHistory.push({
@@ -1028,72 +2199,784 @@ class NeuralCAWebGL {
         }
     }
     
+    // Everything an undo step has to bring back
+    captureWeights() {
+        return {
+            weights: this.currentWeights.slice(),
+            channelWeightScales: this.channelWeightScales.slice(),
+            kernelWeightScales: this.kernelWeightScales.slice(),
+            kernelMutationMask: this.kernelMutationMask.slice(),
+            channelBiases: this.channelBiases.slice(),
+            channelUpdateRates: this.channelUpdateRates.slice(),
+            kernelSize: this.kernelSize,
+            kernelShape: this.kernelShape,
+            architecture: this.architecture,
+            hiddenUnits: this.hiddenUnits,
+            mlpWeights: this.mlpWeights ? this.mlpWeights.slice() : null
+        };
+    }
+    
+    restoreWeights(state) {
+        if (state.kernelSize !== this.kernelSize || state.kernelShape !== this.kernelShape) {
+            this.applyKernelLayout(state.kernelSize, state.kernelShape);
+        }
+        this.uploadWeights(state.weights);
+        this.currentWeights = state.weights.slice();
+        this.channelWeightScales = state.channelWeightScales.slice();
+        this.kernelWeightScales = state.kernelWeightScales.slice();
+        this.kernelMutationMask = state.kernelMutationMask.slice(); // applyKernelLayout resets it to all true
+        this.channelBiases = state.channelBiases.slice();
+        this.channelUpdateRates = state.channelUpdateRates.slice();
+        
+        this.architecture = state.architecture;
+        this.hiddenUnits = state.hiddenUnits;
+        this.mlpWeights = state.mlpWeights ? state.mlpWeights.slice() : null;
+        if (this.mlpWeights) {
+            this.uploadMlpWeights();
+        }
+    }
+    
+    static sameWeights(a, b) {
+        const same = (x, y) => x === y || (!!x && !!y && x.length === y.length && x.every((value, i) => value === y[i]));
+        return same(a.weights, b.weights) &&
+               same(a.channelWeightScales, b.channelWeightScales) &&
+               same(a.kernelWeightScales, b.kernelWeightScales) &&
+               same(a.kernelMutationMask, b.kernelMutationMask) &&
+               same(a.channelBiases, b.channelBiases) &&
+               same(a.channelUpdateRates, b.channelUpdateRates) &&
+               a.kernelSize === b.kernelSize &&
+               a.kernelShape === b.kernelShape &&
+               a.architecture === b.architecture &&
+               a.hiddenUnits === b.hiddenUnits &&
+               same(a.mlpWeights, b.mlpWeights);
+    }
+    
+    // Push the current weights onto the undo stack (drops any redo entries past the live one)
+    pushWeightHistory(type, rate = null, strength = null) {
+        const state = this.captureWeights();
+        const live = this.weightHistory[this.weightHistoryIndex];
+        if (live && NeuralCAWebGL.sameWeights(live, state)) {
+            return;
+        }
+        
+        this.weightHistory.length = this.weightHistoryIndex + 1;
+        this.weightHistory.push({
+            timestamp: Date.now(),
+            type: type,
+            rate: rate,
+            strength: strength,
+            stepCount: this.stepCount,
+            ...state
+        });
+        
+        if (this.weightHistory.length > this.maxWeightHistorySize) {
+            this.weightHistory.shift();
+        }
+        this.weightHistoryIndex = this.weightHistory.length - 1;
+        
+        this.notifyWeightHistory(false);
+    }
+    
+    canUndoWeights() {
+        return this.weightHistoryIndex > 0;
+    }
+    
+    canRedoWeights() {
+        return this.weightHistoryIndex < this.weightHistory.length - 1;
+    }
+    
+    undoWeights() {
+        return this.canUndoWeights() && this.jumpToWeightHistory(this.weightHistoryIndex - 1);
+    }
+    
+    redoWeights() {
+        return this.canRedoWeights() && this.jumpToWeightHistory(this.weightHistoryIndex + 1);
+    }
+    
+    // Restore any entry; later entries stay available for redo until the next push
+    jumpToWeightHistory(index) {
+        const entry = this.weightHistory[index];
+        if (!entry) return false;
+        
+        this.restoreWeights(entry);
+        this.weightHistoryIndex = index;
+        this.notifyWeightHistory(true);
+        return true;
+    }
+    
+    notifyWeightHistory(restored) {
+        this.notify('history', {
+            index: this.weightHistoryIndex,
+            length: this.weightHistory.length,
+            restored: restored,
+            timestamp: new Date()
+        });
+    }
+    
+    // Sample the live state into the exposure target and return sorted magnitude / brightness values
+    measureExposure() {
+        const gl = this.gl;
+        const size = NeuralCAWebGL.AUTO_EXPOSURE_SIZE;
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.exposureFramebuffer);
+        gl.viewport(0, 0, size, size);
+        gl.useProgram(this.exposureProgram);
+        
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.stateTextures[this.currentStateIndex]);
+        gl.uniform1i(this.exposureUniforms.state, 0);
+        gl.uniform4i(this.exposureUniforms.viewChannels, ...this.viewChannels);
+        gl.uniform1i(this.exposureUniforms.numChannels, Math.min(4, this.numChannels));
+        
+        const mapping = this.getMappingUniforms();
+        gl.uniform1i(this.exposureUniforms.colorMode, mapping.colorMode);
+        gl.uniform4i(this.exposureUniforms.mapSources, ...mapping.sources);
+        gl.uniform4f(this.exposureUniforms.mapChannelMask, ...mapping.channelMask);
+        
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        
+        const samples = new Float32Array(size * size * 4);
+        gl.readPixels(0, 0, size, size, gl.RGBA, gl.FLOAT, samples);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        const magnitudes = new Float32Array(size * size);
+        const brightness = new Float32Array(size * size);
+        for (let i = 0; i < size * size; i++) {
+            magnitudes[i] = samples[i * 4];
+            brightness[i] = samples[i * 4 + 1];
+        }
+        
+        return { magnitudes: magnitudes.sort(), brightness: brightness.sort() };
+    }
+    
+    // Pick threshold / fade / contrast from the state's value distribution so faint structure stays visible:
+    // the threshold sits at the 25th percentile of magnitude (at least 2% of the 98th), the fade spans
+    // 30% of the remaining range and the contrast maps the 98th percentile of brightness to full white.
+    // Values move 30% toward the target per measurement to avoid flicker.
+    applyAutoExposure() {
+        this.lastExposureTime = performance.now();
+        
+        const { magnitudes, brightness } = this.measureExposure();
+        const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+        const peak = percentile(magnitudes, 0.98);
+        if (!(peak > 1e-6)) return; // Empty or non-finite field - keep the current exposure
+        
+        const threshold = Math.max(percentile(magnitudes, 0.25), peak * 0.02);
+        const fadeRange = Math.max(0.005, (peak - threshold) * 0.3);
+        const brightPeak = Math.pow(Math.max(1e-3, percentile(brightness, 0.98)), 1 / this.renderParams.gamma);
+        const contrast = Math.max(0.5, Math.min(8.0, 1 / brightPeak));
+        
+        const params = this.renderParams;
+        params.threshold += (threshold - params.threshold) * 0.3;
+        params.fadeRange += (fadeRange - params.fadeRange) * 0.3;
+        params.contrast += (contrast - params.contrast) * 0.3;
+        
+        this.notify('exposure', {
+            params: { ...params },
+            timestamp: new Date()
+        });
+    }
+    
     // Method to get network configuration for calculation display
     getNetworkConfig() {
         return {
-            gridSize: this.gridSize,
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight,
             numChannels: this.numChannels,
-            weightCount: 36 * this.numChannels, // 9 kernel positions * 4 channels * numChannels
+            weightCount: this.architecture === 'mlp'
+                ? this.hiddenUnits * (this.getPerceptionSize() + 1) + this.numChannels * this.hiddenUnits
+                : this.getPerceptionSize() * this.numChannels, // perception values (kernel positions or 4 filters) * numChannels * numChannels
+            architecture: this.architecture,
+            hiddenUnits: this.hiddenUnits,
+            perceptionMode: this.perceptionMode,
+            perceptionFilters: { ...this.perceptionFilters },
+            kernelSize: this.kernelSize,
+            kernelShape: this.kernelShape,
+            numLayers: this.numLayers,
+            cellUpdate: { ...this.cellUpdate },
+            neighborBlend: NeuralCAWebGL.copyNeighborBlend(this.neighborBlend),
+            viewChannels: this.viewChannels.slice(),
             activationFunc: this.activationFunc,
             weightRange: this.weightRange,
-            updateRate: this.updateRate,
+            channelBiases: this.channelBiases.slice(0, this.numChannels),
+            channelUpdateRates: this.channelUpdateRates.slice(0, this.numChannels),
             stepCount: this.stepCount,
-            fps: this.fps
+            fps: this.fps,
+            randomSeed: this.randomSeed
+        };
+    }
+    
+    // Serialize the complete rule (weights + every engine setting that shapes the dynamics)
+    exportRule() {
+        return {
+            format: NeuralCAWebGL.RULE_FORMAT,
+            version: NeuralCAWebGL.RULE_FORMAT_VERSION,
+            created: new Date().toISOString(),
+            numChannels: this.numChannels,
+            activationFunc: this.activationFunc,
+            activationParams: JSON.parse(JSON.stringify(this.activationParams)),
+            weightRange: this.weightRange,
+            stepsPerFrame: this.stepsPerFrame,
+            weightInitStrategy: this.weightInitStrategy,
+            weightConstraints: { ...this.weightConstraints },
+            channelWeightScales: this.channelWeightScales.slice(),
+            kernelWeightScales: this.kernelWeightScales.slice(),
+            channelBiases: this.channelBiases.slice(),
+            channelUpdateRates: this.channelUpdateRates.slice(),
+            mutation: {
+                rate: this.mutationRate,
+                strength: this.mutationStrength,
+                pattern: this.mutationPattern,
+                decay: this.mutationDecay,
+                channelMask: this.channelMutationMask.slice(),
+                kernelMask: this.kernelMutationMask.slice()
+            },
+            render: {
+                colorScheme: this.colorScheme,
+                customPalette: this.customPalette.map(stop => stop.slice()),
+                channelMapping: NeuralCAWebGL.copyChannelMapping(this.channelMapping),
+                params: { ...this.renderParams },
+                autoExposure: this.autoExposure,
+                viewChannels: this.viewChannels.slice()
+            },
+            boundary: NeuralCAWebGL.copyBoundary(this.boundary),
+            cellUpdate: { ...this.cellUpdate },
+            maskSettings: NeuralCAWebGL.copyMaskSettings(this.maskSettings),
+            neighborBlend: NeuralCAWebGL.copyNeighborBlend(this.neighborBlend),
+            kernel: { size: this.kernelSize, shape: this.kernelShape },
+            architecture: { type: this.architecture, hiddenUnits: this.hiddenUnits },
+            perception: { mode: this.perceptionMode, filters: { ...this.perceptionFilters } },
+            mlpWeights: this.mlpWeights ? Array.from(this.mlpWeights) : null,
+            // Float32 values survive the round trip through JSON numbers exactly
+            weights: Array.from(this.currentWeights)
+        };
+    }
+    
+    // Load a rule produced by exportRule() (any supported schema version)
+    importRule(rule) {
+        // Migrate and validate everything before touching engine state
+        const migrated = NeuralCAWebGL.migrateRule(rule);
+        NeuralCAWebGL.validateRule(migrated);
+        
+        // Textures are sized for this engine's channel slots, so e.g. an 8 channel rule needs an 8 channel engine
+        const channelSlots = NeuralCAWebGL.getChannelSlots(migrated.numChannels);
+        if (channelSlots !== this.channelSlots) {
+            throw new Error(`Rule has ${migrated.numChannels} channels, but this engine was built for ${this.numChannels}; rebuild it with the rule's channel count first`);
+        }
+        if (migrated.kernel.size !== this.kernelSize || migrated.kernel.shape !== this.kernelShape) {
+            this.applyKernelLayout(migrated.kernel.size, migrated.kernel.shape);
+        }
+        
+        this.numChannels = migrated.numChannels;
+        this.activationFunc = migrated.activationFunc;
+        for (const func of Object.keys(this.activationParams)) {
+            if (migrated.activationParams[func]) {
+                Object.assign(this.activationParams[func], migrated.activationParams[func]);
+            }
+        }
+        this.weightRange = migrated.weightRange;
+        this.stepsPerFrame = migrated.stepsPerFrame;
+        this.weightInitStrategy = migrated.weightInitStrategy;
+        Object.assign(this.weightConstraints, migrated.weightConstraints);
+        this.channelWeightScales = migrated.channelWeightScales.slice();
+        this.kernelWeightScales = migrated.kernelWeightScales.slice();
+        this.channelBiases = migrated.channelBiases.slice();
+        this.channelUpdateRates = migrated.channelUpdateRates.slice();
+        
+        this.mutationRate = migrated.mutation.rate;
+        this.mutationStrength = migrated.mutation.strength;
+        this.mutationPattern = migrated.mutation.pattern;
+        this.mutationDecay = migrated.mutation.decay;
+        this.channelMutationMask = migrated.mutation.channelMask.slice();
+        this.kernelMutationMask = migrated.mutation.kernelMask.slice();
+        
+        this.customPalette = migrated.render.customPalette.map(stop => stop.slice());
+        this.setColorScheme(migrated.render.colorScheme);
+        this.setChannelMapping(migrated.render.channelMapping);
+        this.setRenderParams(migrated.render.params);
+        this.setAutoExposure(migrated.render.autoExposure);
+        this.setViewChannels(migrated.render.viewChannels);
+        this.setBoundary(migrated.boundary);
+        this.setCellUpdate(migrated.cellUpdate);
+        this.setMaskSettings(migrated.maskSettings);
+        this.setNeighborBlend(migrated.neighborBlend);
+        this.setPerception(migrated.perception.mode, migrated.perception.filters);
+        
+        // Weights are uploaded as-is (no constraints) so the rule round-trips exactly
+        const weightData = Float32Array.from(migrated.weights);
+        this.uploadWeights(weightData);
+        this.currentWeights = weightData.slice();
+        
+        this.architecture = migrated.architecture.type;
+        this.hiddenUnits = migrated.architecture.hiddenUnits;
+        this.mlpWeights = migrated.mlpWeights ? Float32Array.from(migrated.mlpWeights) : null;
+        if (this.mlpWeights) {
+            this.uploadMlpWeights();
+        } else if (this.architecture === 'mlp') {
+            this.initializeMlpWeights();
+        }
+        this.pushWeightHistory('rule');
+        
+        console.log(`Rule imported (schema v${rule.version} -> v${migrated.version})`);
+        return migrated;
+    }
+    
+    // Bring a rule object from any older schema version up to RULE_FORMAT_VERSION
+    static migrateRule(rule) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            throw new Error('Rule file must contain a JSON object');
+        }
+        if (rule.format !== NeuralCAWebGL.RULE_FORMAT) {
+            throw new Error(`Not a Moonlight Pools rule file (format "${rule.format}")`);
+        }
+        
+        const currentVersion = NeuralCAWebGL.RULE_FORMAT_VERSION;
+        let version = rule.version;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid rule schema version: ${rule.version}`);
+        }
+        if (version > currentVersion) {
+            throw new Error(`Rule file uses schema v${version}, but this build only supports up to v${currentVersion}`);
+        }
+        
+        // Work on a copy so the caller's object is never modified
+        let migrated = JSON.parse(JSON.stringify(rule));
+        while (version < currentVersion) {
+            migrated = NeuralCAWebGL.RULE_MIGRATIONS[version](migrated);
+            version = migrated.version;
+        }
+        return migrated;
+    }
+    
+    // Reject malformed rules with a readable message instead of uploading garbage weights
+    static validateRule(rule) {
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        const checkNumberArray = (value, length, name) => {
+            if (!Array.isArray(value) || value.length !== length) {
+                throw new Error(`"${name}" must be an array of ${length} numbers`);
+            }
+            const badIndex = value.findIndex(v => !isNumber(v));
+            if (badIndex !== -1) {
+                throw new Error(`"${name}[${badIndex}]" is not a finite number`);
+            }
+        };
+        const checkBooleanArray = (value, length, name) => {
+            if (!Array.isArray(value) || value.length !== length || !value.every(v => typeof v === 'boolean')) {
+                throw new Error(`"${name}" must be an array of ${length} booleans`);
+            }
+        };
+        
+        if (!Number.isInteger(rule.numChannels) || rule.numChannels < 1 || rule.numChannels > NeuralCAWebGL.MAX_CHANNELS) {
+            throw new Error(`"numChannels" must be an integer from 1 to ${NeuralCAWebGL.MAX_CHANNELS} (got ${rule.numChannels})`);
+        }
+        const channelSlots = NeuralCAWebGL.getChannelSlots(rule.numChannels);
+        if (!NeuralCAWebGL.ACTIVATION_FUNCTIONS.includes(rule.activationFunc)) {
+            throw new Error(`Unknown activation function "${rule.activationFunc}"`);
+        }
+        if (!rule.activationParams || typeof rule.activationParams !== 'object') {
+            throw new Error('"activationParams" must be an object');
+        }
+        for (const [func, params] of Object.entries(rule.activationParams)) {
+            if (!params || typeof params !== 'object' || !Object.values(params).every(isNumber)) {
+                throw new Error(`"activationParams.${func}" must contain only finite numbers`);
+            }
+        }
+        if (!isNumber(rule.weightRange) || rule.weightRange <= 0) {
+            throw new Error(`"weightRange" must be a positive number (got ${rule.weightRange})`);
+        }
+        if (!Number.isInteger(rule.stepsPerFrame) || rule.stepsPerFrame < 1) {
+            throw new Error(`"stepsPerFrame" must be a positive integer (got ${rule.stepsPerFrame})`);
+        }
+        if (!['xavier', 'he', 'uniform', 'custom'].includes(rule.weightInitStrategy)) {
+            throw new Error(`Unknown weight init strategy "${rule.weightInitStrategy}"`);
+        }
+        const constraints = rule.weightConstraints;
+        if (!constraints || !['min', 'max', 'l1Penalty', 'l2Penalty'].every(key => isNumber(constraints[key]))) {
+            throw new Error('"weightConstraints" must define numeric min, max, l1Penalty and l2Penalty');
+        }
+        const kernel = rule.kernel;
+        if (!kernel || !NeuralCAWebGL.KERNEL_SIZES.includes(kernel.size) || !NeuralCAWebGL.KERNEL_SHAPES.includes(kernel.shape)) {
+            throw new Error(`"kernel" must have a size of ${NeuralCAWebGL.KERNEL_SIZES.join(', ')} and a shape of ${NeuralCAWebGL.KERNEL_SHAPES.join(' or ')}`);
+        }
+        const kernelPositions = NeuralCAWebGL.getKernelPositionCount(kernel.size, kernel.shape);
+        const perceptionWidth = NeuralCAWebGL.getPerceptionWidth(kernel.size, kernel.shape);
+        checkNumberArray(rule.channelWeightScales, channelSlots, 'channelWeightScales');
+        checkNumberArray(rule.kernelWeightScales, kernelPositions, 'kernelWeightScales');
+        checkNumberArray(rule.channelBiases, channelSlots, 'channelBiases');
+        checkNumberArray(rule.channelUpdateRates, channelSlots, 'channelUpdateRates');
+        const badRate = rule.channelUpdateRates.findIndex(rate => rate <= 0 || rate > 1);
+        if (badRate !== -1) {
+            throw new Error(`"channelUpdateRates[${badRate}]" must be in (0, 1] (got ${rule.channelUpdateRates[badRate]})`);
+        }
+        
+        const mutation = rule.mutation;
+        if (!mutation || typeof mutation !== 'object') {
+            throw new Error('"mutation" settings are missing');
+        }
+        if (!isNumber(mutation.rate) || !isNumber(mutation.strength) || !isNumber(mutation.decay)) {
+            throw new Error('"mutation" must define numeric rate, strength and decay');
+        }
+        if (!['uniform', 'gaussian', 'selective', 'spatial', 'temporal'].includes(mutation.pattern)) {
+            throw new Error(`Unknown mutation pattern "${mutation.pattern}"`);
+        }
+        checkBooleanArray(mutation.channelMask, channelSlots, 'mutation.channelMask');
+        checkBooleanArray(mutation.kernelMask, kernelPositions, 'mutation.kernelMask');
+        
+        const render = rule.render;
+        if (!render || typeof render !== 'object') {
+            throw new Error('"render" settings are missing');
+        }
+        if (render.colorScheme !== 'custom' && render.colorScheme !== 'auto' && !NeuralCAWebGL.COLOR_SCHEMES[render.colorScheme]) {
+            throw new Error(`Unknown color scheme "${render.colorScheme}"`);
+        }
+        NeuralCAWebGL.validatePalette(render.customPalette, 'render.customPalette');
+        NeuralCAWebGL.validateChannelMapping(render.channelMapping, 'render.channelMapping');
+        if (!render.params || !['threshold', 'fadeRange', 'contrast', 'gamma'].every(key => isNumber(render.params[key]))) {
+            throw new Error('"render.params" must define numeric threshold, fadeRange, contrast and gamma');
+        }
+        if (typeof render.autoExposure !== 'boolean') {
+            throw new Error('"render.autoExposure" must be true or false');
+        }
+        if (!Array.isArray(render.viewChannels) || render.viewChannels.length !== 4 ||
+            !render.viewChannels.every(c => Number.isInteger(c) && c >= 0 && c < NeuralCAWebGL.MAX_CHANNELS) ||
+            render.viewChannels.slice(0, Math.min(4, rule.numChannels)).some(c => c >= rule.numChannels)) {
+            throw new Error(`"render.viewChannels" must be 4 channel indices below ${rule.numChannels}`);
+        }
+        NeuralCAWebGL.validateBoundary(rule.boundary, 'boundary');
+        NeuralCAWebGL.validateCellUpdate(rule.cellUpdate, rule.numChannels, 'cellUpdate');
+        NeuralCAWebGL.validateMaskSettings(rule.maskSettings, 'maskSettings');
+        NeuralCAWebGL.validateNeighborBlend(rule.neighborBlend, rule.numChannels, 'neighborBlend');
+        
+        const architecture = rule.architecture;
+        if (!architecture || !NeuralCAWebGL.ARCHITECTURES.includes(architecture.type)) {
+            throw new Error(`Unknown architecture "${architecture && architecture.type}"`);
+        }
+        if (!Number.isInteger(architecture.hiddenUnits) ||
+            architecture.hiddenUnits < NeuralCAWebGL.MIN_HIDDEN_UNITS || architecture.hiddenUnits > NeuralCAWebGL.MAX_HIDDEN_UNITS) {
+            throw new Error(`"architecture.hiddenUnits" must be an integer from ${NeuralCAWebGL.MIN_HIDDEN_UNITS} to ${NeuralCAWebGL.MAX_HIDDEN_UNITS}`);
+        }
+        
+        const perception = rule.perception;
+        if (!perception || !NeuralCAWebGL.PERCEPTION_MODES.includes(perception.mode)) {
+            throw new Error(`Unknown perception mode "${perception && perception.mode}"`);
+        }
+        if (!perception.filters || typeof perception.filters !== 'object' ||
+            !Object.keys(NeuralCAWebGL.PERCEPTION_FILTERS).every(name => typeof perception.filters[name] === 'boolean')) {
+            throw new Error(`"perception.filters" must map ${Object.keys(NeuralCAWebGL.PERCEPTION_FILTERS).join(', ')} to booleans`);
+        }
+        if (rule.mlpWeights !== null) {
+            checkNumberArray(rule.mlpWeights, NeuralCAWebGL.getMlpWeightCount(architecture.hiddenUnits, channelSlots, perceptionWidth), 'mlpWeights');
+        }
+        
+        checkNumberArray(rule.weights, NeuralCAWebGL.getWeightCount(channelSlots, perceptionWidth), 'weights');
+    }
+    
+    static copyBoundary(boundary) {
+        return { x: boundary.x, y: boundary.y, wallValue: boundary.wallValue.slice() };
+    }
+    
+    static validateBoundary(boundary, name = 'boundary') {
+        if (!boundary || typeof boundary !== 'object') {
+            throw new Error(`"${name}" must be an object with x, y and wallValue`);
+        }
+        for (const axis of ['x', 'y']) {
+            if (NeuralCAWebGL.BOUNDARY_MODES[boundary[axis]] === undefined) {
+                throw new Error(`Unknown boundary mode "${boundary[axis]}" for "${name}.${axis}"`);
+            }
+        }
+        if (!Array.isArray(boundary.wallValue) || boundary.wallValue.length !== 4 ||
+            !boundary.wallValue.every(v => typeof v === 'number' && Number.isFinite(v))) {
+            throw new Error(`"${name}.wallValue" must be an array of 4 numbers`);
+        }
+    }
+    
+    static validateCellUpdate(cellUpdate, numChannels, name = 'cellUpdate') {
+        if (!cellUpdate || typeof cellUpdate !== 'object') {
+            throw new Error(`"${name}" must be an object`);
+        }
+        for (const key of ['stochastic', 'aliveMask']) {
+            if (typeof cellUpdate[key] !== 'boolean') {
+                throw new Error(`"${name}.${key}" must be true or false`);
+            }
+        }
+        if (typeof cellUpdate.fireRate !== 'number' || !(cellUpdate.fireRate > 0 && cellUpdate.fireRate <= 1)) {
+            throw new Error(`"${name}.fireRate" must be in (0, 1] (got ${cellUpdate.fireRate})`);
+        }
+        if (!Number.isInteger(cellUpdate.aliveChannel) || cellUpdate.aliveChannel < 0 || cellUpdate.aliveChannel >= numChannels) {
+            throw new Error(`"${name}.aliveChannel" must be a channel index below ${numChannels} (got ${cellUpdate.aliveChannel})`);
+        }
+        if (typeof cellUpdate.aliveThreshold !== 'number' || !Number.isFinite(cellUpdate.aliveThreshold)) {
+            throw new Error(`"${name}.aliveThreshold" must be a finite number`);
+        }
+    }
+    
+    // The rule part of maskSettings (showOverlay is a display preference, not part of the dynamics)
+    static copyMaskSettings(settings) {
+        return { sourceValue: settings.sourceValue.slice(), sinkRate: settings.sinkRate };
+    }
+    
+    static validateMaskSettings(settings, name = 'maskSettings') {
+        if (!settings || typeof settings !== 'object') {
+            throw new Error(`"${name}" must be an object`);
+        }
+        if (!Array.isArray(settings.sourceValue) || settings.sourceValue.length !== 4 ||
+            !settings.sourceValue.every(v => typeof v === 'number' && v >= -1 && v <= 1)) {
+            throw new Error(`"${name}.sourceValue" must be an array of 4 numbers in [-1, 1]`);
+        }
+        if (typeof settings.sinkRate !== 'number' || !(settings.sinkRate >= 0 && settings.sinkRate <= 1)) {
+            throw new Error(`"${name}.sinkRate" must be in [0, 1] (got ${settings.sinkRate})`);
+        }
+    }
+    
+    static copyNeighborBlend(blend) {
+        return { ...blend, channels: blend.channels.slice() };
+    }
+    
+    static validateNeighborBlend(blend, numChannels, name = 'neighborBlend') {
+        if (!blend || typeof blend !== 'object') {
+            throw new Error(`"${name}" must be an object`);
+        }
+        if (typeof blend.enabled !== 'boolean') {
+            throw new Error(`"${name}.enabled" must be true or false`);
+        }
+        if (typeof blend.influence !== 'number' || !(blend.influence >= 0 && blend.influence <= 1)) {
+            throw new Error(`"${name}.influence" must be in [0, 1] (got ${blend.influence})`);
+        }
+        if (typeof blend.threshold !== 'number' || !(blend.threshold >= 0 && blend.threshold <= 2)) {
+            throw new Error(`"${name}.threshold" must be in [0, 2] (got ${blend.threshold})`);
+        }
+        if (!Array.isArray(blend.channels) || blend.channels.length !== 2 ||
+            !blend.channels.every(c => Number.isInteger(c) && c >= 0 && c < numChannels)) {
+            throw new Error(`"${name}.channels" must be 2 channel indices below ${numChannels}`);
+        }
+    }
+    
+    // Accept a side length or { width, height } and return whole, in-range dimensions
+    static normalizeGridSize(gridSize) {
+        const size = typeof gridSize === 'number' ? { width: gridSize, height: gridSize } : gridSize;
+        if (!size || !Number.isFinite(size.width) || !Number.isFinite(size.height)) {
+            throw new Error(`Invalid grid size: ${JSON.stringify(gridSize)}`);
+        }
+        
+        const clamp = (value) => Math.max(NeuralCAWebGL.MIN_GRID_SIZE, Math.min(NeuralCAWebGL.MAX_GRID_SIZE, Math.round(value)));
+        return { width: clamp(size.width), height: clamp(size.height) };
+    }
+    
+    // Nearest-neighbour resample of per-cell data (RGBA state by default) to another grid size,
+    // so cells stay crisp instead of blurring into values the rule never produced
+    static resampleState(stateData, fromWidth, fromHeight, toWidth, toHeight, valuesPerCell = 4) {
+        const resampled = new stateData.constructor(toWidth * toHeight * valuesPerCell);
+        
+        for (let y = 0; y < toHeight; y++) {
+            const sourceY = Math.min(fromHeight - 1, Math.floor((y + 0.5) * fromHeight / toHeight));
+            for (let x = 0; x < toWidth; x++) {
+                const sourceX = Math.min(fromWidth - 1, Math.floor((x + 0.5) * fromWidth / toWidth));
+                const from = (sourceY * fromWidth + sourceX) * valuesPerCell;
+                const to = (y * toWidth + x) * valuesPerCell;
+                for (let c = 0; c < valuesPerCell; c++) {
+                    resampled[to + c] = stateData[from + c];
+                }
+            }
+        }
+        
+        return resampled;
+    }
+    
+    // Read the live state back from the GPU (valuesPerCell floats per cell, row 0 is the bottom row)
+    readState() {
+        return this.readStateRegion(0, 0, this.gridWidth, this.gridHeight);
+    }
+    
+    // Replace the live state with previously read data
+    writeState(stateData) {
+        const expectedLength = this.gridWidth * this.gridHeight * this.valuesPerCell;
+        if (stateData.length !== expectedLength) {
+            throw new Error(`State data has ${stateData.length} values, expected ${expectedLength}`);
+        }
+        
+        this.writeStateRegion(0, 0, this.gridWidth, this.gridHeight, stateData);
+    }
+    
+    // Encode the running world (header + rule JSON + raw Float32 state + mask) as a binary snapshot
+    exportSnapshot() {
+        const ruleBytes = new TextEncoder().encode(JSON.stringify(this.exportRule()));
+        const stateData = this.readState();
+        
+        // Pad the rule block so the state data starts on a 4-byte boundary
+        const ruleBlockLength = Math.ceil(ruleBytes.length / 4) * 4;
+        const headerLength = NeuralCAWebGL.SNAPSHOT_HEADER_LENGTH;
+        const stateOffset = headerLength + ruleBlockLength;
+        const buffer = new ArrayBuffer(stateOffset + stateData.byteLength + this.maskData.length);
+        const view = new DataView(buffer);
+        
+        new Uint8Array(buffer, 0, 4).set(new TextEncoder().encode(NeuralCAWebGL.SNAPSHOT_MAGIC));
+        view.setUint16(4, NeuralCAWebGL.SNAPSHOT_FORMAT_VERSION, true);
+        view.setUint16(6, this.valuesPerCell, true); // Values stored per cell
+        view.setUint32(8, this.gridWidth, true);
+        view.setUint32(12, this.gridHeight, true);
+        view.setFloat64(16, this.stepCount, true);
+        view.setUint32(24, ruleBytes.length, true);
+        
+        new Uint8Array(buffer, headerLength, ruleBytes.length).set(ruleBytes);
+        new Float32Array(buffer, stateOffset, stateData.length).set(stateData);
+        new Uint8Array(buffer, stateOffset + stateData.byteLength).set(this.maskData);
+        
+        return buffer;
+    }
+    
+    // Decode a snapshot produced by exportSnapshot() without touching engine state
+    static decodeSnapshot(buffer) {
+        const headerLength = NeuralCAWebGL.SNAPSHOT_HEADER_LENGTH;
+        if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < headerLength) {
+            throw new Error('Snapshot file is too small to contain a header');
+        }
+        
+        const view = new DataView(buffer);
+        const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, 4));
+        if (magic !== NeuralCAWebGL.SNAPSHOT_MAGIC) {
+            throw new Error('Not a Moonlight Pools snapshot file');
+        }
+        
+        const version = view.getUint16(4, true);
+        if (version > NeuralCAWebGL.SNAPSHOT_FORMAT_VERSION) {
+            throw new Error(`Snapshot uses format v${version}, but this build only supports up to v${NeuralCAWebGL.SNAPSHOT_FORMAT_VERSION}`);
+        }
+        
+        const valuesPerCell = view.getUint16(6, true);
+        const width = view.getUint32(8, true);
+        const height = view.getUint32(12, true);
+        const stepCount = view.getFloat64(16, true);
+        const ruleLength = view.getUint32(24, true);
+        
+        if (valuesPerCell % 4 !== 0 || valuesPerCell < 4 || valuesPerCell > NeuralCAWebGL.MAX_CHANNELS ||
+            width === 0 || height === 0) {
+            throw new Error(`Unsupported snapshot layout (${width}x${height}, ${valuesPerCell} values per cell)`);
+        }
+        
+        // v1 snapshots end after the state; v2 adds the mask layer
+        const ruleBlockLength = Math.ceil(ruleLength / 4) * 4;
+        const stateOffset = headerLength + ruleBlockLength;
+        const maskOffset = stateOffset + width * height * valuesPerCell * 4;
+        const expectedLength = maskOffset + (version >= 2 ? width * height : 0);
+        if (buffer.byteLength !== expectedLength) {
+            throw new Error(`Snapshot is ${buffer.byteLength} bytes, expected ${expectedLength} for a ${width}x${height} grid`);
+        }
+        
+        let rule;
+        try {
+            rule = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, headerLength, ruleLength)));
+        } catch (error) {
+            throw new Error(`Snapshot rule block is not valid JSON: ${error.message}`);
+        }
+        
+        const mask = version >= 2 ? new Uint8Array(buffer.slice(maskOffset)) : null;
+        if (mask && mask.some(value => value > NeuralCAWebGL.MASK_KINDS.sink)) {
+            throw new Error('Snapshot mask contains unknown cell kinds');
+        }
+        
+        return {
+            version: version,
+            width: width,
+            height: height,
+            stepCount: stepCount,
+            valuesPerCell: valuesPerCell,
+            rule: rule,
+            state: new Float32Array(buffer.slice(stateOffset, maskOffset)),
+            mask: mask
         };
     }
     
-    reset() {
-        const gl = this.gl;
+    // Restore a decoded snapshot (rule, grid contents and step count)
+    importSnapshot(snapshot) {
+        if (snapshot instanceof ArrayBuffer) {
+            snapshot = NeuralCAWebGL.decodeSnapshot(snapshot);
+        }
+        if (snapshot.width !== this.gridWidth || snapshot.height !== this.gridHeight) {
+            throw new Error(`Snapshot grid is ${snapshot.width}x${snapshot.height}, but the engine grid is ${this.gridWidth}x${this.gridHeight}`);
+        }
+        
+        this.importRule(snapshot.rule);
+        this.writeState(snapshot.state);
+        if (snapshot.mask) {
+            this.setMaskData(snapshot.mask);
+        } else {
+            this.clearMask(); // v1 snapshots didn't record a mask
+        }
+        this.stepCount = snapshot.stepCount;
+        this.stopRegenerationExperiment(); // Its reference state belongs to the old world
         
+        // Notify the app of the restored world
+        this.notify('snapshot', {
+            timestamp: new Date(),
+            stepCount: this.stepCount
+        });
+    }
+    
+    reset() {
         // Clear state textures
-        const emptyData = new Float32Array(this.gridSize * this.gridSize * 4);
+        const emptyData = new Float32Array(this.gridWidth * this.gridHeight * this.valuesPerCell);
         
         for (let i = 0; i < 2; i++) {
-            gl.bindTexture(gl.TEXTURE_2D, this.stateTextures[i]);
-            gl.texSubImage2D(
-                gl.TEXTURE_2D,
-                0,
-                0, 0,
-                this.gridSize, this.gridSize,
-                gl.RGBA,
-                gl.FLOAT,
-                emptyData
-            );
+            this.writeStateRegion(0, 0, this.gridWidth, this.gridHeight, emptyData, i);
         }
         
         this.stepCount = 0;
+        this.stopRegenerationExperiment();
         
         // Add seeds near the center of the grid for better visibility
-        const patterns = ['random', 'center', 'ring', 'gradient', 'checker', 'spiral', 'cross', 'dot'];
-        const numSeeds = 1 + Math.floor(Math.random() * 3);
+        // (random values are always drawn so fixing one setting doesn't reshuffle the others)
+        const patterns = NeuralCAWebGL.SEED_PATTERNS;
+        const randomSeedCount = 1 + Math.floor(this.rng.seeding.next() * 3);
+        const numSeeds = this.seedCount > 0 ? this.seedCount : randomSeedCount;
         
         for (let s = 0; s < numSeeds; s++) {
             // Place seeds in the central area of the grid for better initial visibility
-            const centerX = this.gridSize / 2;
-            const centerY = this.gridSize / 2;
-            const spreadRadius = Math.min(200, this.gridSize / 8); // Seeds within 200 pixels of center
+            const centerX = this.gridWidth / 2;
+            const centerY = this.gridHeight / 2;
+            const spreadRadius = Math.min(200, Math.min(this.gridWidth, this.gridHeight) / 8); // Seeds within 200 pixels of center
             
-            const seedX = Math.floor(centerX + (Math.random() - 0.5) * spreadRadius * 2);
-            const seedY = Math.floor(centerY + (Math.random() - 0.5) * spreadRadius * 2);
-            const seedRadius = 5 + Math.floor(Math.random() * 16);
-            const seedPattern = patterns[Math.floor(Math.random() * patterns.length)];
+            const seedX = Math.floor(centerX + (this.rng.seeding.next() - 0.5) * spreadRadius * 2);
+            const seedY = Math.floor(centerY + (this.rng.seeding.next() - 0.5) * spreadRadius * 2);
+            const randomRadius = 5 + Math.floor(this.rng.seeding.next() * 16);
+            const randomPattern = patterns[Math.floor(this.rng.seeding.next() * patterns.length)];
+            const seedRadius = this.seedRadius > 0 ? this.seedRadius : randomRadius;
+            const seedPattern = this.seedPattern !== 'auto' ? this.seedPattern : randomPattern;
             
             this.seed(seedX, seedY, seedRadius, seedPattern);
         }
         
-        // Notify calculation display of reset
-        if (typeof updateCalculationDisplay === 'function') {
-            updateCalculationDisplay('reset', {
-                timestamp: new Date(),
-                seedCount: numSeeds,
-                gridSize: this.gridSize
-            });
-        }
+        // Notify the app of the reset
+        this.notify('reset', {
+            timestamp: new Date(),
+            seedCount: numSeeds,
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight
+        });
     }
     
     seed(x, y, radius, pattern = 'random') {
-        const gl = this.gl;
-        const seedData = new Float32Array(radius * 2 * radius * 2 * 4);
+        radius = this.clampSeedRadius(radius);
+        const seedData = this.createSeedData(radius, pattern);
+        
+        // Upload seed data to current state texture
+        this.writeStateRegion(
+            Math.max(0, Math.min(this.gridWidth - radius * 2, x - radius)),
+            Math.max(0, Math.min(this.gridHeight - radius * 2, y - radius)),
+            radius * 2,
+            radius * 2,
+            seedData
+        );
+    }
+    
+    clampSeedRadius(radius) {
+        return Math.max(1, Math.min(Math.floor(Math.min(this.gridWidth, this.gridHeight) / 2), Math.round(radius)));
+    }
+    
+    // Build a (2*radius)^2 block of cells for a seed pattern; cells outside the circle stay zero
+    // (patterns fill channels 0-3, any further channels start at zero)
+    createSeedData(radius, pattern) {
+        const seedData = new Float32Array(radius * 2 * radius * 2 * this.valuesPerCell);
+        const activeChannels = Math.min(4, this.numChannels);
         let index = 0;
         
         for (let dy = -radius; dy < radius; dy++) {
@@ -1106,10 +2989,10 @@ class NeuralCAWebGL {
                     switch (pattern) {
                         case 'random':
                             values = [
-                                Math.random() * 2 - 1,
-                                Math.random() * 2 - 1,
-                                Math.random() * 2 - 1,
-                                Math.random() * 2 - 1
+                                this.rng.seeding.next() * 2 - 1,
+                                this.rng.seeding.next() * 2 - 1,
+                                this.rng.seeding.next() * 2 - 1,
+                                this.rng.seeding.next() * 2 - 1
                             ];
                             break;
                         case 'center':
@@ -1125,32 +3008,342 @@ class NeuralCAWebGL {
                             const angle = Math.atan2(dy, dx);
                             values = [Math.cos(angle), Math.sin(angle), 0, 0];
                             break;
+                        case 'checker':
+                            // Squares of ~radius/4; odd channels get the inverted board
+                            const cellSize = Math.max(1, Math.round(radius / 4));
+                            const cellX = Math.floor((dx + radius) / cellSize);
+                            const cellY = Math.floor((dy + radius) / cellSize);
+                            const parity = (cellX + cellY) % 2 === 0 ? 1 : -1;
+                            values = [parity, -parity, parity, -parity];
+                            break;
+                        case 'spiral':
+                            // Two-turn spiral, each active channel phase-shifted so they interleave
+                            const spiralAngle = Math.atan2(dy, dx);
+                            const spiralPhase = spiralAngle - (distance / radius) * 4 * Math.PI;
+                            values = values.map((_, c) =>
+                                Math.cos(spiralPhase - (c * 2 * Math.PI) / activeChannels) * (1.0 - distance / radius)
+                            );
+                            break;
+                        case 'cross':
+                            // Horizontal arm drives channel 0, vertical arm channel 1; one channel gets both
+                            const armWidth = Math.max(1, Math.round(radius / 5));
+                            const onHorizontal = Math.abs(dy) < armWidth;
+                            const onVertical = Math.abs(dx) < armWidth;
+                            const armFalloff = 1.0 - distance / radius;
+                            if (activeChannels === 1) {
+                                values = [onHorizontal || onVertical ? armFalloff : 0, 0, 0, 0];
+                            } else {
+                                values = [
+                                    onHorizontal ? armFalloff : 0,
+                                    onVertical ? armFalloff : 0,
+                                    onHorizontal && onVertical ? 1 : 0,
+                                    onHorizontal || onVertical ? armFalloff : 0
+                                ];
+                            }
+                            break;
+                        case 'dot':
+                            // Small solid dot (a quarter of the radius) with a one-cell soft edge
+                            const dotRadius = Math.max(1, radius / 4);
+                            const dotValue = Math.max(0, Math.min(1, dotRadius + 0.5 - distance));
+                            values = [dotValue, dotValue, dotValue, dotValue];
+                            break;
                         default:
-                            values = [Math.random() * 2 - 1, Math.random() * 2 - 1, 0, 0];
+                            values = [this.rng.seeding.next() * 2 - 1, this.rng.seeding.next() * 2 - 1, 0, 0];
                     }
                     
                     // Only use as many channels as we have
-                    for (let c = 0; c < Math.min(4, this.numChannels); c++) {
-                        seedData[index * 4 + c] = values[c];
+                    for (let c = 0; c < activeChannels; c++) {
+                        seedData[index * this.valuesPerCell + c] = values[c];
                     }
                 }
                 index++;
             }
         }
         
-        // Upload seed data to current state texture
-        gl.bindTexture(gl.TEXTURE_2D, this.stateTextures[this.currentStateIndex]);
-        gl.texSubImage2D(
-            gl.TEXTURE_2D,
-            0,
-            Math.max(0, Math.min(this.gridSize - radius * 2, x - radius)),
-            Math.max(0, Math.min(this.gridSize - radius * 2, y - radius)),
-            radius * 2,
-            radius * 2,
-            gl.RGBA,
-            gl.FLOAT,
-            seedData
-        );
+        return seedData;
+    }
+    
+    // Bounding box of a circle clipped to the grid (null when it lies entirely outside)
+    clipRegion(x, y, radius) {
+        const x0 = Math.max(0, x - radius);
+        const y0 = Math.max(0, y - radius);
+        const x1 = Math.min(this.gridWidth, x + radius + 1);
+        const y1 = Math.min(this.gridHeight, y + radius + 1);
+        if (x1 <= x0 || y1 <= y0) return null;
+        return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    }
+    
+    // Read / write a rectangle of the live state texture (texture coordinates, row 0 at the bottom).
+    // Region data holds valuesPerCell floats per cell; each RGBA layer is copied in or out separately.
+    readStateRegion(x, y, width, height) {
+        const gl = this.gl;
+        const cells = width * height;
+        const regionData = new Float32Array(cells * this.valuesPerCell);
+        const layerData = this.numLayers === 1 ? regionData : new Float32Array(cells * 4);
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[this.currentStateIndex]);
+        for (let layer = 0; layer < this.numLayers; layer++) {
+            gl.readBuffer(gl.COLOR_ATTACHMENT0 + layer);
+            gl.readPixels(x, y, width, height, gl.RGBA, gl.FLOAT, layerData);
+            if (layerData !== regionData) {
+                for (let i = 0; i < cells; i++) {
+                    regionData.set(layerData.subarray(i * 4, i * 4 + 4), i * this.valuesPerCell + layer * 4);
+                }
+            }
+        }
+        gl.readBuffer(gl.COLOR_ATTACHMENT0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        return regionData;
+    }
+    
+    writeStateRegion(x, y, width, height, regionData, stateIndex = this.currentStateIndex) {
+        const gl = this.gl;
+        const cells = width * height;
+        const layerData = this.numLayers === 1 ? regionData : new Float32Array(cells * 4);
+        
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.stateTextures[stateIndex]);
+        for (let layer = 0; layer < this.numLayers; layer++) {
+            if (layerData !== regionData) {
+                for (let i = 0; i < cells; i++) {
+                    const from = i * this.valuesPerCell + layer * 4;
+                    layerData.set(regionData.subarray(from, from + 4), i * 4);
+                }
+            }
+            gl.texSubImage3D(
+                gl.TEXTURE_2D_ARRAY,
+                0,
+                x, y, layer,
+                width, height, 1,
+                gl.RGBA,
+                gl.FLOAT,
+                layerData
+            );
+        }
+    }
+    
+    // Cells covered by a damage region: circle { x, y, radius }, rectangle { x, y, width, height }
+    // (centered on x, y) or half-plane { x, y, side } where side is left/right/top/bottom as seen on screen
+    getRegionMask(region) {
+        let x0, y0, x1, y1;
+        switch (region.shape) {
+            case 'circle':
+                x0 = region.x - region.radius;
+                y0 = region.y - region.radius;
+                x1 = region.x + region.radius + 1;
+                y1 = region.y + region.radius + 1;
+                break;
+            case 'rectangle':
+                x0 = region.x - Math.floor(region.width / 2);
+                y0 = region.y - Math.floor(region.height / 2);
+                x1 = x0 + region.width;
+                y1 = y0 + region.height;
+                break;
+            case 'half-plane':
+                // Texture row 0 is drawn at the bottom, so "top" means higher y
+                x0 = region.side === 'right' ? region.x : 0;
+                x1 = region.side === 'left' ? region.x : this.gridWidth;
+                y0 = region.side === 'top' ? region.y : 0;
+                y1 = region.side === 'bottom' ? region.y : this.gridHeight;
+                break;
+            default:
+                throw new Error(`Unknown damage shape: ${region.shape}`);
+        }
+        
+        x0 = Math.max(0, x0);
+        y0 = Math.max(0, y0);
+        x1 = Math.min(this.gridWidth, x1);
+        y1 = Math.min(this.gridHeight, y1);
+        if (x1 <= x0 || y1 <= y0) return null;
+        
+        const width = x1 - x0;
+        const height = y1 - y0;
+        const cells = new Uint8Array(width * height).fill(1);
+        
+        if (region.shape === 'circle') {
+            for (let ry = 0; ry < height; ry++) {
+                for (let rx = 0; rx < width; rx++) {
+                    const dx = x0 + rx - region.x;
+                    const dy = y0 + ry - region.y;
+                    cells[ry * width + rx] = dx * dx + dy * dy <= region.radius * region.radius ? 1 : 0;
+                }
+            }
+        }
+        
+        return { x: x0, y: y0, width, height, cells };
+    }
+    
+    // Zero every channel inside a region of the live state
+    damage(region) {
+        const mask = this.getRegionMask(region);
+        if (!mask) return;
+        
+        const regionData = this.readStateRegion(mask.x, mask.y, mask.width, mask.height);
+        for (let i = 0; i < mask.cells.length; i++) {
+            if (mask.cells[i]) {
+                regionData.fill(0, i * this.valuesPerCell, (i + 1) * this.valuesPerCell);
+            }
+        }
+        this.writeStateRegion(mask.x, mask.y, mask.width, mask.height, regionData);
+    }
+    
+    startRegenerationExperiment(options) {
+        this.experiment = new RegenerationExperiment(this, options);
+        this.experiment.notify();
+        return this.experiment;
+    }
+    
+    stopRegenerationExperiment() {
+        if (this.experiment && (this.experiment.phase === 'warmup' || this.experiment.phase === 'recovering')) {
+            this.experiment.phase = 'aborted';
+            this.experiment.notify();
+        }
+    }
+    
+    // Blend a round brush into the live state; softness 0 = hard edge, 1 = linear falloff from the center.
+    // The brush values paint channels 0-3; erasing fades every channel.
+    paint(x, y, radius, options = {}) {
+        const { softness = 0, values = [1, 1, 1, 1], erase = false } = options;
+        const region = this.clipRegion(x, y, radius);
+        if (!region) return;
+        
+        const regionData = this.readStateRegion(region.x, region.y, region.width, region.height);
+        const hardRadius = radius * (1 - Math.max(0, Math.min(1, softness)));
+        const activeChannels = erase ? this.numChannels : Math.min(4, this.numChannels);
+        
+        for (let ry = 0; ry < region.height; ry++) {
+            for (let rx = 0; rx < region.width; rx++) {
+                const dx = region.x + rx - x;
+                const dy = region.y + ry - y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance > radius) continue;
+                
+                const strength = distance <= hardRadius ? 1.0 : (radius - distance) / (radius - hardRadius);
+                const index = (ry * region.width + rx) * this.valuesPerCell;
+                for (let c = 0; c < activeChannels; c++) {
+                    const target = erase ? 0 : values[c];
+                    regionData[index + c] += (target - regionData[index + c]) * strength;
+                }
+            }
+        }
+        
+        this.writeStateRegion(region.x, region.y, region.width, region.height, regionData);
+    }
+    
+    // Set the mask kind ('none' erases) for every cell inside a circle
+    paintMask(x, y, radius, kind) {
+        const value = NeuralCAWebGL.MASK_KINDS[kind];
+        if (value === undefined) {
+            throw new Error(`Unknown mask kind: ${kind}`);
+        }
+        
+        const region = this.clipRegion(x, y, radius);
+        if (!region) return;
+        
+        for (let ry = 0; ry < region.height; ry++) {
+            for (let rx = 0; rx < region.width; rx++) {
+                const dx = region.x + rx - x;
+                const dy = region.y + ry - y;
+                if (Math.sqrt(dx * dx + dy * dy) > radius) continue;
+                
+                this.maskData[(region.y + ry) * this.gridWidth + region.x + rx] = value;
+            }
+        }
+        
+        this.uploadMask(region.x, region.y, region.width, region.height);
+    }
+    
+    clearMask() {
+        this.maskData.fill(0);
+        this.uploadMask();
+    }
+    
+    setMaskData(maskData) {
+        if (maskData.length !== this.gridWidth * this.gridHeight) {
+            throw new Error(`Mask has ${maskData.length} cells, expected ${this.gridWidth * this.gridHeight}`);
+        }
+        if (maskData.some(value => value > NeuralCAWebGL.MASK_KINDS.sink)) {
+            throw new Error('Mask contains unknown cell kinds');
+        }
+        
+        this.maskData = Uint8Array.from(maskData);
+        this.uploadMask();
+    }
+    
+    // Encode the mask as top-to-bottom RGBA pixels (MASK_COLORS) for saving as an image
+    getMaskImageData() {
+        const colors = Object.values(NeuralCAWebGL.MASK_COLORS);
+        const pixels = new Uint8ClampedArray(this.gridWidth * this.gridHeight * 4);
+        
+        for (let y = 0; y < this.gridHeight; y++) {
+            // Texture row 0 is the bottom of the displayed image
+            const sourceRow = (this.gridHeight - 1 - y) * this.gridWidth;
+            for (let x = 0; x < this.gridWidth; x++) {
+                const color = colors[this.maskData[sourceRow + x]];
+                pixels.set([...color, 255], (y * this.gridWidth + x) * 4);
+            }
+        }
+        
+        return { width: this.gridWidth, height: this.gridHeight, data: pixels };
+    }
+    
+    // Load grid-sized, top-to-bottom RGBA pixels; each pixel becomes the kind with the nearest color
+    // and transparent pixels become 'none'
+    setMaskImageData(pixels) {
+        if (pixels.length !== this.gridWidth * this.gridHeight * 4) {
+            throw new Error(`Mask image must be ${this.gridWidth}x${this.gridHeight}`);
+        }
+        
+        const colors = Object.values(NeuralCAWebGL.MASK_COLORS);
+        const maskData = new Uint8Array(this.gridWidth * this.gridHeight);
+        
+        for (let y = 0; y < this.gridHeight; y++) {
+            const targetRow = (this.gridHeight - 1 - y) * this.gridWidth;
+            for (let x = 0; x < this.gridWidth; x++) {
+                const i = (y * this.gridWidth + x) * 4;
+                if (pixels[i + 3] < 128) continue;
+                
+                let nearest = 0;
+                let nearestDistance = Infinity;
+                colors.forEach((color, kind) => {
+                    const distance = (pixels[i] - color[0]) ** 2 + (pixels[i + 1] - color[1]) ** 2 + (pixels[i + 2] - color[2]) ** 2;
+                    if (distance < nearestDistance) {
+                        nearest = kind;
+                        nearestDistance = distance;
+                    }
+                });
+                maskData[targetRow + x] = nearest;
+            }
+        }
+        
+        this.setMaskData(maskData);
+    }
+    
+    // Like seed(), but only the cells inside the circle are replaced and the stamp may overhang the edge
+    stamp(x, y, radius, pattern = 'center') {
+        radius = this.clampSeedRadius(radius);
+        const region = this.clipRegion(x, y, radius);
+        if (!region) return;
+        
+        const seedData = this.createSeedData(radius, pattern);
+        const regionData = this.readStateRegion(region.x, region.y, region.width, region.height);
+        
+        for (let ry = 0; ry < region.height; ry++) {
+            for (let rx = 0; rx < region.width; rx++) {
+                const dx = region.x + rx - x;
+                const dy = region.y + ry - y;
+                // Seed blocks span -radius..radius-1
+                if (dx >= radius || dy >= radius || Math.sqrt(dx * dx + dy * dy) > radius) continue;
+                
+                const seedIndex = ((dy + radius) * radius * 2 + (dx + radius)) * this.valuesPerCell;
+                const index = (ry * region.width + rx) * this.valuesPerCell;
+                for (let c = 0; c < this.valuesPerCell; c++) {
+                    regionData[index + c] = seedData[seedIndex + c];
+                }
+            }
+        }
+        
+        this.writeStateRegion(region.x, region.y, region.width, region.height, regionData);
     }
     
     step() {
@@ -1165,25 +3358,20 @@ class NeuralCAWebGL {
             this.lastTime = currentTime;
         }
         
-        // Auto-evolve check
-        if (this.autoEvolveEnabled && currentTime - this.lastAutoEvolveTime >= this.autoEvolveInterval) {
-            this.mutateWeights();
-            this.lastAutoEvolveTime = currentTime;
-            this.autoEvolveInterval = this.getRandomAutoEvolveInterval();
-        }
+        this.advanceAutoEvolve();
         
         // Set up computation
         const inputIndex = this.currentStateIndex;
         const outputIndex = 1 - this.currentStateIndex;
         
         gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[outputIndex]);
-        gl.viewport(0, 0, this.gridSize, this.gridSize);
+        gl.viewport(0, 0, this.gridWidth, this.gridHeight);
         
         gl.useProgram(this.computeProgram);
         
         // Set up textures
         gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.stateTextures[inputIndex]);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.stateTextures[inputIndex]);
         gl.uniform1i(this.computeUniforms.state, 0);
         
         gl.activeTexture(gl.TEXTURE1);
@@ -1191,36 +3379,65 @@ class NeuralCAWebGL {
         gl.uniform1i(this.computeUniforms.weights, 1);
         
         // Set uniforms
-        gl.uniform2f(this.computeUniforms.resolution, this.gridSize, this.gridSize);
-        gl.uniform1f(this.computeUniforms.updateRate, this.updateRate);
+        gl.uniform2f(this.computeUniforms.resolution, this.gridWidth, this.gridHeight);
+        gl.uniform1fv(this.computeUniforms.channelBiases, this.channelBiases);
+        gl.uniform1fv(this.computeUniforms.channelUpdateRates, this.channelUpdateRates);
         gl.uniform1i(this.computeUniforms.numChannels, this.numChannels);
         
-        // Set activation function
-        const activationMap = { 'tanh': 0, 'relu': 1, 'sigmoid': 2, 'identity': 3, 'swish': 4, 'gelu': 5 };
-        gl.uniform1i(this.computeUniforms.activationFunc, activationMap[this.activationFunc] || 0);
-        
-        // Set activation parameters
-        const params = this.activationParams[this.activationFunc] || this.activationParams.tanh;
-        gl.uniform4f(this.computeUniforms.activationParams, 
-            params.scale || 1.0, 
-            params.bias || 0.0,
-            params.leak || params.beta || 0.01,
-            params.threshold || params.alpha || 0.0
-        );
+        // Set activation function and parameters
+        const activation = this.getActivationUniforms();
+        gl.uniform1i(this.computeUniforms.activationFunc, activation.func);
+        gl.uniform4f(this.computeUniforms.activationParams, ...activation.params);
         
         // Set channel scales
-        gl.uniform4f(this.computeUniforms.channelScales, 
-            this.channelWeightScales[0],
-            this.channelWeightScales[1], 
-            this.channelWeightScales[2],
-            this.channelWeightScales[3]
-        );
+        gl.uniform1fv(this.computeUniforms.channelScales, this.channelWeightScales);
         
-        // Set individual kernel scales
-        for (let i = 0; i < 9; i++) {
-            const uniformName = `kernelScale${i}`;
-            gl.uniform1f(this.computeUniforms[uniformName], this.kernelWeightScales[i]);
-        }
+        // Set kernel scales
+        gl.uniform1fv(this.computeUniforms.kernelScales, this.kernelWeightScales);
+        
+        // Set boundary conditions
+        gl.uniform2i(this.computeUniforms.boundaryMode,
+            NeuralCAWebGL.BOUNDARY_MODES[this.boundary.x],
+            NeuralCAWebGL.BOUNDARY_MODES[this.boundary.y]
+        );
+        gl.uniform4f(this.computeUniforms.wallValue, ...this.boundary.wallValue);
+        
+        // Set mask layer
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+        gl.uniform1i(this.computeUniforms.mask, 2);
+        gl.uniform4f(this.computeUniforms.sourceValue, ...this.maskSettings.sourceValue);
+        gl.uniform1f(this.computeUniforms.sinkRate, this.maskSettings.sinkRate);
+        
+        // Set cell update scheduling (the noise seed follows the random seed and step count, so a
+        // restored snapshot fires the same cells as the original run)
+        gl.uniform1i(this.computeUniforms.stochastic, this.cellUpdate.stochastic ? 1 : 0);
+        gl.uniform1f(this.computeUniforms.fireRate, this.cellUpdate.fireRate);
+        gl.uniform1ui(this.computeUniforms.noiseSeed, this.getUpdateNoiseSeed());
+        gl.uniform1i(this.computeUniforms.aliveMask, this.cellUpdate.aliveMask ? 1 : 0);
+        gl.uniform1i(this.computeUniforms.aliveChannel, this.cellUpdate.aliveChannel);
+        gl.uniform1f(this.computeUniforms.aliveThreshold, this.cellUpdate.aliveThreshold);
+        
+        // Set neighbor blending
+        gl.uniform1i(this.computeUniforms.blendEnabled, this.neighborBlend.enabled ? 1 : 0);
+        gl.uniform2i(this.computeUniforms.blendChannels, ...this.neighborBlend.channels);
+        gl.uniform1f(this.computeUniforms.blendInfluence, this.neighborBlend.influence);
+        gl.uniform1f(this.computeUniforms.blendThreshold, this.neighborBlend.threshold);
+        
+        // Set architecture (the MLP textures are only read in 'mlp' mode)
+        gl.activeTexture(gl.TEXTURE3);
+        gl.bindTexture(gl.TEXTURE_2D, this.mlpHiddenTexture);
+        gl.uniform1i(this.computeUniforms.mlpHidden, 3);
+        gl.activeTexture(gl.TEXTURE4);
+        gl.bindTexture(gl.TEXTURE_2D, this.mlpOutputTexture);
+        gl.uniform1i(this.computeUniforms.mlpOutput, 4);
+        gl.uniform1i(this.computeUniforms.architecture, this.architecture === 'mlp' ? 1 : 0);
+        gl.uniform1i(this.computeUniforms.hiddenUnits, this.hiddenUnits);
+        
+        // Set perception mode and which fixed filters feed the weights
+        gl.uniform1i(this.computeUniforms.perceptionMode, this.perceptionMode === 'filters' ? 1 : 0);
+        gl.uniform4fv(this.computeUniforms.filterEnabled,
+            Object.keys(NeuralCAWebGL.PERCEPTION_FILTERS).map(name => this.perceptionFilters[name] ? 1 : 0));
         
         // Draw
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
@@ -1228,25 +3445,95 @@ class NeuralCAWebGL {
         // Swap state textures
         this.currentStateIndex = outputIndex;
         this.stepCount++;
+        
+        if (this.experiment) {
+            this.experiment.update();
+        }
+    }
+    
+    // Activation id and (scale, bias, leak/beta, threshold/alpha) parameters as the compute shader reads them
+    getActivationUniforms() {
+        const activationMap = { 'tanh': 0, 'relu': 1, 'sigmoid': 2, 'identity': 3, 'swish': 4, 'gelu': 5 };
+        const params = this.activationParams[this.activationFunc] || this.activationParams.tanh;
+        return {
+            func: activationMap[this.activationFunc] || 0,
+            params: [
+                params.scale || 1.0,
+                params.bias || 0.0,
+                params.leak || params.beta || 0.01,
+                params.threshold || params.alpha || 0.0
+            ]
+        };
+    }
+    
+    // Seed of the stochastic update noise for the current step
+    getUpdateNoiseSeed() {
+        return (SeededRandom.deriveSeed(this.randomSeed, 'updates') + Math.imul(this.stepCount, 0x9E3779B9)) >>> 0;
     }
     
     renderToCanvas(canvas, ctx, zoom, panX, panY) {
+        if (this.autoExposure && performance.now() - this.lastExposureTime >= NeuralCAWebGL.AUTO_EXPOSURE_INTERVAL) {
+            this.applyAutoExposure();
+        }
+        
+        this.renderGrid();
+        this.drawComputeCanvas(canvas, ctx, zoom, panX, panY);
+    }
+    
+    // Render the grid one pixel per cell into the offscreen canvas (computeCanvas)
+    renderGrid() {
         const gl = this.gl;
         
-        // Render to offscreen canvas first
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.viewport(0, 0, this.gridSize, this.gridSize);
+        gl.viewport(0, 0, this.gridWidth, this.gridHeight);
         
         gl.useProgram(this.renderProgram);
         
         gl.activeTexture(gl.TEXTURE0);
-        gl.bindTexture(gl.TEXTURE_2D, this.stateTextures[this.currentStateIndex]);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.stateTextures[this.currentStateIndex]);
         gl.uniform1i(this.renderUniforms.state, 0);
-        gl.uniform1i(this.renderUniforms.numChannels, this.numChannels);
+        gl.uniform4i(this.renderUniforms.viewChannels, ...this.viewChannels);
+        
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+        gl.uniform1i(this.renderUniforms.palette, 1);
+        
+        gl.uniform1i(this.renderUniforms.numChannels, Math.min(4, this.numChannels));
+        
+        const mapping = this.getMappingUniforms();
+        gl.uniform1i(this.renderUniforms.colorMode, mapping.colorMode);
+        gl.uniform4i(this.renderUniforms.mapSources, ...mapping.sources);
+        gl.uniform4f(this.renderUniforms.mapChannelMask, ...mapping.channelMask);
+        
+        gl.uniform1f(this.renderUniforms.threshold, this.renderParams.threshold);
+        gl.uniform1f(this.renderUniforms.fadeRange, Math.max(0.001, this.renderParams.fadeRange));
+        gl.uniform1f(this.renderUniforms.contrast, this.renderParams.contrast);
+        gl.uniform1f(this.renderUniforms.gamma, Math.max(0.01, this.renderParams.gamma));
+        
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+        gl.uniform1i(this.renderUniforms.mask, 2);
+        gl.uniform1i(this.renderUniforms.showMask, this.maskSettings.showOverlay ? 1 : 0);
         
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+    
+    // RGBA8 image of the whole grid as the display shows it, top row first (the drawing buffer's row 0 is the bottom)
+    renderPixels(pixels = new Uint8ClampedArray(this.gridWidth * this.gridHeight * 4)) {
+        const gl = this.gl;
+        const rowLength = this.gridWidth * 4;
+        const buffer = new Uint8Array(this.gridHeight * rowLength);
         
-        // Copy to display canvas with zoom and pan using nearest neighbor sampling
+        this.renderGrid();
+        gl.readPixels(0, 0, this.gridWidth, this.gridHeight, gl.RGBA, gl.UNSIGNED_BYTE, buffer);
+        for (let y = 0; y < this.gridHeight; y++) {
+            pixels.set(buffer.subarray(y * rowLength, (y + 1) * rowLength), (this.gridHeight - 1 - y) * rowLength);
+        }
+        return pixels;
+    }
+    
+    // Copy the rendered grid (computeCanvas) to the display canvas with zoom and pan using nearest neighbor sampling
+    drawComputeCanvas(canvas, ctx, zoom, panX, panY) {
         ctx.save();
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
@@ -1261,8 +3548,8 @@ class NeuralCAWebGL {
         const viewportHeight = canvas.height / zoom;
         
         // Calculate the center point of the view (in grid coordinates)
-        const viewCenterX = this.gridSize / 2 + panX;
-        const viewCenterY = this.gridSize / 2 + panY;
+        const viewCenterX = this.gridWidth / 2 + panX;
+        const viewCenterY = this.gridHeight / 2 + panY;
         
         // Calculate the top-left corner of the source rectangle
         let sourceX = viewCenterX - viewportWidth / 2;
@@ -1287,8 +3574,8 @@ class NeuralCAWebGL {
         }
         
         // If source extends beyond right edge
-        if (sourceX + srcWidth > this.gridSize) {
-            const overflow = (sourceX + srcWidth) - this.gridSize;
+        if (sourceX + srcWidth > this.gridWidth) {
+            const overflow = (sourceX + srcWidth) - this.gridWidth;
             const pixelRatio = canvas.width / viewportWidth;
             destWidth -= overflow * pixelRatio;
             srcWidth -= overflow;
@@ -1305,8 +3592,8 @@ class NeuralCAWebGL {
         }
         
         // If source extends beyond bottom edge
-        if (sourceY + srcHeight > this.gridSize) {
-            const overflow = (sourceY + srcHeight) - this.gridSize;
+        if (sourceY + srcHeight > this.gridHeight) {
+            const overflow = (sourceY + srcHeight) - this.gridHeight;
             const pixelRatio = canvas.height / viewportHeight;
             destHeight -= overflow * pixelRatio;
             srcHeight -= overflow;
@@ -1350,6 +3637,206 @@ class NeuralCAWebGL {
         }
     }
     
+    setRenderParams(params) {
+        const limits = { threshold: [0, 2], fadeRange: [0.001, 2], contrast: [0.1, 10], gamma: [0.1, 5] };
+        for (const [key, [min, max]] of Object.entries(limits)) {
+            if (typeof params[key] === 'number' && Number.isFinite(params[key])) {
+                this.renderParams[key] = Math.max(min, Math.min(max, params[key]));
+            }
+        }
+    }
+    
+    // Partial updates are merged, e.g. setBoundary({ y: 'wall' }) for a cylinder
+    setBoundary(boundary) {
+        const merged = { ...this.boundary, ...boundary };
+        NeuralCAWebGL.validateBoundary(merged);
+        this.boundary = NeuralCAWebGL.copyBoundary(merged);
+        this.boundary.wallValue = this.boundary.wallValue.map(v => Math.max(-1, Math.min(1, v)));
+    }
+    
+    setMaskSettings(settings) {
+        if (Array.isArray(settings.sourceValue) && settings.sourceValue.length === 4) {
+            this.maskSettings.sourceValue = settings.sourceValue.map(v => Math.max(-1, Math.min(1, Number(v) || 0)));
+        }
+        if (typeof settings.sinkRate === 'number' && Number.isFinite(settings.sinkRate)) {
+            this.maskSettings.sinkRate = Math.max(0, Math.min(1, settings.sinkRate));
+        }
+        if (typeof settings.showOverlay === 'boolean') {
+            this.maskSettings.showOverlay = settings.showOverlay;
+        }
+    }
+    
+    // Partial updates are merged, e.g. setCellUpdate({ stochastic: true }); numbers are clamped into range
+    setCellUpdate(settings) {
+        for (const key of ['stochastic', 'aliveMask']) {
+            if (typeof settings[key] === 'boolean') {
+                this.cellUpdate[key] = settings[key];
+            }
+        }
+        if (typeof settings.fireRate === 'number' && Number.isFinite(settings.fireRate)) {
+            this.cellUpdate.fireRate = Math.max(0.01, Math.min(1, settings.fireRate));
+        }
+        if (typeof settings.aliveChannel === 'number' && Number.isFinite(settings.aliveChannel)) {
+            this.cellUpdate.aliveChannel = Math.max(0, Math.min(this.numChannels - 1, Math.round(settings.aliveChannel)));
+        }
+        if (typeof settings.aliveThreshold === 'number' && Number.isFinite(settings.aliveThreshold)) {
+            this.cellUpdate.aliveThreshold = Math.max(-1, Math.min(1, settings.aliveThreshold));
+        }
+    }
+    
+    // Partial update of the neighbor blending stage (see DEFAULT_NEIGHBOR_BLEND)
+    setNeighborBlend(settings) {
+        if (typeof settings.enabled === 'boolean') {
+            this.neighborBlend.enabled = settings.enabled;
+        }
+        if (typeof settings.influence === 'number' && Number.isFinite(settings.influence)) {
+            this.neighborBlend.influence = Math.max(0, Math.min(1, settings.influence));
+        }
+        if (typeof settings.threshold === 'number' && Number.isFinite(settings.threshold)) {
+            this.neighborBlend.threshold = Math.max(0, Math.min(2, settings.threshold));
+        }
+        if (Array.isArray(settings.channels)) {
+            settings.channels.slice(0, 2).forEach((channel, i) => {
+                if (Number.isFinite(channel)) {
+                    this.neighborBlend.channels[i] = Math.max(0, Math.min(this.numChannels - 1, Math.round(channel)));
+                }
+            });
+        }
+    }
+    
+    setAutoExposure(enabled) {
+        this.autoExposure = enabled;
+        this.lastExposureTime = 0;
+    }
+    
+    // Pick which four channels the channel mapping's ch0-ch3 slots read (out-of-range indices are clamped)
+    setViewChannels(channels) {
+        if (!Array.isArray(channels) || channels.length !== 4) return;
+        this.viewChannels = channels.map(c => Math.max(0, Math.min(this.numChannels - 1, Math.round(Number(c) || 0))));
+    }
+    
+    setChannelMapping(mapping) {
+        NeuralCAWebGL.validateChannelMapping(mapping);
+        this.channelMapping = NeuralCAWebGL.copyChannelMapping(mapping);
+    }
+    
+    setColorScheme(scheme) {
+        if (scheme === 'custom' || scheme === 'auto' || NeuralCAWebGL.COLOR_SCHEMES[scheme]) {
+            this.colorScheme = scheme;
+            this.uploadPalette();
+        }
+    }
+    
+    // Replace the user gradient (validated); re-uploads when it is the active scheme
+    setCustomPalette(stops) {
+        NeuralCAWebGL.validatePalette(stops, 'customPalette');
+        this.customPalette = stops.map(stop => stop.slice()).sort((a, b) => a[0] - b[0]);
+        if (this.colorScheme === 'custom') {
+            this.uploadPalette();
+        }
+    }
+    
+    setSeedPattern(pattern) {
+        if (pattern === 'auto' || NeuralCAWebGL.SEED_PATTERNS.includes(pattern)) {
+            this.seedPattern = pattern;
+        }
+    }
+    
+    setSeedRadius(radius) {
+        this.seedRadius = Math.max(0, Math.min(100, Math.floor(radius) || 0));
+    }
+    
+    setSeedCount(count) {
+        this.seedCount = Math.max(0, Math.min(16, Math.floor(count) || 0));
+    }
+    
+    // Switch the update rule; the MLP weights are (re)initialized when first used or resized
+    setArchitecture(type, hiddenUnits = this.hiddenUnits) {
+        if (!NeuralCAWebGL.ARCHITECTURES.includes(type)) return;
+        
+        const units = Math.max(NeuralCAWebGL.MIN_HIDDEN_UNITS, Math.min(NeuralCAWebGL.MAX_HIDDEN_UNITS, Math.round(hiddenUnits)));
+        if (type === this.architecture && units === this.hiddenUnits) return;
+        
+        const resized = units !== this.hiddenUnits;
+        this.architecture = type;
+        this.hiddenUnits = units;
+        if (resized) {
+            this.mlpWeights = null;
+        }
+        
+        if (type === 'mlp' && !this.mlpWeights) {
+            this.initializeWeights();
+        } else {
+            this.pushWeightHistory(`arch_${type}`);
+        }
+    }
+    
+    // Switch the neighborhood the learned perception reads; the weights no longer fit, so both
+    // architectures' weights start over (the idle convolution too, for switching back to it)
+    setKernel(size, shape = this.kernelShape) {
+        if (!NeuralCAWebGL.KERNEL_SIZES.includes(size) || !NeuralCAWebGL.KERNEL_SHAPES.includes(shape)) return;
+        if (size === this.kernelSize && shape === this.kernelShape) return;
+        
+        this.applyKernelLayout(size, shape);
+        if (this.architecture === 'mlp') {
+            this.initializeConvWeights();
+        }
+        this.initializeWeights();
+    }
+    
+    // Resize everything that depends on the neighborhood: kernel scales and mask, the weight textures
+    // and the compute shader. The weights are zeroed and the MLP weights dropped; callers fill them in.
+    // Throws, leaving the old layout in place, when the GPU can't compile the shader for the new one.
+    applyKernelLayout(size, shape) {
+        const previous = { size: this.kernelSize, shape: this.kernelShape };
+        this.kernelSize = size;
+        this.kernelShape = shape;
+        try {
+            this.recreateKernelResources();
+        } catch (error) {
+            this.kernelSize = previous.size;
+            this.kernelShape = previous.shape;
+            throw error;
+        }
+        
+        const positions = NeuralCAWebGL.getKernelPositionCount(size, shape);
+        this.kernelWeightScales = Array(positions).fill(1.0);
+        this.kernelMutationMask = Array(positions).fill(true);
+        
+        this.currentWeights = new Float32Array(NeuralCAWebGL.getWeightCount(this.channelSlots, this.getPerceptionWidth()));
+        this.uploadWeights(this.currentWeights);
+        this.mlpWeights = null;
+    }
+    
+    // The compute shader and weight textures are sized for the neighborhood, so they are rebuilt when it
+    // changes. The new program is built before the old one is released, so a failed compile leaves the
+    // engine working; the render and exposure programs don't depend on the neighborhood and stay.
+    recreateKernelResources() {
+        const gl = this.gl;
+        const { program, uniforms } = this.createComputeProgram();
+        
+        gl.deleteProgram(this.computeProgram);
+        [this.weightTexture, this.mlpHiddenTexture, this.mlpOutputTexture].forEach(texture => gl.deleteTexture(texture));
+        this.computeProgram = program;
+        this.computeUniforms = uniforms;
+        this.bindQuadGeometry([program]);
+        this.createWeightTexture();
+        this.createMlpWeightTextures();
+        this.checkGLError('kernel layout change');
+    }
+    
+    // Choose learned or fixed-filter perception; filters is a partial { name: enabled } update
+    setPerception(mode, filters = {}) {
+        if (NeuralCAWebGL.PERCEPTION_MODES.includes(mode)) {
+            this.perceptionMode = mode;
+        }
+        for (const name of Object.keys(NeuralCAWebGL.PERCEPTION_FILTERS)) {
+            if (typeof filters[name] === 'boolean') {
+                this.perceptionFilters[name] = filters[name];
+            }
+        }
+    }
+    
     setWeightInitStrategy(strategy) {
         const validStrategies = ['xavier', 'he', 'uniform', 'custom'];
         if (validStrategies.includes(strategy)) {
@@ -1364,32 +3851,45 @@ class NeuralCAWebGL {
     }
     
     setChannelWeightScale(channel, scale) {
-        if (channel >= 0 && channel < 4) {
+        if (channel >= 0 && channel < this.channelSlots) {
             this.channelWeightScales[channel] = Math.max(0.1, Math.min(5.0, scale));
         }
     }
     
+    // Biases share the weight constraints; rates stay in [MIN_UPDATE_RATE, 1]
+    setChannelBias(channel, bias) {
+        if (channel >= 0 && channel < this.channelSlots && Number.isFinite(bias)) {
+            this.channelBiases[channel] = Math.max(this.weightConstraints.min, Math.min(this.weightConstraints.max, bias));
+        }
+    }
+    
+    setChannelUpdateRate(channel, rate) {
+        if (channel >= 0 && channel < this.channelSlots && Number.isFinite(rate)) {
+            this.channelUpdateRates[channel] = Math.max(NeuralCAWebGL.MIN_UPDATE_RATE, Math.min(1, rate));
+        }
+    }
+    
     setKernelWeightScale(position, scale) {
-        if (position >= 0 && position < 9) {
+        if (position >= 0 && position < this.kernelWeightScales.length) {
             this.kernelWeightScales[position] = Math.max(0.1, Math.min(5.0, scale));
         }
     }
     
     setChannelMutationMask(channel, enabled) {
-        if (channel >= 0 && channel < 4) {
+        if (channel >= 0 && channel < this.channelSlots) {
             this.channelMutationMask[channel] = enabled;
         }
     }
     
     setKernelMutationMask(position, enabled) {
-        if (position >= 0 && position < 9) {
+        if (position >= 0 && position < this.kernelMutationMask.length) {
             this.kernelMutationMask[position] = enabled;
         }
     }
     
     enableAutoEvolve() {
         this.autoEvolveEnabled = true;
-        this.lastAutoEvolveTime = performance.now();
+        this.restartAutoEvolve();
     }
     
     disableAutoEvolve() {
@@ -1407,6 +3907,24 @@ class NeuralCAWebGL {
             if (this.weightTexture) {
                 gl.deleteTexture(this.weightTexture);
             }
+            if (this.paletteTexture) {
+                gl.deleteTexture(this.paletteTexture);
+            }
+            if (this.mlpHiddenTexture) {
+                gl.deleteTexture(this.mlpHiddenTexture);
+            }
+            if (this.mlpOutputTexture) {
+                gl.deleteTexture(this.mlpOutputTexture);
+            }
+            if (this.maskTexture) {
+                gl.deleteTexture(this.maskTexture);
+            }
+            if (this.exposureTexture) {
+                gl.deleteTexture(this.exposureTexture);
+            }
+            if (this.exposureFramebuffer) {
+                gl.deleteFramebuffer(this.exposureFramebuffer);
+            }
             
             // Delete framebuffers
             if (this.framebuffers) {
@@ -1425,6 +3943,14 @@ class NeuralCAWebGL {
             if (this.renderProgram) {
                 gl.deleteProgram(this.renderProgram);
             }
+            if (this.exposureProgram) {
+                gl.deleteProgram(this.exposureProgram);
+            }
         }
     }
 }
+
+// Node loads the engine as a module (see nca-cpu.js); in the browser the classes stay globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, RegenerationExperiment, NeuralCAWebGL };
+}
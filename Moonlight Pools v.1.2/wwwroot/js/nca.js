@@ -1,5 +1,5 @@
-﻿// WebGL-only Neural Cellular Automata Application
-// This application requires WebGL2 support and will not run without it
+﻿// WebGL Neural Cellular Automata Application
+// Runs on WebGL2; without it a small grid falls back to the CPU engine (NeuralCACPU in nca-cpu.js)
 
 let nca;
 let canvas;
@@ -17,9 +17,34 @@ let lastFrameTime = 0;
 // Calculation display management
 let calculationDisplayCollapsed = true;
 
+// Canvas tool (pan / paint / erase / stamp / damage / mask) and brush settings
+let activeTool = 'pan';
+const brush = {
+    radius: 8,
+    softness: 0.5,
+    values: [1.0, 1.0, 1.0, 1.0],
+    pattern: 'center',
+    maskKind: 'obstacle'
+};
+
+// Damage tool / regeneration experiment settings (size = radius or half-extent in cells)
+const damageSettings = {
+    shape: 'circle',
+    size: 30,
+    warmupSteps: 200
+};
+
 // Loading state management
 let isInitializing = false;
 
+// True when WebGL2 is missing or the WebGL engine failed to start and the engine is a NeuralCACPU, see createEngine()
+let cpuFallback = false;
+let fallbackReason = '';
+
+// Events MoonlightPools.on() accepts, and their listeners (event name -> Set)
+const SIMULATION_EVENTS = ['init', 'reset', 'step', 'mutation', 'rule', 'snapshot', 'history', 'exposure', 'experiment', 'start', 'stop'];
+const simulationListeners = new Map();
+
 // Function to wait for NeuralCAWebGL class to be available
 function waitForNeuralCAWebGL() {
     return new Promise((resolve, reject) => {
@@ -46,6 +71,51 @@ function waitForNeuralCAWebGL() {
     });
 }
 
+// Load the CPU engine from next to nca-webgl.js - only fetched when WebGL2 is missing or unusable
+function loadCpuFallback() {
+    return new Promise((resolve, reject) => {
+        if (typeof NeuralCACPU !== 'undefined') {
+            resolve();
+            return;
+        }
+        
+        const engineScript = document.querySelector('script[src*="nca-webgl"]');
+        const script = document.createElement('script');
+        script.src = engineScript ? new URL('nca-cpu.js', engineScript.src).href : 'js/nca-cpu.js';
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Failed to load ${script.src}`));
+        document.head.appendChild(script);
+    });
+}
+
+function createEngine(gridSize, channels, randomSeed) {
+    const engine = cpuFallback
+        ? new NeuralCACPU(gridSize, channels, randomSeed)
+        : new NeuralCAWebGL(gridSize, channels, randomSeed);
+    engine.onEvent = notifySimulation;
+    return engine;
+}
+
+// Engine and app changes go to the calculation display and the MoonlightPools listeners alike
+function notifySimulation(event, data) {
+    updateCalculationDisplay(event, data);
+    emitSimulationEvent(event, data);
+}
+
+// Call the MoonlightPools listeners of an event; a failing listener is logged and doesn't stop the others
+function emitSimulationEvent(event, data) {
+    const listeners = simulationListeners.get(event);
+    if (!listeners) return;
+    
+    for (const listener of [...listeners]) {
+        try {
+            listener(data);
+        } catch (error) {
+            console.error(`MoonlightPools "${event}" listener failed:`, error);
+        }
+    }
+}
+
 // Function to update the calculation display
 function updateCalculationDisplay(action, data) {
     if (!nca) return;
@@ -53,7 +123,7 @@ function updateCalculationDisplay(action, data) {
     const config = nca.getNetworkConfig();
     
     // Update basic network configuration
-    updateElement('calcGridSize', `${config.gridSize}×${config.gridSize}`);
+    updateElement('calcGridSize', `${config.gridWidth}×${config.gridHeight}`);
     updateElement('calcChannels', config.numChannels);
     updateElement('calcWeightCount', config.weightCount);
     updateElement('calcActivation', config.activationFunc.toUpperCase());
@@ -61,6 +131,14 @@ function updateCalculationDisplay(action, data) {
     updateElement('calcSteps', config.stepCount);
     updateElement('calcFPS', config.fps);
     updateElement('calcStatus', nca.running ? 'RUNNING' : 'STOPPED');
+    updateElement('calcSeed', config.randomSeed);
+    updateElement('calcArchitecture', config.architecture === 'mlp' ? `MLP_${config.hiddenUnits}` : 'CONV');
+    updateElement('calcKernel', `${config.kernelSize}X${config.kernelSize}_${config.kernelShape.toUpperCase()}`);
+    updateElement('calcBiases', formatChannelValues(config.channelBiases, true));
+    updateElement('calcUpdateRates', formatChannelValues(config.channelUpdateRates, false));
+    updateElement('calcCellUpdate', formatCellUpdate(config.cellUpdate));
+    updateElement('calcUpdateFormula', formatUpdateFormula(config));
+    updateElement('calcBlendFormula', formatBlendFormula(config.neighborBlend));
     
     // Update activation scale
     const activationScaleSelect = safeGetElement('activationScale');
@@ -74,6 +152,7 @@ function updateCalculationDisplay(action, data) {
             updateElement('calcInitType', data.strategy.toUpperCase(), true);
             updateElement('calcInitTime', formatTime(data.timestamp), true);
             updateKernelMatrix(); // Let updateKernelMatrix get the effective weights itself
+            updateChannelParamControls();
             break;
             
         case 'mutation':
@@ -82,6 +161,7 @@ function updateCalculationDisplay(action, data) {
             updateElement('calcMutationStr', `${(data.strength * 100).toFixed(1)}%`, true);
             // Update kernel matrix with effective weights
             updateKernelMatrix();
+            updateChannelParamControls();
             break;
             
         case 'reset':
@@ -94,6 +174,37 @@ function updateCalculationDisplay(action, data) {
             // Live update without animation for control changes
             updateKernelMatrix();
             break;
+        
+        case 'rule':
+            updateElement('calcInitType', 'RULE_FILE', true);
+            updateElement('calcInitTime', formatTime(data.timestamp), true);
+            updateKernelMatrix();
+            break;
+        
+        case 'snapshot':
+            updateElement('calcSteps', data.stepCount, true);
+            updateKernelMatrix();
+            break;
+        
+        case 'experiment':
+            updateExperimentDisplay(data.experiment);
+            break;
+        
+        case 'exposure':
+            updateRenderParamControls();
+            break;
+        
+        case 'history':
+            if (data.restored) {
+                // Undo/redo also brings back the scales (and maybe the neighborhood), so the selects have to follow
+                updateKernelLayoutControls();
+                syncScaleControlsFromEngine();
+                updateChannelParamControls();
+                updateArchitectureControls();
+                updateKernelMatrix();
+            }
+            updateWeightTimeline();
+            break;
     }
 }
 
@@ -119,62 +230,91 @@ function updateKernelMatrix(weights) {
     // Use effective weights if available, fallback to raw weights
     const effectiveWeights = nca && nca.getEffectiveWeights ? nca.getEffectiveWeights() : weights;
     
-    if (!effectiveWeights || effectiveWeights.length < 9) return;
+    // One cell per cell of the kernel window (see rebuildKernelControls)
+    const matrix = document.querySelector('.kernel-matrix');
+    const cells = matrix ? Array.from(matrix.querySelectorAll('.matrix-cell')) : [];
+    if (!effectiveWeights || cells.length === 0 || effectiveWeights.length !== cells.length) return;
     
-    const kernelPositions = [
-        'kernel00', 'kernel01', 'kernel02',
-        'kernel10', 'kernel11', 'kernel12',
-        'kernel20', 'kernel21', 'kernel22'
-    ];
+    updateKernelMatrixLabel();
     
-    // Get current kernel selection to highlight the selected kernel
+    // Get current kernel selection to highlight the selected kernel (every cell of a radial shell)
     const kernelSelect = safeGetElement('kernelSelect');
     const selectedKernel = kernelSelect ? parseInt(kernelSelect.value) : -1;
-    
-    kernelPositions.forEach((id, index) => {
-        const element = safeGetElement(id);
-        if (element && effectiveWeights[index] !== undefined) {
-            const weight = effectiveWeights[index];
-            const displayValue = weight >= 0 ? 
-                `+${weight.toFixed(2)}` : 
-                weight.toFixed(2);
-            element.textContent = displayValue;
-            
-            // Add update animation
-            element.classList.add('updated');
-            setTimeout(() => {
-                element.classList.remove('updated');
-            }, 600);
-            
-            // Color code based on weight value
-            let color = '#cccccc'; // neutral/zero
+    const layout = nca.getKernelLayout();
+    
+    cells.forEach((element, index) => {
+        // Cells outside the radial kernel's outer shell are never read
+        if (layout[index] < 0) {
+            element.textContent = '·';
+            element.style.color = '#444';
+            element.style.border = '1px solid #444';
+            element.style.backgroundColor = 'transparent';
+            return;
+        }
+        
+        const weight = effectiveWeights[index];
+        const displayValue = weight >= 0 ? 
+            `+${weight.toFixed(2)}` : 
+            weight.toFixed(2);
+        element.textContent = displayValue;
+        
+        // Add update animation
+        element.classList.add('updated');
+        setTimeout(() => {
+            element.classList.remove('updated');
+        }, 600);
+        
+        // Color code based on weight value
+        let color = '#cccccc'; // neutral/zero
+        if (weight > 0.01) {
+            color = '#00ff00'; // positive - green
+        } else if (weight < -0.01) {
+            color = '#ff6666'; // negative - red
+        }
+        
+        // Highlight selected kernel with brighter color and border
+        if (layout[index] === selectedKernel) {
+            element.style.border = '2px solid #ffff00'; // yellow border for selected
+            element.style.backgroundColor = 'rgba(255, 255, 0, 0.1)'; // subtle yellow background
             if (weight > 0.01) {
-                color = '#00ff00'; // positive - green
+                color = '#00ff88'; // brighter green for selected positive
             } else if (weight < -0.01) {
-                color = '#ff6666'; // negative - red
-            }
-            
-            // Highlight selected kernel with brighter color and border
-            if (index === selectedKernel) {
-                element.style.border = '2px solid #ffff00'; // yellow border for selected
-                element.style.backgroundColor = 'rgba(255, 255, 0, 0.1)'; // subtle yellow background
-                if (weight > 0.01) {
-                    color = '#00ff88'; // brighter green for selected positive
-                } else if (weight < -0.01) {
-                    color = '#ff8888'; // brighter red for selected negative
-                } else {
-                    color = '#ffffff'; // white for selected neutral
-                }
+                color = '#ff8888'; // brighter red for selected negative
             } else {
-                element.style.border = '1px solid #444'; // default border
-                element.style.backgroundColor = 'transparent'; // default background
+                color = '#ffffff'; // white for selected neutral
             }
-            
-            element.style.color = color;
+        } else {
+            element.style.border = '1px solid #444'; // default border
+            element.style.backgroundColor = 'transparent'; // default background
         }
+        
+        element.style.color = color;
     });
 }
 
+const KERNEL_MATRIX_NOTE = '* Showing Channel 0 weights (simplified)';
+
+// The label follows the neighborhood; in filter perception mode the matrix shows the combined stencil,
+// so say which filters it's built from
+function updateKernelMatrixLabel() {
+    const section = document.querySelector('.kernel-matrix')?.closest('.calc-section');
+    if (!section || !nca) return;
+    
+    const label = section.querySelector('.calc-label');
+    const note = section.querySelector('.calc-note');
+    const size = `${nca.kernelSize}×${nca.kernelSize}${nca.kernelShape === 'radial' ? ', RADIAL' : ''}`;
+    if (nca.perceptionMode === 'filters') {
+        const active = Object.keys(PERCEPTION_FILTER_LABELS).filter(name => nca.perceptionFilters[name]);
+        if (label) label.textContent = `KERNEL MATRIX (${size}, FILTERS):`;
+        if (note) note.textContent = active.length > 0
+            ? `* Channel 0 through ${active.map(name => PERCEPTION_FILTER_LABELS[name]).join(' + ')}`
+            : '* No filters active';
+    } else {
+        if (label) label.textContent = `KERNEL MATRIX (${size}):`;
+        if (note) note.textContent = KERNEL_MATRIX_NOTE;
+    }
+}
+
 // Function to format time for display
 function formatTime(date) {
     if (!date) return '--:--:--';
@@ -232,7 +372,8 @@ function setupCalculationDisplay() {
     }, 100);
 }
 
-function showWebGLError() {
+// Shown only when no engine can start - without a usable WebGL2 the CPU fallback runs instead
+function showWebGLError(error = null) {
     // Hide the canvas and controls
     const canvas = document.getElementById('ncaCanvas');
     const controls = document.getElementById('controls');
@@ -265,31 +406,32 @@ function showWebGLError() {
     
     errorDiv.innerHTML = `
         <h2 style="color: #ff4141; margin-top: 0; text-transform: uppercase; letter-spacing: 2px;">
-            ❌ WebGL2 Required ❌
+            ❌ Simulation Failed to Start ❌
         </h2>
         <p style="margin: 20px 0; line-height: 1.6;">
-            Moonlight Pools requires <strong>WebGL2</strong> support to run.
-        </p>
-        <p style="margin: 20px 0; line-height: 1.6;">
-            Your browser either doesn't support WebGL2 or it's disabled.
+            Moonlight Pools could start neither its <strong>WebGL2</strong> engine nor the CPU fallback.
         </p>
+        <p id="webgl-error-detail" style="margin: 20px 0; line-height: 1.6; color: #ff8888;"></p>
         <div style="margin: 30px 0; padding: 20px; background: rgba(255, 65, 65, 0.1); border: 1px solid rgba(255, 65, 65, 0.3); border-radius: 4px;">
             <h3 style="margin-top: 0; color: #ff8888;">How to Fix:</h3>
             <ul style="text-align: left; margin: 0; padding-left: 20px;">
+                <li>Reload the page - the CPU engine (js/nca-cpu.js) may have failed to download</li>
                 <li>Use a modern browser (Chrome 56+, Firefox 51+, Safari 15+, Edge 79+)</li>
-                <li>Enable hardware acceleration in your browser settings</li>
-                <li>Update your graphics drivers</li>
+                <li>Enable hardware acceleration in your browser settings and update your graphics drivers</li>
                 <li>Try a different browser if the issue persists</li>
             </ul>
         </div>
         <p style="margin: 20px 0; font-size: 0.9em; color: #cccccc;">
-            WebGL2 support is required for GPU-accelerated neural network computations.
+            WebGL2 runs the simulation on the GPU; without it the CPU engine runs a smaller grid.
         </p>
     `;
+    if (error) {
+        errorDiv.querySelector('#webgl-error-detail').textContent = error.message;
+    }
     
     document.body.appendChild(errorDiv);
     
-    console.error('Neural Cellular Automata: WebGL2 not supported. Application cannot run.');
+    console.error('Neural Cellular Automata: no engine could start. Application cannot run.');
 }
 
 function resizeCanvas() {
@@ -317,8 +459,8 @@ function resizeCanvas() {
 
 function getMinZoom() {
     // Calculate minimum zoom so grid fits entirely in canvas
-    const minZoomX = canvas.width / nca.gridSize;
-    const minZoomY = canvas.height / nca.gridSize;
+    const minZoomX = canvas.width / nca.gridWidth;
+    const minZoomY = canvas.height / nca.gridHeight;
     return Math.min(minZoomX, minZoomY);
 }
 
@@ -380,7 +522,7 @@ async function init() {
     console.log('Canvas resized');
     
     // Large grid for high detail
-    const gridSize = 1600;
+    let gridSize = 1600;
     const channels = 2; // Start with color mode (2 channels)
     
     // Check if WebGL2 is available
@@ -400,42 +542,61 @@ async function init() {
         webgl2Supported = false;
     }
     
-    // Check if WebGL class is loaded
-    if (!webgl2Supported) {
-        console.error('WebGL2 not supported by this browser');
-        showWebGLError();
-        isInitializing = false;
-        return;
-    }
-    
     // Wait for NeuralCAWebGL class to be available
     try {
         await waitForNeuralCAWebGL();
     } catch (error) {
         console.error('NeuralCAWebGL class not available:', error);
-        showWebGLError();
+        showWebGLError(error);
         isInitializing = false;
         return;
     }
     
     console.log('NeuralCAWebGL class is available');
     
-    // Initialize WebGL implementation only
+    // Without WebGL2, run the same rules on the CPU engine with a grid it can keep up with
+    if (!webgl2Supported) {
+        console.warn('WebGL2 not supported by this browser - falling back to the CPU engine');
+        try {
+            await loadCpuFallback();
+        } catch (error) {
+            console.error('CPU fallback not available:', error);
+            showWebGLError(error);
+            isInitializing = false;
+            return;
+        }
+        cpuFallback = true;
+        fallbackReason = 'no WebGL2';
+        gridSize = NeuralCACPU.FALLBACK_GRID_SIZE;
+    }
+    
     try {
-        console.log('Initializing WebGL Neural Cellular Automata...');
-        nca = new NeuralCAWebGL(gridSize, channels);
-        
-        if (!nca || !nca.gl) {
-            throw new Error('WebGL NCA initialization failed - no GL context');
+        console.log('Initializing Neural Cellular Automata...');
+        try {
+            nca = createEngine(gridSize, channels);
+            if (!nca || (!cpuFallback && !nca.gl)) {
+                throw new Error('WebGL NCA initialization failed - no GL context');
+            }
+        } catch (error) {
+            if (cpuFallback) throw error;
+            
+            // WebGL2 exists but lacks something the GPU engine needs (float render targets,
+            // enough draw buffers, a large enough texture size) - the CPU engine needs none of it
+            console.warn(`WebGL engine failed (${error.message}) - falling back to the CPU engine`);
+            await loadCpuFallback();
+            cpuFallback = true;
+            fallbackReason = 'WebGL2 unusable';
+            gridSize = NeuralCACPU.FALLBACK_GRID_SIZE;
+            nca = createEngine(gridSize, channels);
         }
         
-        console.log('✅ WebGL acceleration enabled');
+        console.log(cpuFallback ? '⚠️ Running on the CPU fallback' : '✅ WebGL acceleration enabled');
         
-        // Show WebGL indicator in UI
+        // Show engine indicator in UI
         const indicator = document.createElement('div');
         indicator.id = 'webgl-indicator';
         indicator.style.cssText = 'position: fixed; bottom: 10px; right: 10px; background: rgba(0,0,0,0.8); color: #fff; padding: 5px 10px; border: 1px solid #fff; border-radius: 4px; font-size: 12px; z-index: 1000; font-family: monospace;';
-        indicator.textContent = '✅ WebGL2 Ready';
+        indicator.textContent = cpuFallback ? `⚠️ CPU Fallback (${fallbackReason})` : '✅ WebGL2 Ready';
         document.body.appendChild(indicator);
         
         // Sync UI controls with NCA settings after creation
@@ -452,6 +613,27 @@ async function init() {
         try {
             console.log('Setting up event listeners...');
             setupEventListeners();
+            setupGridSizeControls();
+            console.log('Setting up rule file controls...');
+            setupRuleFileControls();
+            setupSnapshotControls();
+            setupSeedControls();
+            setupSeedPatternControls();
+            setupBrushControls();
+            setupRegenerationControls();
+            setupMaskControls();
+            setupPaletteControls();
+            setupChannelMappingControls();
+            setupRenderParamControls();
+            setupBoundaryControls();
+            setupArchitectureControls();
+            setupPerceptionControls();
+            setupKernelLayoutControls();
+            setupChannelViewControls();
+            setupChannelParamControls();
+            setupCellUpdateControls();
+            setupNeighborBlendControls();
+            setupWeightTimeline();
             console.log('Setting up calculation display...');
             setupCalculationDisplay();
             console.log('Event listeners setup complete');
@@ -470,9 +652,11 @@ async function init() {
         console.log('Performing initial render...');
         render();
         
+        nca.notifyInit();
+        
     } catch (error) {
-        console.error('WebGL initialization failed:', error);
-        showWebGLError();
+        console.error('Engine initialization failed:', error);
+        showWebGLError(error);
         return;
     } finally {
         isInitializing = false;
@@ -530,7 +714,9 @@ function safeGetElement(id) {
 }
 
 // Sync UI controls with NCA settings
-function syncUIControls() {
+// options.skipWeightLayout leaves the kernel layout and architecture alone: changing either re-initializes
+// the weights, which is wasted (and advances the weight PRNG) when a rule import is about to set them
+function syncUIControls(options = {}) {
     // Sync steps per frame from UI to NCA
     const stepsPerFrameSelect = safeGetElement('stepsPerFrame');
     if (stepsPerFrameSelect && stepsPerFrameSelect.value) {
@@ -566,12 +752,29 @@ function syncUIControls() {
     
     // Sync new advanced controls
     syncActivationParams();
+    if (!options.skipWeightLayout) {
+        syncKernelLayoutControls();
+    }
     syncKernelControls();
     syncAllKernelScales();
     syncWeightControls();
     syncMutationControls();
     syncChannelScales();
     syncMutationMasks();
+    syncSeedControls();
+    syncPaletteControls();
+    syncChannelMappingControls();
+    syncRenderParamControls();
+    syncBoundaryControls();
+    syncMaskControls();
+    if (!options.skipWeightLayout) {
+        syncArchitectureControls();
+    }
+    syncPerceptionControls();
+    syncChannelViewControls();
+    syncChannelParamControls();
+    syncCellUpdateControls();
+    syncNeighborBlendControls();
 }
 
 function syncActivationParams() {
@@ -590,7 +793,7 @@ function syncKernelControls() {
     const kernelSelect = safeGetElement('kernelSelect');
     const kernelScale = safeGetElement('kernelScale');
     
-    if (kernelSelect && kernelScale && nca.setKernelWeightScale) {
+    if (kernelSelect && kernelScale && nca.setKernelWeightScale && kernelControlsMatchEngine()) {
         const selectedKernel = parseInt(kernelSelect.value);
         const scale = parseFloat(kernelScale.value);
         
@@ -606,10 +809,10 @@ function syncKernelControls() {
 
 // Add a function to sync all kernel scales from the mask settings
 function syncAllKernelScales() {
-    if (!nca.setKernelWeightScale) return;
+    if (!nca.setKernelWeightScale || !kernelControlsMatchEngine()) return;
     
     // Reset all kernel scales to 1.0 first
-    for (let i = 0; i < 9; i++) {
+    for (let i = 0; i < nca.kernelWeightScales.length; i++) {
         nca.setKernelWeightScale(i, 1.0);
     }
     
@@ -673,8 +876,8 @@ function syncMutationMasks() {
     }
     
     // Kernel position mutation masks
-    if (nca.setKernelMutationMask) {
-        for (let i = 0; i < 9; i++) {
+    if (nca.setKernelMutationMask && kernelControlsMatchEngine()) {
+        for (let i = 0; i < nca.kernelMutationMask.length; i++) {
             const checkbox = safeGetElement(`kernel${i}`);
             if (checkbox) {
                 nca.setKernelMutationMask(i, checkbox.checked);
@@ -687,7 +890,7 @@ function updateGridSizeDisplay() {
     const gridSizeElements = document.querySelectorAll('#gridSize');
     gridSizeElements.forEach(el => {
         if (el && nca) {
-            el.textContent = nca.gridSize;
+            el.textContent = nca.gridWidth === nca.gridHeight ? nca.gridWidth : `${nca.gridWidth}×${nca.gridHeight}`;
         }
     });
 }
@@ -712,8 +915,8 @@ function constrainPan() {
     
     // Calculate maximum pan distances from center
     // When zoomed out enough to see the entire grid, don't allow panning
-    const maxPanX = Math.max(0, (nca.gridSize - visibleWidth) / 2);
-    const maxPanY = Math.max(0, (nca.gridSize - visibleHeight) / 2);
+    const maxPanX = Math.max(0, (nca.gridWidth - visibleWidth) / 2);
+    const maxPanY = Math.max(0, (nca.gridHeight - visibleHeight) / 2);
     
     // Constrain pan to prevent seeing beyond grid bounds
     panX = Math.max(-maxPanX, Math.min(maxPanX, panX));
@@ -821,18 +1024,14 @@ function setupEventListeners() {
                 if (e.shiftKey) {
                     // Shift+R: Randomize weights
                     nca.initializeWeights();
-                    updateCalculationDisplay('init', {
-                        strategy: nca.weightInitStrategy || 'xavier',
-                        weightRange: nca.weightRange || 2.0,
-                        timestamp: new Date()
-                    });
                 } else {
                     // R: Reset simulation
                     nca.initializeWeights();
                     nca.reset();
                     updateCalculationDisplay('reset', {
                         timestamp: new Date(),
-                        gridSize: nca.gridSize
+                        gridWidth: nca.gridWidth,
+                        gridHeight: nca.gridHeight
                     });
                     render();
                 }
@@ -851,6 +1050,17 @@ function setupEventListeners() {
                 // M: Mutate weights
                 nca.mutateWeights();
                 break;
+            case 'z':
+                // Ctrl+Z: Undo weight change, Ctrl+Shift+Z: Redo
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        nca.redoWeights();
+                    } else {
+                        nca.undoWeights();
+                    }
+                }
+                break;
             case 'e':
                 e.preventDefault();
                 // E: Toggle auto-evolve
@@ -941,7 +1151,8 @@ function setupEventListeners() {
             nca.reset();
             updateCalculationDisplay('reset', {
                 timestamp: new Date(),
-                gridSize: nca.gridSize
+                gridWidth: nca.gridWidth,
+                gridHeight: nca.gridHeight
             });
             render();
         });
@@ -951,11 +1162,6 @@ function setupEventListeners() {
     if (randomizeBtn) {
         randomizeBtn.addEventListener('click', () => {
             nca.initializeWeights();
-            updateCalculationDisplay('init', {
-                strategy: nca.weightInitStrategy || 'xavier',
-                weightRange: nca.weightRange || 2.0,
-                timestamp: new Date()
-            });
             updateInitStrategyDisplay();
         });
     }
@@ -965,38 +1171,7 @@ function setupEventListeners() {
     if (channelCountSelect) {
         channelCountSelect.addEventListener('input', (e) => {
             const newChannels = parseInt(e.target.value);
-            const wasRunning = nca.running;
-            
-            // Stop current animation
-            stopAnimation();
-            
-            // Dispose of old WebGL instance
-            if (nca.dispose) {
-                nca.dispose();
-            }
-            
-            const gridSize = nca.gridSize;
-            
-            // Create new WebGL instance
-            nca = new NeuralCAWebGL(gridSize, newChannels);
-            
-            // Sync UI controls with the new NCA instance
-            syncUIControls();
-            
-            nca.reset();
-            
-            updateGridSizeDisplay();
-            updateChannelModeDisplay();
-            
-            // Update calculation display with new configuration
-            triggerCalculationUpdate();
-            
-            // Restart animation if it was running
-            if (wasRunning) {
-                startAnimation();
-            } else {
-                render();
-            }
+            rebuildEngine(nca.gridWidth, nca.gridHeight, newChannels);
         });
     }
     
@@ -1009,9 +1184,18 @@ function setupEventListeners() {
     let mouseDownY = 0;
     const dragThreshold = 5; // pixels to distinguish click from drag
     
+    // Brush interaction (any tool other than pan)
+    let isPainting = false;
+    let lastBrushPoint = null;
+    
     if (canvas) {
         canvas.addEventListener('mousedown', (e) => {
-            if (e.button === 0) { // Left click
+            if (e.button === 0 && activeTool !== 'pan') {
+                isPainting = true;
+                lastBrushPoint = screenToGrid(e.clientX, e.clientY);
+                applyToolAt(lastBrushPoint);
+                if (!nca.running) render();
+            } else if (e.button === 0) { // Left click
                 mouseDownX = e.clientX;
                 mouseDownY = e.clientY;
                 lastPanX = e.clientX;
@@ -1027,7 +1211,12 @@ function setupEventListeners() {
         });
         
         canvas.addEventListener('mousemove', (e) => {
-            if (e.buttons === 1) { // Left button is down
+            if (isPainting && (e.buttons & 1)) {
+                const point = screenToGrid(e.clientX, e.clientY);
+                paintStroke(lastBrushPoint, point);
+                lastBrushPoint = point;
+                if (!nca.running) render();
+            } else if (e.buttons === 1 && activeTool === 'pan') { // Left button is down
                 const dx = e.clientX - mouseDownX;
                 const dy = e.clientY - mouseDownY;
                 const distance = Math.sqrt(dx * dx + dy * dy);
@@ -1038,8 +1227,8 @@ function setupEventListeners() {
                     canvas.style.cursor = 'grabbing';
                     
                     // Pan the canvas - FIXED: Reverse the delta direction for natural panning
-                    const panDx = -(e.clientX - lastPanX) / canvas.width * nca.gridSize / zoom;
-                    const panDy = -(e.clientY - lastPanY) / canvas.height * nca.gridSize / zoom;
+                    const panDx = -(e.clientX - lastPanX) / canvas.width * nca.gridWidth / zoom;
+                    const panDy = -(e.clientY - lastPanY) / canvas.height * nca.gridHeight / zoom;
                     panX += panDx;
                     panY += panDy;
                     constrainPan();
@@ -1049,8 +1238,8 @@ function setupEventListeners() {
                 }
             } else if (isPanning) {
                 // Pan the canvas - FIXED: Reverse the delta direction for natural panning
-                const dx = -(e.clientX - lastPanX) / canvas.width * nca.gridSize / zoom;
-                const dy = -(e.clientY - lastPanY) / canvas.height * nca.gridSize / zoom;
+                const dx = -(e.clientX - lastPanX) / canvas.width * nca.gridWidth / zoom;
+                const dy = -(e.clientY - lastPanY) / canvas.height * nca.gridHeight / zoom;
                 panX += dx;
                 panY += dy;
                 constrainPan();
@@ -1063,10 +1252,11 @@ function setupEventListeners() {
         canvas.addEventListener('mouseup', (e) => {
             if (e.button === 0) { // Left click
                 isLeftDragging = false;
-                canvas.style.cursor = 'default';
+                isPainting = false;
+                canvas.style.cursor = activeTool === 'pan' ? 'default' : 'crosshair';
             } else if (e.button === 1 || e.button === 2) {
                 isPanning = false;
-                canvas.style.cursor = 'default';
+                canvas.style.cursor = activeTool === 'pan' ? 'default' : 'crosshair';
             }
         });
         
@@ -1116,6 +1306,7 @@ function setupEventListeners() {
     if (kernelSelect) {
         kernelSelect.addEventListener('change', (e) => {
             syncAllKernelScales(); // Reset all and apply current
+            nca.pushWeightHistory('edit');
             updateSelectedKernelDisplay();
             triggerCalculationUpdate(); // Update calculation display
         });
@@ -1125,6 +1316,7 @@ function setupEventListeners() {
     if (kernelScale) {
         kernelScale.addEventListener('change', (e) => {
             syncKernelControls();
+            nca.pushWeightHistory('edit');
             triggerCalculationUpdate(); // Update calculation display
         });
     }
@@ -1194,6 +1386,7 @@ function setupEventListeners() {
         if (scaleControl) {
             scaleControl.addEventListener('change', (e) => {
                 nca.setChannelWeightScale(i, parseFloat(e.target.value));
+                nca.pushWeightHistory('edit');
                 triggerCalculationUpdate(); // Update calculation display
             });
         }
@@ -1210,8 +1403,8 @@ function setupEventListeners() {
         }
     }
     
-    // Kernel position mutation mask controls
-    for (let i = 0; i < 9; i++) {
+    // Kernel position mutation mask controls (rebuildKernelControls wires up the ones it creates)
+    for (let i = 0; i < nca.kernelMutationMask.length; i++) {
         const checkbox = safeGetElement(`kernel${i}`);
         if (checkbox) {
             checkbox.addEventListener('change', (e) => {
@@ -1222,6 +1415,67 @@ function setupEventListeners() {
     }
 }
 
+// Replace the engine with one of a new size / channel count. options.rule is re-imported into
+// the new engine; options.state ({ data, width, height }) is resampled onto the new grid.
+// options.skipWeightLayout is passed on to syncUIControls (implied by options.rule).
+function rebuildEngine(gridWidth, gridHeight, channels, options = {}) {
+    const wasRunning = nca.running;
+    const sizeChanged = gridWidth !== nca.gridWidth || gridHeight !== nca.gridHeight;
+    const randomSeed = nca.randomSeed;
+    const customPalette = nca.customPalette;
+    const mask = { data: nca.maskData, width: nca.gridWidth, height: nca.gridHeight };
+    
+    // Pause the animation loop (the simulation keeps running for listeners, so no stop/start events)
+    stopAnimation(false);
+    nca.stopRegenerationExperiment();
+    
+    // Dispose of old WebGL instance
+    if (nca.dispose) {
+        nca.dispose();
+    }
+    
+    // Create new WebGL instance (keeping the seed so the rebuild stays reproducible)
+    nca = createEngine({ width: gridWidth, height: gridHeight }, channels, randomSeed);
+    nca.setCustomPalette(customPalette);
+    // The mask is part of the world geometry, so it follows the grid through any rebuild
+    nca.setMaskData(NeuralCAWebGL.resampleState(mask.data, mask.width, mask.height, nca.gridWidth, nca.gridHeight, 1));
+    
+    // Sync UI controls with the new NCA instance
+    syncUIControls({ skipWeightLayout: options.skipWeightLayout || !!options.rule });
+    if (options.rule) {
+        nca.importRule(options.rule);
+    }
+    
+    nca.reset();
+    if (options.state) {
+        const { data, width, height } = options.state;
+        nca.writeState(NeuralCAWebGL.resampleState(data, width, height, nca.gridWidth, nca.gridHeight, nca.valuesPerCell));
+    }
+    
+    if (sizeChanged) {
+        resetView();
+    }
+    updateGridSizeDisplay();
+    updateGridSizeControls();
+    updateChannelModeDisplay();
+    updateChannelViewControls();
+    updateCellUpdateControls();
+    updateNeighborBlendControls();
+    updateKernelLayoutControls();
+    
+    // Update calculation display with new configuration
+    triggerCalculationUpdate();
+    updateWeightTimeline();
+    
+    // Restart animation if it was running
+    if (wasRunning) {
+        startAnimation(false);
+    } else {
+        render();
+    }
+    nca.notifyInit();
+}
+
 // Helper function to trigger live calculation display updates
 function triggerCalculationUpdate() {
     updateCalculationDisplay('control_change', {
@@ -1274,98 +1528,2265 @@ function updateSelectedKernelDisplay() {
         const kernelSelect = safeGetElement('kernelSelect');
         if (kernelSelect) {
             const kernelIndex = parseInt(kernelSelect.value);
-            const kernelNames = ['TL', 'T', 'TR', 'L', 'C', 'R', 'BL', 'B', 'BR'];
-            const kernelName = kernelNames[kernelIndex] || 'C';
+            const kernelName = kernelPositionName(kernelIndex, nca.kernelSize, nca.kernelShape);
             selectedKernelEl.textContent = `${kernelName}(${kernelIndex})`;
         }
     }
 }
 
-// WebGL-only rendering
-function render() {
-    if (!nca || !canvas || !ctx) {
+// Helpers for controls built at runtime (the page markup only ships the core controls)
+function createControlsRow() {
+    const row = document.createElement('div');
+    row.className = 'controls-row terminal-row';
+    return row;
+}
+
+function insertControlsRow(row) {
+    const content = document.querySelector('#controls .controls-content');
+    if (!content) return;
+    
+    // Keep the hotkeys and stats rows at the bottom of the panel
+    const anchor = content.querySelector('.keyboard-shortcuts');
+    content.insertBefore(row, anchor);
+}
+
+function createTerminalButton(id, label) {
+    const button = document.createElement('button');
+    if (id) button.id = id;
+    button.className = 'btn btn-secondary btn-sm terminal-btn secondary';
+    button.textContent = label;
+    return button;
+}
+
+// Set a select to a value, adding an option when the value isn't one of the presets
+function setSelectValue(id, value) {
+    const select = safeGetElement(id);
+    if (!select) return;
+    
+    const match = Array.from(select.options).find(option =>
+        option.value === String(value) || parseFloat(option.value) === value
+    );
+    if (match) {
+        select.value = match.value;
         return;
     }
     
-    // Save context state and disable smoothing for crisp pixels
-    ctx.save();
-    ctx.imageSmoothingEnabled = false;
-    ctx.webkitImageSmoothingEnabled = false;
-    ctx.mozImageSmoothingEnabled = false;
-    ctx.msImageSmoothingEnabled = false;
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = String(value);
+    select.appendChild(option);
+    select.value = option.value;
+}
+
+// Transient status line above the WebGL indicator
+function showStatusMessage(message, isError = false) {
+    let statusEl = document.getElementById('status-message');
+    if (!statusEl) {
+        statusEl = document.createElement('div');
+        statusEl.id = 'status-message';
+        document.body.appendChild(statusEl);
+    }
     
-    // Use WebGL rendering only
-    nca.renderToCanvas(canvas, ctx, zoom, panX, panY);
+    const color = isError ? '#ff4141' : '#ffffff';
+    statusEl.style.cssText = `position: fixed; bottom: 40px; right: 10px; max-width: 420px; background: rgba(0,0,0,0.9); color: ${color}; padding: 5px 10px; border: 1px solid ${color}; border-radius: 4px; font-size: 12px; z-index: 1000; font-family: monospace;`;
+    statusEl.textContent = message;
     
-    // Restore context state
-    ctx.restore();
+    clearTimeout(showStatusMessage.timeoutId);
+    showStatusMessage.timeoutId = setTimeout(() => statusEl.remove(), isError ? 8000 : 4000);
+}
+
+function downloadFile(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function getFileTimestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Rule file export/import controls
+function setupRuleFileControls() {
+    const row = createControlsRow();
+    const exportBtn = createTerminalButton('exportRuleBtn', 'EXPORT_RULE');
+    const importBtn = createTerminalButton('importRuleBtn', 'IMPORT_RULE');
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.id = 'importRuleFile';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    
+    row.append(exportBtn, importBtn, fileInput);
+    insertControlsRow(row);
+    
+    exportBtn.addEventListener('click', exportRuleFile);
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        // Allow re-importing the same file later
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            const rule = JSON.parse(await file.text());
+            applyRule(rule);
+            showStatusMessage(`Loaded rule: ${file.name}`);
+        } catch (error) {
+            console.error('Rule import failed:', error);
+            showStatusMessage(`Rule import failed: ${error.message}`, true);
+        }
+    });
+}
+
+function exportRuleFile() {
+    if (!nca) return;
     
-    // Update stats in the main controls
-    const stepCountEl = safeGetElement('stepCount');
-    if (stepCountEl) {
-        stepCountEl.textContent = nca.stepCount;
+    const rule = nca.exportRule();
+    const blob = new Blob([JSON.stringify(rule, null, 2)], { type: 'application/json' });
+    downloadFile(`moonlight-rule-${getFileTimestamp()}.json`, blob);
+    showStatusMessage('Rule exported');
+}
+
+// Apply a rule to the engine and bring every control in line with it. With a decoded snapshot
+// (holding this rule) the engine imports the rule and state together instead.
+function applyRule(rule, snapshot = null) {
+    // Migrate and validate up front so a malformed file never reaches the weight texture
+    const migrated = NeuralCAWebGL.migrateRule(rule);
+    NeuralCAWebGL.validateRule(migrated);
+    
+    // State textures are sized per 4 channels, so e.g. an 8 channel rule needs a rebuilt engine
+    if (NeuralCAWebGL.getChannelSlots(migrated.numChannels) !== nca.channelSlots) {
+        rebuildEngine(nca.gridWidth, nca.gridHeight, migrated.numChannels, { skipWeightLayout: true });
+    }
+    
+    // Reflect the rule in the selects and push them through the normal sync path, then import the
+    // rule itself so values the selects can't express stay exact (and it applies its own kernel layout
+    // and architecture, see syncUIControls)
+    syncControlsFromRule(migrated);
+    syncUIControls({ skipWeightLayout: true });
+    if (snapshot) {
+        nca.importSnapshot(snapshot); // Sends 'snapshot' in place of 'rule'
+    } else {
+        nca.importRule(migrated);
     }
     
-    const fpsEl = safeGetElement('fps');
-    if (fpsEl) {
-        fpsEl.textContent = nca.fps;
+    updateControlsFromEngine();
+    if (!snapshot) {
+        notifySimulation('rule', {
+            rule: migrated,
+            timestamp: new Date()
+        });
     }
-    
-    // Update calculation display stats (non-animated) - Live updates for running values
-    updateElement('calcSteps', nca.stepCount);
-    updateElement('calcFPS', nca.fps);
-    updateElement('calcStatus', nca.running ? 'RUNNING' : 'STOPPED');
+    triggerCalculationUpdate();
+    render();
 }
 
-function animate(currentTime = 0) {
-    // Early exit if not running or if another animation loop is already active
-    if (!nca || !nca.running) {
-        animationId = null;
-        return;
+// Bring the runtime-built controls and the displays in line with the engine after a change made outside them
+// (syncControlsFromRule covers the original selects)
+function updateControlsFromEngine() {
+    updatePaletteControls();
+    updateChannelMappingControls();
+    updateRenderParamControls();
+    updateBoundaryControls();
+    updateMaskControls();
+    updateArchitectureControls();
+    updatePerceptionControls();
+    updateKernelLayoutControls();
+    updateChannelViewControls();
+    updateChannelParamControls();
+    updateCellUpdateControls();
+    updateNeighborBlendControls();
+    updateSeedControls();
+    updateChannelModeDisplay();
+    updateInitStrategyDisplay();
+    updateMutationTypeDisplay();
+    updateSelectedKernelDisplay();
+}
+
+function syncControlsFromRule(rule) {
+    setSelectValue('channelCount', rule.numChannels);
+    setSelectValue('stepsPerFrame', rule.stepsPerFrame);
+    setSelectValue('activation', rule.activationFunc);
+    setSelectValue('weightRange', rule.weightRange);
+    setSelectValue('weightInitStrategy', rule.weightInitStrategy);
+    setSelectValue('mutationRate', rule.mutation.rate);
+    setSelectValue('mutationStrength', rule.mutation.strength);
+    setSelectValue('mutationPattern', rule.mutation.pattern);
+    
+    const activationParams = rule.activationParams[rule.activationFunc];
+    if (activationParams && activationParams.scale !== undefined) {
+        setSelectValue('activationScale', activationParams.scale);
+    }
+    
+    // The kernel controls take the rule's neighborhood first, so its scales and mask line up
+    setSelectValue('kernelSize', rule.kernel.size);
+    setSelectValue('kernelShape', rule.kernel.shape);
+    rebuildKernelControls(rule.kernel.size, rule.kernel.shape);
+    const kernelSelect = safeGetElement('kernelSelect');
+    if (kernelSelect) {
+        setSelectValue('kernelScale', rule.kernelWeightScales[parseInt(kernelSelect.value)]);
     }
     
-    // Calculate time elapsed since last frame
-    const elapsed = currentTime - lastFrameTime;
+    for (let i = 0; i < 4; i++) {
+        setSelectValue(`channel${i}Scale`, rule.channelWeightScales[i]);
+        const checkbox = safeGetElement(`mutateCh${i}`);
+        if (checkbox) {
+            checkbox.checked = rule.mutation.channelMask[i];
+        }
+    }
     
-    // Only update if enough time has passed (FPS limiting)
-    if (elapsed >= FRAME_INTERVAL) {
-        // Run multiple steps per frame based on stepsPerFrame setting
-        for (let i = 0; i < nca.stepsPerFrame; i++) {
-            nca.step();
+    for (let i = 0; i < rule.mutation.kernelMask.length; i++) {
+        const checkbox = safeGetElement(`kernel${i}`);
+        if (checkbox) {
+            checkbox.checked = rule.mutation.kernelMask[i];
         }
-        render();
-        lastFrameTime = currentTime;
     }
     
-    // Continue animation loop
-    animationId = requestAnimationFrame(animate);
+    setSelectValue('colorScheme', rule.render.colorScheme);
+    setSelectValue('architecture', rule.architecture.type);
+    setSelectValue('hiddenUnits', rule.architecture.hiddenUnits);
+    setSelectValue('perceptionMode', rule.perception.mode);
+    for (const [name, enabled] of Object.entries(rule.perception.filters)) {
+        const checkbox = document.getElementById(perceptionFilterId(name));
+        if (checkbox) {
+            checkbox.checked = enabled;
+        }
+    }
 }
 
-function startAnimation() {
-    if (!nca) {
-        return;
-    }
+// Add a value line to the calculation display section that holds anchorId
+function appendCalcItem(anchorId, id, label, value = '--') {
+    const anchor = safeGetElement(anchorId);
+    const info = anchor ? anchor.closest('.calc-info') : null;
+    if (!info || document.getElementById(id)) return;
+    
+    const item = document.createElement('span');
+    item.className = 'calc-item';
+    item.append(`${label}: `);
+    
+    const valueEl = document.createElement('span');
+    valueEl.id = id;
+    valueEl.className = 'terminal-value';
+    valueEl.textContent = value;
+    item.appendChild(valueEl);
+    
+    info.appendChild(item);
+}
+
+function createTerminalInput(id, label, value) {
+    const group = document.createElement('div');
+    group.className = 'control-group terminal-group';
+    
+    const labelEl = document.createElement('label');
+    labelEl.className = 'control-label terminal-label';
+    labelEl.htmlFor = id;
+    labelEl.textContent = label;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = id;
+    input.className = 'form-control form-control-sm terminal-select';
+    input.value = value;
+    input.spellcheck = false;
+    
+    group.append(labelEl, input);
+    return group;
+}
+
+// Seed field for the engine's deterministic PRNG streams
+function setupSeedControls() {
+    const row = createControlsRow();
+    const seedGroup = createTerminalInput('randomSeed', 'SEED', nca.randomSeed);
+    const applyBtn = createTerminalButton('applySeedBtn', 'APPLY_SEED');
+    const newSeedBtn = createTerminalButton('newSeedBtn', 'NEW_SEED');
+    
+    row.append(seedGroup, applyBtn, newSeedBtn);
+    insertControlsRow(row);
+    appendCalcItem('calcChannels', 'calcSeed', 'SEED', nca.randomSeed);
+    
+    const seedInput = safeGetElement('randomSeed');
+    applyBtn.addEventListener('click', () => applySeed(SeededRandom.parseSeed(seedInput.value)));
+    newSeedBtn.addEventListener('click', () => applySeed(SeededRandom.randomSeed()));
+    seedInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            applySeed(SeededRandom.parseSeed(seedInput.value));
+        }
+    });
+}
+
+function createTerminalSelect(id, label, options, value) {
+    const group = document.createElement('div');
+    group.className = 'control-group terminal-group';
+    
+    const labelEl = document.createElement('label');
+    labelEl.className = 'control-label terminal-label';
+    labelEl.htmlFor = id;
+    labelEl.textContent = label;
+    
+    const select = document.createElement('select');
+    select.id = id;
+    select.className = 'form-select form-select-sm terminal-select';
+    for (const [optionValue, optionText] of options) {
+        const option = document.createElement('option');
+        option.value = String(optionValue);
+        option.textContent = optionText;
+        select.appendChild(option);
+    }
+    select.value = String(value);
+    
+    group.append(labelEl, select);
+    return group;
+}
+
+// Seed pattern / radius / count used by reset(); AUTO keeps the random pick
+function setupSeedPatternControls() {
+    const row = createControlsRow();
+    const patternOptions = [['auto', 'AUTO'], ...NeuralCAWebGL.SEED_PATTERNS.map(p => [p, p.toUpperCase()])];
+    const radiusOptions = [[0, 'AUTO'], ...[3, 5, 10, 15, 20, 30, 50].map(r => [r, `${r}px`])];
+    const countOptions = [[0, 'AUTO'], ...[1, 2, 3, 4, 6, 8].map(n => [n, String(n)])];
     
-    // Prevent multiple animation loops
-    if (animationId !== null) {
-        return;
+    row.append(
+        createTerminalSelect('seedPattern', 'SEED_PATTERN', patternOptions, nca.seedPattern),
+        createTerminalSelect('seedRadius', 'SEED_RADIUS', radiusOptions, nca.seedRadius),
+        createTerminalSelect('seedCount', 'SEED_COUNT', countOptions, nca.seedCount)
+    );
+    
+    const reseedBtn = createTerminalButton('reseedBtn', 'RESEED');
+    row.appendChild(reseedBtn);
+    insertControlsRow(row);
+    
+    for (const id of ['seedPattern', 'seedRadius', 'seedCount']) {
+        safeGetElement(id).addEventListener('change', syncSeedControls);
     }
     
-    nca.running = true;
-    lastFrameTime = performance.now();
-    animationId = requestAnimationFrame(animate);
+    // Clear the grid and place new seeds without touching the weights
+    reseedBtn.addEventListener('click', () => {
+        nca.reset();
+        render();
+    });
 }
 
-function stopAnimation() {
-    if (nca) {
-        nca.running = false;
-    }
-    if (animationId !== null) {
-        cancelAnimationFrame(animationId);
-        animationId = null;
+function syncSeedControls() {
+    // Built at runtime by setupSeedPatternControls, so absent during the first sync
+    if (!document.getElementById('seedPattern')) return;
+    
+    nca.setSeedPattern(safeGetElement('seedPattern').value);
+    nca.setSeedRadius(parseInt(safeGetElement('seedRadius').value));
+    nca.setSeedCount(parseInt(safeGetElement('seedCount').value));
+}
+
+function updateSeedControls() {
+    if (!document.getElementById('seedPattern')) return;
+    
+    setSelectValue('seedPattern', nca.seedPattern);
+    setSelectValue('seedRadius', nca.seedRadius);
+    setSelectValue('seedCount', nca.seedCount);
+}
+
+// Convert a screen position to state texture coordinates through zoom / pan.
+// The texture's row 0 ends up at the bottom of the displayed image, hence the y flip.
+function screenToGrid(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const screenX = (clientX - rect.left) * canvas.width / rect.width;
+    const screenY = (clientY - rect.top) * canvas.height / rect.height;
+    
+    const gridX = nca.gridWidth / 2 + panX + (screenX - canvas.width / 2) / zoom;
+    const gridY = nca.gridHeight / 2 + panY + (screenY - canvas.height / 2) / zoom;
+    
+    return {
+        x: Math.floor(gridX),
+        y: nca.gridHeight - 1 - Math.floor(gridY)
+    };
+}
+
+function applyToolAt(point) {
+    switch (activeTool) {
+        case 'paint':
+            nca.paint(point.x, point.y, brush.radius, { softness: brush.softness, values: brush.values });
+            break;
+        case 'erase':
+            nca.paint(point.x, point.y, brush.radius, { softness: brush.softness, erase: true });
+            break;
+        case 'stamp':
+            nca.stamp(point.x, point.y, brush.radius, brush.pattern);
+            break;
+        case 'damage':
+            nca.damage(buildDamageRegion(damageSettings.shape, point, damageSettings.size));
+            break;
+        case 'mask':
+            nca.paintMask(point.x, point.y, brush.radius, brush.maskKind);
+            break;
     }
 }
 
+// Fill in the gap between two mouse events so fast drags leave a continuous stroke
+function paintStroke(from, to) {
+    // Stamp and damage place whole shapes, so only repeat them once the cursor has moved clear
+    // (damage shapes have their own size, see damageSettings)
+    const placesShapes = activeTool === 'stamp' || activeTool === 'damage';
+    const shapeRadius = activeTool === 'damage' ? damageSettings.size : brush.radius;
+    const spacing = placesShapes ? shapeRadius * 2 : Math.max(1, brush.radius / 2);
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    if (distance < spacing) {
+        if (!placesShapes) applyToolAt(to);
+        return;
+    }
+    
+    const steps = Math.ceil(distance / spacing);
+    for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        applyToolAt({
+            x: Math.round(from.x + (to.x - from.x) * t),
+            y: Math.round(from.y + (to.y - from.y) * t)
+        });
+    }
+}
+
+// Tool mode and brush settings for drawing directly on the grid
+function setupBrushControls() {
+    const toolOptions = [['pan', 'PAN'], ['paint', 'PAINT'], ['erase', 'ERASE'], ['stamp', 'STAMP'], ['damage', 'DAMAGE'], ['mask', 'MASK']];
+    const radiusOptions = [1, 2, 3, 5, 8, 12, 20, 30].map(r => [r, `${r}px`]);
+    const softnessOptions = [0, 0.25, 0.5, 0.75, 1].map(v => [v, v.toFixed(2)]);
+    const patternOptions = NeuralCAWebGL.SEED_PATTERNS.map(p => [p, p.toUpperCase()]);
+    const valueOptions = [-1, -0.5, 0, 0.5, 1].map(v => [v, v.toFixed(1)]);
+    
+    const toolRow = createControlsRow();
+    toolRow.append(
+        createTerminalSelect('brushTool', 'TOOL', toolOptions, activeTool),
+        createTerminalSelect('brushRadius', 'BRUSH_RADIUS', radiusOptions, brush.radius),
+        createTerminalSelect('brushSoftness', 'SOFTNESS', softnessOptions, brush.softness),
+        createTerminalSelect('brushPattern', 'STAMP', patternOptions, brush.pattern)
+    );
+    insertControlsRow(toolRow);
+    
+    const valueRow = createControlsRow();
+    for (let i = 0; i < 4; i++) {
+        valueRow.appendChild(createTerminalSelect(`brushValue${i}`, `PAINT_CH${i}`, valueOptions, brush.values[i]));
+    }
+    insertControlsRow(valueRow);
+    
+    safeGetElement('brushTool').addEventListener('change', (e) => {
+        activeTool = e.target.value;
+        canvas.style.cursor = activeTool === 'pan' ? 'default' : 'crosshair';
+    });
+    safeGetElement('brushRadius').addEventListener('change', (e) => {
+        brush.radius = parseInt(e.target.value);
+    });
+    safeGetElement('brushSoftness').addEventListener('change', (e) => {
+        brush.softness = parseFloat(e.target.value);
+    });
+    safeGetElement('brushPattern').addEventListener('change', (e) => {
+        brush.pattern = e.target.value;
+    });
+    for (let i = 0; i < 4; i++) {
+        safeGetElement(`brushValue${i}`).addEventListener('change', (e) => {
+            brush.values[i] = parseFloat(e.target.value);
+        });
+    }
+}
+
+// Mask layer: brush kind, source / sink settings and PNG save / load
+function setupMaskControls() {
+    const kindOptions = [['obstacle', 'OBSTACLE'], ['source', 'SOURCE'], ['sink', 'SINK'], ['none', 'CLEAR']];
+    const sinkOptions = [0.01, 0.05, 0.1, 0.25, 0.5, 1].map(v => [v, v.toFixed(2)]);
+    
+    const row = createControlsRow();
+    row.append(
+        createTerminalSelect('maskKind', 'MASK_BRUSH', kindOptions, brush.maskKind),
+        createTerminalInput('maskSourceValue', 'SOURCE_VALUE', nca.maskSettings.sourceValue.join(', ')),
+        createTerminalSelect('maskSinkRate', 'SINK_RATE', sinkOptions, nca.maskSettings.sinkRate),
+        createTerminalCheckbox('maskOverlay', 'SHOW_MASK', nca.maskSettings.showOverlay)
+    );
+    insertControlsRow(row);
+    
+    const fileRow = createControlsRow();
+    const saveBtn = createTerminalButton('saveMaskBtn', 'SAVE_MASK');
+    const loadBtn = createTerminalButton('loadMaskBtn', 'LOAD_MASK');
+    const clearBtn = createTerminalButton('clearMaskBtn', 'CLEAR_MASK');
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.id = 'loadMaskFile';
+    fileInput.accept = 'image/png,image/*';
+    fileInput.style.display = 'none';
+    
+    fileRow.append(saveBtn, loadBtn, clearBtn, fileInput);
+    insertControlsRow(fileRow);
+    
+    safeGetElement('maskKind').addEventListener('change', (e) => {
+        brush.maskKind = e.target.value;
+    });
+    for (const id of ['maskSourceValue', 'maskSinkRate', 'maskOverlay']) {
+        safeGetElement(id).addEventListener('change', () => {
+            syncMaskControls();
+            render();
+        });
+    }
+    
+    saveBtn.addEventListener('click', exportMaskFile);
+    loadBtn.addEventListener('click', () => fileInput.click());
+    clearBtn.addEventListener('click', () => {
+        nca.clearMask();
+        render();
+    });
+    fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        // Allow re-importing the same file later
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            await importMaskFile(file);
+            showStatusMessage(`Loaded mask: ${file.name}`);
+        } catch (error) {
+            console.error('Mask import failed:', error);
+            showStatusMessage(`Mask import failed: ${error.message}`, true);
+        }
+    });
+}
+
+function syncMaskControls() {
+    // Built at runtime by setupMaskControls, so absent during the first sync
+    if (!document.getElementById('maskSourceValue')) return;
+    
+    // One number fills every channel; otherwise up to four comma-separated values
+    const values = safeGetElement('maskSourceValue').value.split(',').map(v => parseFloat(v)).filter(Number.isFinite);
+    const sourceValue = values.length === 1 ? Array(4).fill(values[0]) : [0, 1, 2, 3].map(i => values[i] || 0);
+    
+    nca.setMaskSettings({
+        sourceValue: sourceValue,
+        sinkRate: parseFloat(safeGetElement('maskSinkRate').value),
+        showOverlay: safeGetElement('maskOverlay').checked
+    });
+    safeGetElement('maskSourceValue').value = nca.maskSettings.sourceValue.join(', ');
+}
+
+function updateMaskControls() {
+    if (!document.getElementById('maskSourceValue')) return;
+    
+    safeGetElement('maskSourceValue').value = nca.maskSettings.sourceValue.join(', ');
+    setSelectValue('maskSinkRate', nca.maskSettings.sinkRate);
+    safeGetElement('maskOverlay').checked = nca.maskSettings.showOverlay;
+}
+
+// Save the mask as a grid-sized PNG (black = none, white = obstacle, green = source, red = sink)
+function exportMaskFile() {
+    const { width, height, data } = nca.getMaskImageData();
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = width;
+    maskCanvas.height = height;
+    maskCanvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+    
+    maskCanvas.toBlob((blob) => {
+        downloadFile(`moonlight-mask-${width}x${height}-${getFileTimestamp()}.png`, blob);
+        showStatusMessage('Mask saved');
+    }, 'image/png');
+}
+
+// Load any image as a mask; it is stretched to the grid and each pixel snaps to the nearest mask color
+async function importMaskFile(file) {
+    const image = await createImageBitmap(file);
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = nca.gridWidth;
+    maskCanvas.height = nca.gridHeight;
+    
+    const maskCtx = maskCanvas.getContext('2d');
+    maskCtx.imageSmoothingEnabled = false;
+    maskCtx.drawImage(image, 0, 0, nca.gridWidth, nca.gridHeight);
+    image.close();
+    
+    nca.setMaskImageData(maskCtx.getImageData(0, 0, nca.gridWidth, nca.gridHeight).data);
+    render();
+}
+
+// Damage region centered on a grid point
+function buildDamageRegion(shape, point, size) {
+    switch (shape) {
+        case 'rectangle':
+            return { shape: 'rectangle', x: point.x, y: point.y, width: size * 2, height: size * 2 };
+        case 'half-left':
+        case 'half-right':
+        case 'half-top':
+        case 'half-bottom':
+            return { shape: 'half-plane', x: point.x, y: point.y, side: shape.slice('half-'.length) };
+        default:
+            return { shape: 'circle', x: point.x, y: point.y, radius: size };
+    }
+}
+
+// Damage settings plus the scripted regeneration experiment (damages the middle of the current view)
+function setupRegenerationControls() {
+    const shapeOptions = [
+        ['circle', 'CIRCLE'], ['rectangle', 'RECT'],
+        ['half-left', 'HALF_LEFT'], ['half-right', 'HALF_RIGHT'], ['half-top', 'HALF_TOP'], ['half-bottom', 'HALF_BOTTOM']
+    ];
+    const sizeOptions = [5, 10, 20, 30, 50, 80].map(r => [r, `${r}px`]);
+    const warmupOptions = [0, 100, 200, 500, 1000, 2000].map(n => [n, String(n)]);
+    
+    const row = createControlsRow();
+    row.append(
+        createTerminalSelect('damageShape', 'DAMAGE', shapeOptions, damageSettings.shape),
+        createTerminalSelect('damageSize', 'DAMAGE_SIZE', sizeOptions, damageSettings.size),
+        createTerminalSelect('regenWarmup', 'WARMUP_STEPS', warmupOptions, damageSettings.warmupSteps)
+    );
+    const regenBtn = createTerminalButton('regenBtn', 'RUN_REGEN');
+    row.appendChild(regenBtn);
+    insertControlsRow(row);
+    
+    safeGetElement('damageShape').addEventListener('change', (e) => {
+        damageSettings.shape = e.target.value;
+    });
+    safeGetElement('damageSize').addEventListener('change', (e) => {
+        damageSettings.size = parseInt(e.target.value);
+    });
+    safeGetElement('regenWarmup').addEventListener('change', (e) => {
+        damageSettings.warmupSteps = parseInt(e.target.value);
+    });
+    
+    regenBtn.addEventListener('click', () => {
+        const experiment = nca.experiment;
+        if (experiment && (experiment.phase === 'warmup' || experiment.phase === 'recovering')) {
+            nca.stopRegenerationExperiment();
+            return;
+        }
+        
+        const rect = canvas.getBoundingClientRect();
+        const center = screenToGrid(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        nca.startRegenerationExperiment({
+            region: buildDamageRegion(damageSettings.shape, center, damageSettings.size),
+            warmupSteps: damageSettings.warmupSteps
+        });
+        startAnimation();
+    });
+    
+    const info = insertCalcSection('calcSteps', 'calcRegeneration', 'REGENERATION:');
+    if (info) {
+        appendCalcItem('calcRegeneration', 'calcRegenPhase', 'PHASE', 'IDLE');
+        appendCalcItem('calcRegeneration', 'calcRegenRecovery', 'RECOVERY');
+        appendCalcItem('calcRegeneration', 'calcRegenActivity', 'ACTIVITY');
+        appendCalcItem('calcRegeneration', 'calcRegenSteps', 'STEPS');
+        
+        const curve = document.createElement('canvas');
+        curve.id = 'calcRegenCurve';
+        curve.className = 'calc-curve';
+        curve.width = 220;
+        curve.height = 48;
+        info.appendChild(curve);
+    }
+}
+
+function updateExperimentDisplay(experiment) {
+    const running = experiment.phase === 'warmup' || experiment.phase === 'recovering';
+    const regenBtn = safeGetElement('regenBtn');
+    if (regenBtn) {
+        regenBtn.textContent = running ? 'ABORT_REGEN' : 'RUN_REGEN';
+        regenBtn.classList.toggle('active', running);
+    }
+    
+    const phaseText = {
+        warmup: `WARMUP ${nca.stepCount - experiment.startStep}/${experiment.warmupSteps}`,
+        recovering: 'RECOVERING',
+        done: experiment.recoveredAfter !== null ? 'RECOVERED' : 'NOT RECOVERED',
+        aborted: 'ABORTED'
+    }[experiment.phase];
+    updateElement('calcRegenPhase', phaseText, experiment.phase === 'done');
+    
+    const last = experiment.curve[experiment.curve.length - 1];
+    updateElement('calcRegenRecovery', last ? `${(last.recovery * 100).toFixed(1)}%` : '--');
+    updateElement('calcRegenActivity', last ? `${(last.activity * 100).toFixed(1)}%` : '--');
+    updateElement('calcRegenSteps', experiment.recoveredAfter ?? (last ? last.steps : '--'));
+    
+    drawRecoveryCurve(experiment);
+}
+
+// Recovery over steps since damage, with the recovery threshold as a dashed line
+function drawRecoveryCurve(experiment) {
+    const curveCanvas = safeGetElement('calcRegenCurve');
+    if (!curveCanvas) return;
+    
+    const curveCtx = curveCanvas.getContext('2d');
+    const width = curveCanvas.width;
+    const height = curveCanvas.height;
+    const toY = (recovery) => height - 2 - Math.max(0, Math.min(1, recovery)) * (height - 4);
+    
+    curveCtx.clearRect(0, 0, width, height);
+    
+    curveCtx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    curveCtx.setLineDash([3, 3]);
+    curveCtx.beginPath();
+    curveCtx.moveTo(0, toY(experiment.recoveryThreshold));
+    curveCtx.lineTo(width, toY(experiment.recoveryThreshold));
+    curveCtx.stroke();
+    curveCtx.setLineDash([]);
+    
+    if (experiment.curve.length < 2) return;
+    
+    const maxSteps = Math.max(experiment.curve[experiment.curve.length - 1].steps, 1);
+    curveCtx.strokeStyle = '#ffffff';
+    curveCtx.beginPath();
+    experiment.curve.forEach((point, i) => {
+        const x = (point.steps / maxSteps) * (width - 1);
+        if (i === 0) {
+            curveCtx.moveTo(x, toY(point.recovery));
+        } else {
+            curveCtx.lineTo(x, toY(point.recovery));
+        }
+    });
+    curveCtx.stroke();
+}
+
+// Color scheme select with a live preview, plus an editor for the user gradient
+function setupPaletteControls() {
+    const schemeOptions = ['auto', ...Object.keys(NeuralCAWebGL.COLOR_SCHEMES), 'custom'].map(name => [name, name.toUpperCase()]);
+    
+    const row = createControlsRow();
+    const schemeGroup = createTerminalSelect('colorScheme', 'COLOR_SCHEME', schemeOptions, nca.colorScheme);
+    const preview = document.createElement('div');
+    preview.id = 'palettePreview';
+    preview.className = 'palette-preview';
+    schemeGroup.appendChild(preview);
+    
+    const editBtn = createTerminalButton('editGradientBtn', 'EDIT_GRADIENT');
+    row.append(schemeGroup, editBtn);
+    insertControlsRow(row);
+    
+    const editorRow = createControlsRow();
+    editorRow.id = 'gradientEditorRow';
+    editorRow.style.display = 'none';
+    
+    const editor = document.createElement('div');
+    editor.id = 'gradientEditor';
+    editor.className = 'gradient-editor';
+    
+    const addStopBtn = createTerminalButton('addStopBtn', 'ADD_STOP');
+    const copySchemeBtn = createTerminalButton('copySchemeBtn', 'COPY_SCHEME');
+    editorRow.append(editor, addStopBtn, copySchemeBtn);
+    insertControlsRow(editorRow);
+    
+    safeGetElement('colorScheme').addEventListener('change', () => syncPaletteControls());
+    
+    editBtn.addEventListener('click', () => {
+        const open = editorRow.style.display === 'none';
+        editorRow.style.display = open ? '' : 'none';
+        editBtn.classList.toggle('active', open);
+        if (open) {
+            setCustomPalette(nca.customPalette);
+        }
+    });
+    
+    // New stop halfway into the widest gap, colored like the gradient there
+    addStopBtn.addEventListener('click', () => {
+        const stops = nca.customPalette;
+        let gapIndex = 0;
+        for (let i = 1; i < stops.length - 1; i++) {
+            if (stops[i + 1][0] - stops[i][0] > stops[gapIndex + 1][0] - stops[gapIndex][0]) {
+                gapIndex = i;
+            }
+        }
+        const position = (stops[gapIndex][0] + stops[gapIndex + 1][0]) / 2;
+        const texel = NeuralCAWebGL.buildPalette(stops, NeuralCAWebGL.PALETTE_SIZE)
+            .slice(Math.round(position * (NeuralCAWebGL.PALETTE_SIZE - 1)) * 4);
+        const color = '#' + Array.from(texel.slice(0, 3), v => v.toString(16).padStart(2, '0')).join('');
+        setCustomPalette([...stops, [position, color]]);
+    });
+    
+    // Start a custom gradient from whichever built-in scheme is showing
+    copySchemeBtn.addEventListener('click', () => {
+        setCustomPalette(nca.getPaletteStops());
+    });
+    
+    updatePaletteControls();
+}
+
+function syncPaletteControls(rebuildEditor = true) {
+    // Built at runtime by setupPaletteControls, so absent during the first sync
+    if (!document.getElementById('colorScheme')) return;
+    
+    nca.setColorScheme(safeGetElement('colorScheme').value);
+    updatePaletteControls(rebuildEditor);
+    render();
+}
+
+// Editing the gradient always switches to the custom scheme so the change is visible
+function setCustomPalette(stops, rebuildEditor = true) {
+    nca.setCustomPalette(stops);
+    setSelectValue('colorScheme', 'custom');
+    syncPaletteControls(rebuildEditor);
+}
+
+function updatePaletteControls(rebuildEditor = true) {
+    const preview = safeGetElement('palettePreview');
+    if (preview) {
+        const gradient = nca.getPaletteStops().map(([position, color]) => `${color} ${(position * 100).toFixed(1)}%`);
+        preview.style.background = `linear-gradient(90deg, ${gradient.join(', ')})`;
+    }
+    
+    const editor = safeGetElement('gradientEditor');
+    if (!editor || !rebuildEditor) return;
+    
+    editor.replaceChildren();
+    nca.customPalette.forEach(([position, color], index) => {
+        const stopEl = document.createElement('div');
+        stopEl.className = 'gradient-stop';
+        
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = color;
+        
+        const positionInput = document.createElement('input');
+        positionInput.type = 'number';
+        positionInput.className = 'form-control form-control-sm terminal-select';
+        positionInput.min = 0;
+        positionInput.max = 1;
+        positionInput.step = 0.05;
+        positionInput.value = position;
+        
+        const removeBtn = createTerminalButton(null, 'X');
+        removeBtn.disabled = nca.customPalette.length <= 2;
+        
+        // Color drags keep the editor in place (rebuilding it would close the picker);
+        // position edits can reorder the stops, so those rebuild it
+        const updateStop = (rebuildEditor) => {
+            const stops = nca.customPalette.map(stop => stop.slice());
+            const newPosition = parseFloat(positionInput.value);
+            stops[index] = [Number.isFinite(newPosition) ? Math.max(0, Math.min(1, newPosition)) : position, colorInput.value];
+            setCustomPalette(stops, rebuildEditor);
+        };
+        colorInput.addEventListener('input', () => updateStop(false));
+        positionInput.addEventListener('change', () => updateStop(true));
+        removeBtn.addEventListener('click', () => {
+            setCustomPalette(nca.customPalette.filter((_, i) => i !== index));
+        });
+        
+        stopEl.append(colorInput, positionInput, removeBtn);
+        editor.appendChild(stopEl);
+    });
+}
+
+// Slot labels per color mode (palette mode only reads the first two slots)
+const CHANNEL_MAPPING_SLOTS = {
+    palette: ['PALETTE', 'BRIGHTNESS', '--', '--'],
+    hsv: ['HUE', 'SATURATION', 'VALUE', '--'],
+    rgb: ['RED', 'GREEN', 'BLUE', 'ALPHA']
+};
+
+// Channel-to-color mapping panel: a preset, the color mode and a source per color slot
+function setupChannelMappingControls() {
+    const presetOptions = [...Object.keys(NeuralCAWebGL.CHANNEL_MAPPING_PRESETS), 'custom'].map(name => [name, name.toUpperCase()]);
+    const modeOptions = Object.keys(NeuralCAWebGL.COLOR_MODES).map(mode => [mode, mode.toUpperCase()]);
+    const sourceOptions = NeuralCAWebGL.MAPPING_SOURCES.map(source => [source, source.toUpperCase()]);
+    
+    const row = createControlsRow();
+    row.append(
+        createTerminalSelect('mappingPreset', 'COLOR_MAPPING', presetOptions, 'palette'),
+        createTerminalSelect('colorMode', 'COLOR_MODE', modeOptions, nca.channelMapping.mode)
+    );
+    insertControlsRow(row);
+    
+    const slotRow = createControlsRow();
+    for (let i = 0; i < 4; i++) {
+        slotRow.appendChild(createTerminalSelect(`mappingSource${i}`, `SLOT${i}`, sourceOptions, nca.channelMapping.sources[i]));
+    }
+    insertControlsRow(slotRow);
+    
+    safeGetElement('mappingPreset').addEventListener('change', (e) => {
+        const preset = NeuralCAWebGL.CHANNEL_MAPPING_PRESETS[e.target.value];
+        if (!preset) return;
+        
+        nca.setChannelMapping(preset);
+        updateChannelMappingControls();
+        render();
+    });
+    
+    // Hand edits turn the preset into CUSTOM unless they happen to match one
+    const onSlotChange = () => {
+        syncChannelMappingControls();
+        updateChannelMappingControls();
+        render();
+    };
+    safeGetElement('colorMode').addEventListener('change', onSlotChange);
+    for (let i = 0; i < 4; i++) {
+        safeGetElement(`mappingSource${i}`).addEventListener('change', onSlotChange);
+    }
+    
+    updateChannelMappingControls();
+}
+
+function syncChannelMappingControls() {
+    // Built at runtime by setupChannelMappingControls, so absent during the first sync
+    if (!document.getElementById('colorMode')) return;
+    
+    nca.setChannelMapping({
+        mode: safeGetElement('colorMode').value,
+        sources: [0, 1, 2, 3].map(i => safeGetElement(`mappingSource${i}`).value)
+    });
+}
+
+function updateChannelMappingControls() {
+    if (!document.getElementById('colorMode')) return;
+    
+    const { mode, sources } = nca.channelMapping;
+    setSelectValue('colorMode', mode);
+    
+    const slotsUsed = NeuralCAWebGL.COLOR_MODES[mode];
+    for (let i = 0; i < 4; i++) {
+        const select = safeGetElement(`mappingSource${i}`);
+        select.value = sources[i];
+        select.disabled = i >= slotsUsed;
+        
+        const label = select.parentElement.querySelector('label');
+        if (label) {
+            label.textContent = CHANNEL_MAPPING_SLOTS[mode][i];
+        }
+    }
+    
+    const presetName = Object.keys(NeuralCAWebGL.CHANNEL_MAPPING_PRESETS).find(name => {
+        const preset = NeuralCAWebGL.CHANNEL_MAPPING_PRESETS[name];
+        return preset.mode === mode && preset.sources.slice(0, slotsUsed).every((source, i) => source === sources[i]);
+    });
+    setSelectValue('mappingPreset', presetName || 'custom');
+}
+
+const RENDER_PARAM_CONTROLS = [
+    ['renderThreshold', 'threshold', 'THRESHOLD', 0.01],
+    ['renderFade', 'fadeRange', 'FADE', 0.01],
+    ['renderContrast', 'contrast', 'CONTRAST', 0.1],
+    ['renderGamma', 'gamma', 'GAMMA', 0.1]
+];
+
+// Live display tuning for the render shader; AUTO_EXPOSURE takes over threshold, fade and contrast
+function setupRenderParamControls() {
+    const row = createControlsRow();
+    for (const [id, key, label, step] of RENDER_PARAM_CONTROLS) {
+        const group = createTerminalInput(id, label, nca.renderParams[key]);
+        const input = group.querySelector('input');
+        input.type = 'number';
+        input.step = step;
+        input.min = 0;
+        row.appendChild(group);
+    }
+    row.appendChild(createTerminalCheckbox('autoExposure', 'AUTO_EXPOSURE', nca.autoExposure));
+    insertControlsRow(row);
+    
+    for (const [id] of RENDER_PARAM_CONTROLS) {
+        safeGetElement(id).addEventListener('input', () => {
+            syncRenderParamControls();
+            render();
+        });
+    }
+    safeGetElement('autoExposure').addEventListener('change', () => {
+        syncRenderParamControls();
+        updateRenderParamControls();
+        render();
+    });
+    
+    updateRenderParamControls();
+}
+
+function syncRenderParamControls() {
+    // Built at runtime by setupRenderParamControls, so absent during the first sync
+    if (!document.getElementById('autoExposure')) return;
+    
+    const params = {};
+    for (const [id, key] of RENDER_PARAM_CONTROLS) {
+        params[key] = parseFloat(safeGetElement(id).value);
+    }
+    nca.setRenderParams(params);
+    nca.setAutoExposure(safeGetElement('autoExposure').checked);
+}
+
+function updateRenderParamControls() {
+    if (!document.getElementById('autoExposure')) return;
+    
+    safeGetElement('autoExposure').checked = nca.autoExposure;
+    for (const [id, key] of RENDER_PARAM_CONTROLS) {
+        const input = safeGetElement(id);
+        // Don't fight the user while they're typing
+        if (document.activeElement !== input) {
+            input.value = parseFloat(nca.renderParams[key].toFixed(3));
+        }
+        input.disabled = nca.autoExposure && key !== 'gamma';
+    }
+}
+
+const GRID_SIZE_PRESETS = [128, 256, 512, 1024, 1600, 2048, 4096];
+
+// Grid size: square presets or an arbitrary WIDTH x HEIGHT, applied by rebuilding the engine
+function setupGridSizeControls() {
+    const sizeOptions = [...GRID_SIZE_PRESETS.map(size => [size, `${size}×${size}`]), ['custom', 'CUSTOM']];
+    
+    const row = createControlsRow();
+    const widthGroup = createTerminalInput('gridWidth', 'WIDTH', nca.gridWidth);
+    const heightGroup = createTerminalInput('gridHeight', 'HEIGHT', nca.gridHeight);
+    for (const group of [widthGroup, heightGroup]) {
+        const input = group.querySelector('input');
+        input.type = 'number';
+        input.min = NeuralCAWebGL.MIN_GRID_SIZE;
+        input.max = NeuralCAWebGL.MAX_GRID_SIZE;
+    }
+    const applyBtn = createTerminalButton('applyGridSizeBtn', 'APPLY_SIZE');
+    
+    row.append(
+        createTerminalSelect('gridSizePreset', 'GRID_SIZE', sizeOptions, 'custom'),
+        widthGroup,
+        heightGroup,
+        createTerminalCheckbox('resampleState', 'RESAMPLE_STATE', true),
+        applyBtn
+    );
+    insertControlsRow(row);
+    
+    safeGetElement('gridSizePreset').addEventListener('change', (e) => {
+        if (e.target.value === 'custom') return;
+        
+        safeGetElement('gridWidth').value = e.target.value;
+        safeGetElement('gridHeight').value = e.target.value;
+        applyGridSize();
+    });
+    
+    applyBtn.addEventListener('click', applyGridSize);
+    for (const id of ['gridWidth', 'gridHeight']) {
+        safeGetElement(id).addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                applyGridSize();
+            }
+        });
+    }
+    
+    updateGridSizeControls();
+}
+
+// Rebuild at the size in the WIDTH / HEIGHT fields, keeping the rule and optionally the current world
+function applyGridSize() {
+    try {
+        const resized = resizeGrid({
+            width: parseInt(safeGetElement('gridWidth').value),
+            height: parseInt(safeGetElement('gridHeight').value)
+        }, safeGetElement('resampleState').checked);
+        if (resized) {
+            showStatusMessage(`Grid resized to ${nca.gridWidth}×${nca.gridHeight}`);
+        }
+    } catch (error) {
+        showStatusMessage(error.message, true);
+    }
+    
+    updateGridSizeControls();
+}
+
+// Rebuild the engine at a new grid size, keeping the rule (and the state, resampled, when asked).
+// Returns whether the size changed; throws when the size is beyond the GPU's (or the CPU fallback's) limit.
+function resizeGrid(size, resampleState) {
+    const { width, height } = NeuralCAWebGL.normalizeGridSize(size);
+    checkGridSize(width, height);
+    
+    if (width === nca.gridWidth && height === nca.gridHeight) {
+        return false;
+    }
+    
+    const options = { rule: nca.exportRule() };
+    if (resampleState) {
+        options.state = { data: nca.readState(), width: nca.gridWidth, height: nca.gridHeight };
+    }
+    rebuildEngine(width, height, nca.numChannels, options);
+    return true;
+}
+
+// Throw when a grid is beyond the GPU's (or the CPU fallback's) limit. Called before the old engine
+// is disposed, so a failed resize or snapshot load can't leave us without one.
+function checkGridSize(width, height) {
+    const maxSize = cpuFallback ? NeuralCACPU.MAX_FALLBACK_GRID_SIZE : nca.gl.getParameter(nca.gl.MAX_TEXTURE_SIZE);
+    if (width > maxSize || height > maxSize) {
+        throw new Error(cpuFallback
+            ? `Grid ${width}×${height} exceeds the CPU fallback's maximum of ${maxSize}`
+            : `Grid ${width}×${height} exceeds this GPU's maximum texture size of ${maxSize}`);
+    }
+}
+
+function updateGridSizeControls() {
+    // Built at runtime by setupGridSizeControls, so absent until then
+    if (!document.getElementById('gridSizePreset')) return;
+    
+    safeGetElement('gridWidth').value = nca.gridWidth;
+    safeGetElement('gridHeight').value = nca.gridHeight;
+    const isPreset = nca.gridWidth === nca.gridHeight && GRID_SIZE_PRESETS.includes(nca.gridWidth);
+    setSelectValue('gridSizePreset', isPreset ? nca.gridWidth : 'custom');
+}
+
+// Boundary conditions: a preset or a mode per axis, plus the value WALL edges read as
+function setupBoundaryControls() {
+    const presetOptions = [...Object.keys(NeuralCAWebGL.BOUNDARY_PRESETS), 'custom'].map(name => [name, name.toUpperCase()]);
+    const modeOptions = Object.keys(NeuralCAWebGL.BOUNDARY_MODES).map(mode => [mode, mode.toUpperCase()]);
+    
+    const row = createControlsRow();
+    row.append(
+        createTerminalSelect('boundaryPreset', 'BOUNDARY', presetOptions, 'torus'),
+        createTerminalSelect('boundaryX', 'EDGE_X', modeOptions, nca.boundary.x),
+        createTerminalSelect('boundaryY', 'EDGE_Y', modeOptions, nca.boundary.y),
+        createTerminalInput('wallValue', 'WALL_VALUE', nca.boundary.wallValue.join(', '))
+    );
+    insertControlsRow(row);
+    
+    safeGetElement('boundaryPreset').addEventListener('change', (e) => {
+        const preset = NeuralCAWebGL.BOUNDARY_PRESETS[e.target.value];
+        if (!preset) return;
+        
+        nca.setBoundary(preset);
+        updateBoundaryControls();
+    });
+    
+    for (const id of ['boundaryX', 'boundaryY']) {
+        safeGetElement(id).addEventListener('change', () => {
+            syncBoundaryControls();
+            updateBoundaryControls();
+        });
+    }
+    safeGetElement('wallValue').addEventListener('change', () => {
+        syncBoundaryControls();
+        updateBoundaryControls();
+    });
+    
+    updateBoundaryControls();
+}
+
+function syncBoundaryControls() {
+    // Built at runtime by setupBoundaryControls, so absent during the first sync
+    if (!document.getElementById('boundaryX')) return;
+    
+    // One number fills every channel; otherwise up to four comma-separated values
+    const values = safeGetElement('wallValue').value.split(',').map(v => parseFloat(v)).filter(Number.isFinite);
+    const wallValue = values.length === 1 ? Array(4).fill(values[0]) : [0, 1, 2, 3].map(i => values[i] || 0);
+    
+    nca.setBoundary({
+        x: safeGetElement('boundaryX').value,
+        y: safeGetElement('boundaryY').value,
+        wallValue: wallValue
+    });
+}
+
+function updateBoundaryControls() {
+    if (!document.getElementById('boundaryX')) return;
+    
+    const { x, y, wallValue } = nca.boundary;
+    setSelectValue('boundaryX', x);
+    setSelectValue('boundaryY', y);
+    safeGetElement('wallValue').value = wallValue.join(', ');
+    safeGetElement('wallValue').disabled = x !== 'wall' && y !== 'wall';
+    
+    const presetName = Object.keys(NeuralCAWebGL.BOUNDARY_PRESETS).find(name => {
+        const preset = NeuralCAWebGL.BOUNDARY_PRESETS[name];
+        return preset.x === x && preset.y === y;
+    });
+    setSelectValue('boundaryPreset', presetName || 'custom');
+}
+
+const HIDDEN_UNIT_OPTIONS = [8, 16, 32, 48, 64];
+
+// Update rule: the single convolution, or perception -> hidden layer -> residual output
+function setupArchitectureControls() {
+    const row = createControlsRow();
+    row.append(
+        createTerminalSelect('architecture', 'ARCHITECTURE', [['conv', 'CONV'], ['mlp', 'MLP']], nca.architecture),
+        createTerminalSelect('hiddenUnits', 'HIDDEN_UNITS', HIDDEN_UNIT_OPTIONS.map(n => [n, n]), nca.hiddenUnits)
+    );
+    insertControlsRow(row);
+    appendCalcItem('calcChannels', 'calcArchitecture', 'ARCHITECTURE');
+    
+    for (const id of ['architecture', 'hiddenUnits']) {
+        safeGetElement(id).addEventListener('change', () => {
+            syncArchitectureControls();
+            updateArchitectureControls();
+            updateKernelMatrix();
+            triggerCalculationUpdate();
+            render();
+        });
+    }
+    
+    updateArchitectureControls();
+}
+
+function syncArchitectureControls() {
+    // Built at runtime by setupArchitectureControls, so absent during the first sync
+    if (!document.getElementById('architecture')) return;
+    
+    nca.setArchitecture(safeGetElement('architecture').value, parseInt(safeGetElement('hiddenUnits').value));
+}
+
+function updateArchitectureControls() {
+    if (!document.getElementById('architecture')) return;
+    
+    setSelectValue('architecture', nca.architecture);
+    setSelectValue('hiddenUnits', nca.hiddenUnits);
+    safeGetElement('hiddenUnits').disabled = nca.architecture !== 'mlp';
+}
+
+const PERCEPTION_FILTER_LABELS = {
+    identity: 'IDENTITY',
+    sobelX: 'SOBEL_X',
+    sobelY: 'SOBEL_Y',
+    laplacian: 'LAPLACIAN'
+};
+
+function perceptionFilterId(name) {
+    return `filter${name[0].toUpperCase()}${name.slice(1)}`;
+}
+
+// Perception: learned kernel, or fixed identity / Sobel / Laplacian filters feeding the weights
+function setupPerceptionControls() {
+    const row = createControlsRow();
+    row.appendChild(createTerminalSelect('perceptionMode', 'PERCEPTION',
+        [['learned', 'LEARNED'], ['filters', 'FILTERS']], nca.perceptionMode));
+    for (const [name, label] of Object.entries(PERCEPTION_FILTER_LABELS)) {
+        row.appendChild(createTerminalCheckbox(perceptionFilterId(name), label, nca.perceptionFilters[name]));
+    }
+    insertControlsRow(row);
+    
+    const onChange = () => {
+        syncPerceptionControls();
+        updatePerceptionControls();
+        updateKernelMatrix();
+        triggerCalculationUpdate();
+    };
+    safeGetElement('perceptionMode').addEventListener('change', onChange);
+    for (const name of Object.keys(PERCEPTION_FILTER_LABELS)) {
+        safeGetElement(perceptionFilterId(name)).addEventListener('change', onChange);
+    }
+    
+    updatePerceptionControls();
+}
+
+function syncPerceptionControls() {
+    // Built at runtime by setupPerceptionControls, so absent during the first sync
+    if (!document.getElementById('perceptionMode')) return;
+    
+    const filters = {};
+    for (const name of Object.keys(PERCEPTION_FILTER_LABELS)) {
+        filters[name] = safeGetElement(perceptionFilterId(name)).checked;
+    }
+    nca.setPerception(safeGetElement('perceptionMode').value, filters);
+}
+
+function updatePerceptionControls() {
+    if (!document.getElementById('perceptionMode')) return;
+    
+    setSelectValue('perceptionMode', nca.perceptionMode);
+    for (const name of Object.keys(PERCEPTION_FILTER_LABELS)) {
+        const checkbox = safeGetElement(perceptionFilterId(name));
+        checkbox.checked = nca.perceptionFilters[name];
+        checkbox.disabled = nca.perceptionMode !== 'filters';
+    }
+    updateKernelMatrixLabel();
+}
+
+const KERNEL_POSITION_NAMES = ['TL', 'T', 'TR', 'L', 'C', 'R', 'BL', 'B', 'BR'];
+
+// TL..BR on the 3x3 square, the x,y offset from the center on larger squares, SHELL_n on radial kernels
+function kernelPositionName(kernelPos, size, shape) {
+    if (shape === 'radial') return `SHELL_${kernelPos}`;
+    if (size === 3) return KERNEL_POSITION_NAMES[kernelPos] || 'C';
+    
+    const radius = (size - 1) / 2;
+    const dx = kernelPos % size - radius;
+    const dy = Math.floor(kernelPos / size) - radius;
+    return dx === 0 && dy === 0 ? 'C' : `${dx},${dy}`;
+}
+
+// Neighborhood the kernel select, mask and matrix are currently built for (the markup ships the 3x3 square)
+let kernelControlsLayout = '3-square';
+
+function kernelControlsMatchEngine() {
+    return kernelControlsLayout === `${nca.kernelSize}-${nca.kernelShape}`;
+}
+
+// Rebuild KERNEL_SELECT, KERNEL_MASK and the kernel matrix for a neighborhood (kept as-is while it matches)
+function rebuildKernelControls(size, shape) {
+    const layoutKey = `${size}-${shape}`;
+    if (layoutKey === kernelControlsLayout) return;
+    kernelControlsLayout = layoutKey;
+    
+    const layout = NeuralCAWebGL.getKernelLayout(size, shape);
+    const centerCell = (layout.length - 1) / 2;
+    const positions = NeuralCAWebGL.getKernelPositionCount(size, shape);
+    const names = Array.from({ length: positions }, (_, kernelPos) => kernelPositionName(kernelPos, size, shape));
+    
+    const kernelSelect = safeGetElement('kernelSelect');
+    if (kernelSelect) {
+        kernelSelect.replaceChildren(...names.map((name, kernelPos) => {
+            const option = document.createElement('option');
+            option.value = String(kernelPos);
+            option.textContent = name;
+            return option;
+        }));
+        kernelSelect.value = String(layout[centerCell]);
+    }
+    
+    const grid = document.querySelector('.kernel-grid');
+    if (grid) {
+        grid.style.gridTemplateColumns = `repeat(${shape === 'radial' ? positions : size}, 1fr)`;
+        grid.classList.toggle('wide', positions > 9);
+        grid.replaceChildren(...names.map((name, kernelPos) => {
+            const cell = document.createElement('label');
+            cell.className = kernelPos === layout[centerCell] ? 'kernel-cell terminal-cell center' : 'kernel-cell terminal-cell';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `kernel${kernelPos}`;
+            checkbox.checked = true;
+            checkbox.addEventListener('change', (e) => {
+                nca.setKernelMutationMask(kernelPos, e.target.checked);
+                triggerCalculationUpdate(); // Update calculation display
+            });
+            const label = document.createElement('span');
+            label.textContent = name;
+            cell.append(checkbox, label);
+            return cell;
+        }));
+    }
+    
+    // The 3x3 matrix keeps the markup's kernel00-kernel22 ids; larger ones would clash with the mask's kernel10+
+    const matrix = document.querySelector('.kernel-matrix');
+    if (matrix) {
+        matrix.replaceChildren(...Array.from({ length: size }, (_, row) => {
+            const rowEl = document.createElement('div');
+            rowEl.className = 'matrix-row';
+            for (let col = 0; col < size; col++) {
+                const cell = document.createElement('span');
+                cell.className = row * size + col === centerCell ? 'matrix-cell center' : 'matrix-cell';
+                if (size === 3) cell.id = `kernel${row}${col}`;
+                cell.textContent = '--';
+                rowEl.appendChild(cell);
+            }
+            return rowEl;
+        }));
+    }
+}
+
+// Neighborhood size and shape; changing it reinitializes the weights
+function setupKernelLayoutControls() {
+    const row = createControlsRow();
+    row.append(
+        createTerminalSelect('kernelSize', 'KERNEL_SIZE', NeuralCAWebGL.KERNEL_SIZES.map(size => [size, `${size}X${size}`]), nca.kernelSize),
+        createTerminalSelect('kernelShape', 'KERNEL_SHAPE', NeuralCAWebGL.KERNEL_SHAPES.map(shape => [shape, shape.toUpperCase()]), nca.kernelShape)
+    );
+    insertControlsRow(row);
+    appendCalcItem('calcArchitecture', 'calcKernel', 'KERNEL');
+    
+    for (const id of ['kernelSize', 'kernelShape']) {
+        safeGetElement(id).addEventListener('change', () => {
+            // A kernel the GPU can't compile for this channel count leaves the old one in place
+            try {
+                syncKernelLayoutControls();
+            } catch (error) {
+                showStatusMessage(error.message, true);
+            }
+            updateKernelLayoutControls();
+            syncScaleControlsFromEngine();
+            updateSelectedKernelDisplay();
+            updateKernelMatrix();
+            triggerCalculationUpdate();
+            render();
+        });
+    }
+    
+    updateKernelLayoutControls();
+}
+
+function syncKernelLayoutControls() {
+    // Built at runtime by setupKernelLayoutControls, so absent during the first sync
+    if (!document.getElementById('kernelSize')) return;
+    
+    nca.setKernel(parseInt(safeGetElement('kernelSize').value), safeGetElement('kernelShape').value);
+}
+
+function updateKernelLayoutControls() {
+    if (!document.getElementById('kernelSize')) return;
+    
+    setSelectValue('kernelSize', nca.kernelSize);
+    setSelectValue('kernelShape', nca.kernelShape);
+    rebuildKernelControls(nca.kernelSize, nca.kernelShape);
+    for (let i = 0; i < nca.kernelMutationMask.length; i++) {
+        const checkbox = safeGetElement(`kernel${i}`);
+        if (checkbox) {
+            checkbox.checked = nca.kernelMutationMask[i];
+        }
+    }
+    updateKernelMatrixLabel();
+}
+
+// Channels 4-15 of 8/12/16 channel engines are only seen through the channel mapping,
+// so VIEW_CH0-3 pick which four channels its ch0-ch3 slots read
+function setupChannelViewControls() {
+    const channelCountSelect = safeGetElement('channelCount');
+    if (channelCountSelect) {
+        for (const count of NeuralCAWebGL.CHANNEL_COUNTS) {
+            setSelectValue('channelCount', count);
+        }
+        channelCountSelect.value = String(nca.numChannels);
+    }
+    
+    const row = createControlsRow();
+    for (let slot = 0; slot < 4; slot++) {
+        row.appendChild(createTerminalSelect(`viewChannel${slot}`, `VIEW_CH${slot}`, [], 0));
+    }
+    insertControlsRow(row);
+    
+    for (let slot = 0; slot < 4; slot++) {
+        safeGetElement(`viewChannel${slot}`).addEventListener('change', () => {
+            syncChannelViewControls();
+            updateChannelViewControls();
+            if (!nca.running) render();
+        });
+    }
+    
+    updateChannelViewControls();
+}
+
+function syncChannelViewControls() {
+    // Built at runtime by setupChannelViewControls, so absent during the first sync
+    const firstSelect = document.getElementById('viewChannel0');
+    // Right after a rebuild the options still list the old engine's channels
+    if (!firstSelect || firstSelect.options.length !== nca.numChannels) return;
+    
+    nca.setViewChannels([0, 1, 2, 3].map(slot => parseInt(safeGetElement(`viewChannel${slot}`).value)));
+}
+
+// List the engine's channels as CH0..CHn options (kept as-is while the count matches)
+function setChannelOptions(select) {
+    if (select.options.length === nca.numChannels) return;
+    
+    select.replaceChildren(...Array.from({ length: nca.numChannels }, (_, channel) => {
+        const option = document.createElement('option');
+        option.value = String(channel);
+        option.textContent = `CH${channel}`;
+        return option;
+    }));
+}
+
+function updateChannelViewControls() {
+    if (!document.getElementById('viewChannel0')) return;
+    
+    for (let slot = 0; slot < 4; slot++) {
+        const select = safeGetElement(`viewChannel${slot}`);
+        setChannelOptions(select);
+        select.value = String(nca.viewChannels[slot]);
+        // Slots past the channel count are never displayed
+        select.disabled = slot >= nca.numChannels;
+    }
+}
+
+// Per-channel bias and update rate for channels 0-3 (higher channels are set by init, mutation and rule files)
+const CHANNEL_PARAM_CONTROLS = [
+    ['Bias', 'BIAS', 0.01, 'setChannelBias', 'channelBiases'],
+    ['Rate', 'RATE', 0.01, 'setChannelUpdateRate', 'channelUpdateRates']
+];
+
+function setupChannelParamControls() {
+    for (const [suffix, label, step] of CHANNEL_PARAM_CONTROLS) {
+        const row = createControlsRow();
+        for (let i = 0; i < 4; i++) {
+            const group = createTerminalInput(`channel${i}${suffix}`, `CH${i}_${label}`, '');
+            const input = group.querySelector('input');
+            input.type = 'number';
+            input.step = step;
+            row.appendChild(group);
+        }
+        insertControlsRow(row);
+    }
+    appendCalcItem('calcArchitecture', 'calcBiases', 'BIASES');
+    appendCalcItem('calcBiases', 'calcUpdateRates', 'UPDATE_RATES');
+    
+    for (const [suffix] of CHANNEL_PARAM_CONTROLS) {
+        for (let i = 0; i < 4; i++) {
+            safeGetElement(`channel${i}${suffix}`).addEventListener('change', () => {
+                syncChannelParamControls();
+                nca.pushWeightHistory('edit');
+                // Show the clamped values the engine actually kept
+                updateChannelParamControls();
+                triggerCalculationUpdate();
+            });
+        }
+    }
+    
+    updateChannelParamControls();
+}
+
+function syncChannelParamControls() {
+    // Built at runtime by setupChannelParamControls, so absent during the first sync
+    if (!document.getElementById('channel0Bias')) return;
+    
+    for (const [suffix, , , setter] of CHANNEL_PARAM_CONTROLS) {
+        for (let i = 0; i < 4; i++) {
+            nca[setter](i, parseFloat(safeGetElement(`channel${i}${suffix}`).value));
+        }
+    }
+}
+
+function updateChannelParamControls() {
+    if (!document.getElementById('channel0Bias')) return;
+    
+    for (const [suffix, , , , key] of CHANNEL_PARAM_CONTROLS) {
+        for (let i = 0; i < 4; i++) {
+            const input = safeGetElement(`channel${i}${suffix}`);
+            input.value = parseFloat(nca[key][i].toFixed(4));
+            input.disabled = i >= nca.numChannels;
+        }
+    }
+}
+
+// Stochastic firing and the alive mask (cells with no neighbor above the threshold in ALIVE_CH die)
+function setupCellUpdateControls() {
+    const row = createControlsRow();
+    const fireRateGroup = createTerminalInput('fireRate', 'FIRE_RATE', nca.cellUpdate.fireRate);
+    const thresholdGroup = createTerminalInput('aliveThreshold', 'ALIVE_THRESHOLD', nca.cellUpdate.aliveThreshold);
+    for (const [group, min] of [[fireRateGroup, 0.01], [thresholdGroup, -1]]) {
+        const input = group.querySelector('input');
+        input.type = 'number';
+        input.step = 0.05;
+        input.min = min;
+        input.max = 1;
+    }
+    row.append(
+        createTerminalCheckbox('stochasticUpdate', 'STOCHASTIC', nca.cellUpdate.stochastic),
+        fireRateGroup,
+        createTerminalCheckbox('aliveMask', 'ALIVE_MASK', nca.cellUpdate.aliveMask),
+        createTerminalSelect('aliveChannel', 'ALIVE_CH', [], 0),
+        thresholdGroup
+    );
+    insertControlsRow(row);
+    appendCalcItem('calcUpdateRates', 'calcCellUpdate', 'CELL_UPDATE');
+    
+    for (const id of ['stochasticUpdate', 'fireRate', 'aliveMask', 'aliveChannel', 'aliveThreshold']) {
+        safeGetElement(id).addEventListener('change', () => {
+            syncCellUpdateControls();
+            updateCellUpdateControls();
+            triggerCalculationUpdate();
+        });
+    }
+    
+    updateCellUpdateControls();
+}
+
+function syncCellUpdateControls() {
+    // Built at runtime by setupCellUpdateControls, so absent during the first sync
+    const aliveChannel = document.getElementById('aliveChannel');
+    if (!aliveChannel) return;
+    
+    const settings = {
+        stochastic: safeGetElement('stochasticUpdate').checked,
+        fireRate: parseFloat(safeGetElement('fireRate').value),
+        aliveMask: safeGetElement('aliveMask').checked,
+        aliveThreshold: parseFloat(safeGetElement('aliveThreshold').value)
+    };
+    // Right after a rebuild the options still list the old engine's channels
+    if (aliveChannel.options.length === nca.numChannels) {
+        settings.aliveChannel = parseInt(aliveChannel.value);
+    }
+    nca.setCellUpdate(settings);
+}
+
+function updateCellUpdateControls() {
+    const aliveChannel = document.getElementById('aliveChannel');
+    if (!aliveChannel) return;
+    
+    const cellUpdate = nca.cellUpdate;
+    safeGetElement('stochasticUpdate').checked = cellUpdate.stochastic;
+    safeGetElement('fireRate').value = cellUpdate.fireRate;
+    safeGetElement('fireRate').disabled = !cellUpdate.stochastic;
+    safeGetElement('aliveMask').checked = cellUpdate.aliveMask;
+    setChannelOptions(aliveChannel);
+    aliveChannel.value = String(cellUpdate.aliveChannel);
+    aliveChannel.disabled = !cellUpdate.aliveMask;
+    safeGetElement('aliveThreshold').value = cellUpdate.aliveThreshold;
+    safeGetElement('aliveThreshold').disabled = !cellUpdate.aliveMask;
+}
+
+function formatCellUpdate(cellUpdate) {
+    const schedule = cellUpdate.stochastic ? `STOCHASTIC_${Math.round(cellUpdate.fireRate * 100)}%` : 'SYNC';
+    return cellUpdate.aliveMask ? `${schedule} +ALIVE_CH${cellUpdate.aliveChannel}>${cellUpdate.aliveThreshold}` : schedule;
+}
+
+// Optional post-update stage pulling two channels toward their active-neighbor average (off = pure NCA math)
+function setupNeighborBlendControls() {
+    const row = createControlsRow();
+    const influenceGroup = createTerminalInput('blendInfluence', 'INFLUENCE', nca.neighborBlend.influence);
+    const thresholdGroup = createTerminalInput('blendThreshold', 'BLEND_THRESHOLD', nca.neighborBlend.threshold);
+    for (const [group, max] of [[influenceGroup, 1], [thresholdGroup, 2]]) {
+        const input = group.querySelector('input');
+        input.type = 'number';
+        input.step = 0.05;
+        input.min = 0;
+        input.max = max;
+    }
+    row.append(
+        createTerminalCheckbox('neighborBlend', 'NEIGHBOR_BLEND', nca.neighborBlend.enabled),
+        influenceGroup,
+        thresholdGroup,
+        createTerminalSelect('blendChannel0', 'BLEND_CH_A', [], 0),
+        createTerminalSelect('blendChannel1', 'BLEND_CH_B', [], 0)
+    );
+    insertControlsRow(row);
+    
+    // The update formula the engine is running, blend stage included
+    if (insertCalcSection('calcActivation', 'calcUpdateRule', 'UPDATE RULE:')) {
+        appendCalcItem('calcUpdateRule', 'calcUpdateFormula', 'UPDATE');
+        appendCalcItem('calcUpdateRule', 'calcBlendFormula', 'BLEND');
+    }
+    
+    for (const id of ['neighborBlend', 'blendInfluence', 'blendThreshold', 'blendChannel0', 'blendChannel1']) {
+        safeGetElement(id).addEventListener('change', () => {
+            syncNeighborBlendControls();
+            updateNeighborBlendControls();
+            triggerCalculationUpdate();
+        });
+    }
+    
+    updateNeighborBlendControls();
+}
+
+function syncNeighborBlendControls() {
+    // Built at runtime by setupNeighborBlendControls, so absent during the first sync
+    const firstChannel = document.getElementById('blendChannel0');
+    if (!firstChannel) return;
+    
+    const settings = {
+        enabled: safeGetElement('neighborBlend').checked,
+        influence: parseFloat(safeGetElement('blendInfluence').value),
+        threshold: parseFloat(safeGetElement('blendThreshold').value)
+    };
+    // Right after a rebuild the options still list the old engine's channels
+    if (firstChannel.options.length === nca.numChannels) {
+        settings.channels = [0, 1].map(slot => parseInt(safeGetElement(`blendChannel${slot}`).value));
+    }
+    nca.setNeighborBlend(settings);
+}
+
+function updateNeighborBlendControls() {
+    if (!document.getElementById('blendChannel0')) return;
+    
+    const blend = nca.neighborBlend;
+    safeGetElement('neighborBlend').checked = blend.enabled;
+    for (const id of ['blendInfluence', 'blendThreshold']) {
+        safeGetElement(id).disabled = !blend.enabled;
+    }
+    safeGetElement('blendInfluence').value = blend.influence;
+    safeGetElement('blendThreshold').value = blend.threshold;
+    for (let slot = 0; slot < 2; slot++) {
+        const select = safeGetElement(`blendChannel${slot}`);
+        setChannelOptions(select);
+        select.value = String(blend.channels[slot]);
+        select.disabled = !blend.enabled;
+    }
+}
+
+// Per-step update in the README's notation (w = weights, p = perception vector, v = MLP output weights)
+function formatUpdateFormula(config) {
+    return config.architecture === 'mlp'
+        ? 'x[c] += rate[c] × scale[c] × (Σ v × act(Σ w × p + b) + bias[c])'
+        : 'x[c] += rate[c] × (act(scale[c] × Σ w × p + bias[c]) - x[c])';
+}
+
+function formatBlendFormula(blend) {
+    if (!blend.enabled) return 'OFF (PURE)';
+    
+    const [a, b] = blend.channels;
+    const channels = a === b ? `c = ${a}` : `c ∈ {${a}, ${b}}`;
+    return `x[c] += ${blend.influence} × (avg[c] - x[c]), ${channels}, neighbors with |x| > ${blend.threshold}`;
+}
+
+// Compact per-channel list for the calculation display (first 4 channels, then an ellipsis)
+function formatChannelValues(values, signed) {
+    const shown = values.slice(0, 4).map(v => (signed && v >= 0 ? '+' : '') + v.toFixed(2)).join(' ');
+    return values.length > 4 ? `${shown} …` : shown;
+}
+
+// Re-seed, then re-roll weights and seeds from the fresh streams (same as [R] with a known seed)
+function applySeed(seed) {
+    nca.setRandomSeed(seed);
+    nca.initializeWeights();
+    nca.reset();
+    
+    const seedInput = safeGetElement('randomSeed');
+    if (seedInput) {
+        seedInput.value = nca.randomSeed;
+    }
+    
+    render();
+}
+
+// Add a calculation display section after the one holding anchorId; returns its .calc-info
+function insertCalcSection(anchorId, id, label) {
+    const anchorSection = safeGetElement(anchorId)?.closest('.calc-section');
+    if (!anchorSection || document.getElementById(id)) return null;
+    
+    const section = document.createElement('div');
+    section.className = 'calc-section';
+    
+    const labelEl = document.createElement('div');
+    labelEl.className = 'calc-label terminal-label';
+    labelEl.textContent = label;
+    
+    const info = document.createElement('div');
+    info.id = id;
+    info.className = 'calc-info terminal-info';
+    
+    section.append(labelEl, info);
+    anchorSection.after(section);
+    return info;
+}
+
+// Weight history timeline in the calculation display (click an entry to jump back to it)
+function setupWeightTimeline() {
+    const timeline = insertCalcSection('calcMutationType', 'calcTimeline', 'HISTORY (CTRL+Z / CTRL+SHIFT+Z):');
+    if (!timeline) return;
+    
+    timeline.classList.add('calc-timeline');
+    timeline.addEventListener('click', (e) => {
+        const item = e.target.closest('.calc-item');
+        if (item) {
+            nca.jumpToWeightHistory(parseInt(item.dataset.index));
+        }
+    });
+    updateWeightTimeline();
+}
+
+function updateWeightTimeline() {
+    const timeline = safeGetElement('calcTimeline');
+    if (!timeline || !nca) return;
+    
+    const formatPercent = (value) => value === null ? '--' : `${(value * 100).toFixed(1)}%`;
+    timeline.replaceChildren();
+    
+    nca.weightHistory.forEach((entry, index) => {
+        const item = document.createElement('span');
+        item.className = 'calc-item';
+        item.dataset.index = index;
+        item.title = formatTime(new Date(entry.timestamp));
+        item.append(`${index + 1}. ${entry.type.toUpperCase()}`);
+        
+        if (index === nca.weightHistoryIndex) {
+            item.classList.add('active');
+        } else if (index > nca.weightHistoryIndex) {
+            item.classList.add('redo');
+        }
+        
+        const valueEl = document.createElement('span');
+        valueEl.className = 'terminal-value';
+        valueEl.textContent = `${formatPercent(entry.rate)} / ${formatPercent(entry.strength)} @${entry.stepCount}`;
+        item.appendChild(valueEl);
+        
+        timeline.appendChild(item);
+    });
+    
+    const active = timeline.querySelector('.calc-item.active');
+    if (active) {
+        active.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+function syncScaleControlsFromEngine() {
+    const kernelSelect = safeGetElement('kernelSelect');
+    if (kernelSelect) {
+        setSelectValue('kernelScale', nca.kernelWeightScales[parseInt(kernelSelect.value)]);
+    }
+    
+    for (let i = 0; i < 4; i++) {
+        setSelectValue(`channel${i}Scale`, nca.channelWeightScales[i]);
+    }
+}
+
+// Full-state snapshot controls (rule + live grid texture + step count)
+function setupSnapshotControls() {
+    const row = createControlsRow();
+    const exportBtn = createTerminalButton('exportSnapshotBtn', 'SAVE_SNAPSHOT');
+    const importBtn = createTerminalButton('importSnapshotBtn', 'LOAD_SNAPSHOT');
+    const compressToggle = createTerminalCheckbox('compressSnapshot', 'GZIP', typeof CompressionStream !== 'undefined');
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.id = 'importSnapshotFile';
+    fileInput.accept = '.mlsnap,.gz,application/octet-stream';
+    fileInput.style.display = 'none';
+    
+    row.append(exportBtn, importBtn, compressToggle, fileInput);
+    insertControlsRow(row);
+    
+    exportBtn.addEventListener('click', async () => {
+        try {
+            await exportSnapshotFile(safeGetElement('compressSnapshot').checked);
+        } catch (error) {
+            console.error('Snapshot export failed:', error);
+            showStatusMessage(`Snapshot export failed: ${error.message}`, true);
+        }
+    });
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            await importSnapshotFile(file);
+            showStatusMessage(`Loaded snapshot: ${file.name} (step ${nca.stepCount})`);
+        } catch (error) {
+            console.error('Snapshot import failed:', error);
+            showStatusMessage(`Snapshot import failed: ${error.message}`, true);
+        }
+    });
+}
+
+function createTerminalCheckbox(id, label, checked) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'checkbox-item terminal-checkbox';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = id;
+    checkbox.checked = checked;
+    
+    wrapper.append(checkbox, ` ${label}`);
+    return wrapper;
+}
+
+async function exportSnapshotFile(compress) {
+    if (!nca) return;
+    
+    let bytes = nca.exportSnapshot();
+    if (compress) {
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('This browser does not support gzip compression');
+        }
+        bytes = await transformBytes(bytes, new CompressionStream('gzip'));
+    }
+    
+    const extension = compress ? 'mlsnap.gz' : 'mlsnap';
+    downloadFile(`moonlight-snapshot-${nca.stepCount}-${getFileTimestamp()}.${extension}`,
+        new Blob([bytes], { type: 'application/octet-stream' }));
+    showStatusMessage(`Snapshot saved at step ${nca.stepCount}`);
+}
+
+async function importSnapshotFile(file) {
+    let bytes = await file.arrayBuffer();
+    
+    // Gzip streams start with 0x1f 0x8b, raw snapshots with the 'MLPS' magic
+    const header = new Uint8Array(bytes, 0, Math.min(2, bytes.byteLength));
+    if (header[0] === 0x1f && header[1] === 0x8b) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress gzip snapshots');
+        }
+        bytes = await transformBytes(bytes, new DecompressionStream('gzip'));
+    }
+    
+    loadSnapshot(bytes);
+}
+
+// Restore a raw (uncompressed) snapshot, rebuilding the engine when its grid or channel layout differs
+function loadSnapshot(bytes) {
+    const snapshot = NeuralCAWebGL.decodeSnapshot(bytes);
+    
+    // Validate the embedded rule and the grid size before rebuilding anything
+    const rule = NeuralCAWebGL.migrateRule(snapshot.rule);
+    NeuralCAWebGL.validateRule(rule);
+    checkGridSize(snapshot.width, snapshot.height);
+    
+    if (snapshot.width !== nca.gridWidth || snapshot.height !== nca.gridHeight ||
+        snapshot.valuesPerCell !== nca.valuesPerCell) {
+        rebuildEngine(snapshot.width, snapshot.height, rule.numChannels, { skipWeightLayout: true });
+    }
+    
+    applyRule(snapshot.rule, snapshot);
+}
+
+// Run bytes through a CompressionStream/DecompressionStream
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return await new Response(stream).arrayBuffer();
+}
+
+// WebGL-only rendering
+function render() {
+    if (!nca || !canvas || !ctx) {
+        return;
+    }
+    
+    // Save context state and disable smoothing for crisp pixels
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.webkitImageSmoothingEnabled = false;
+    ctx.mozImageSmoothingEnabled = false;
+    ctx.msImageSmoothingEnabled = false;
+    
+    // Use WebGL rendering only
+    nca.renderToCanvas(canvas, ctx, zoom, panX, panY);
+    
+    // Restore context state
+    ctx.restore();
+    
+    // Update stats in the main controls
+    const stepCountEl = safeGetElement('stepCount');
+    if (stepCountEl) {
+        stepCountEl.textContent = nca.stepCount;
+    }
+    
+    const fpsEl = safeGetElement('fps');
+    if (fpsEl) {
+        fpsEl.textContent = nca.fps;
+    }
+    
+    // Update calculation display stats (non-animated) - Live updates for running values
+    updateElement('calcSteps', nca.stepCount);
+    updateElement('calcFPS', nca.fps);
+    updateElement('calcStatus', nca.running ? 'RUNNING' : 'STOPPED');
+}
+
+function animate(currentTime = 0) {
+    // Early exit if not running or if another animation loop is already active
+    if (!nca || !nca.running) {
+        animationId = null;
+        return;
+    }
+    
+    // Calculate time elapsed since last frame
+    const elapsed = currentTime - lastFrameTime;
+    
+    // Only update if enough time has passed (FPS limiting)
+    if (elapsed >= FRAME_INTERVAL) {
+        // Run multiple steps per frame based on stepsPerFrame setting
+        for (let i = 0; i < nca.stepsPerFrame; i++) {
+            nca.step();
+        }
+        render();
+        lastFrameTime = currentTime;
+        emitSimulationEvent('step', { stepCount: nca.stepCount, steps: nca.stepsPerFrame });
+    }
+    
+    // Continue animation loop
+    animationId = requestAnimationFrame(animate);
+}
+
+// notify = false for internal restarts, e.g. rebuildEngine swapping engines under a running simulation
+function startAnimation(notify = true) {
+    if (!nca) {
+        return;
+    }
+    
+    // Prevent multiple animation loops
+    if (animationId !== null) {
+        return;
+    }
+    
+    nca.running = true;
+    lastFrameTime = performance.now();
+    animationId = requestAnimationFrame(animate);
+    if (notify) {
+        emitSimulationEvent('start', { stepCount: nca.stepCount });
+    }
+}
+
+function stopAnimation(notify = true) {
+    if (nca) {
+        nca.running = false;
+    }
+    if (animationId !== null) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+        if (notify) {
+            emitSimulationEvent('stop', { stepCount: nca.stepCount });
+        }
+    }
+}
+
+function requireEngine() {
+    if (!nca) {
+        throw new Error('Moonlight Pools is not initialized yet (wait for the "init" event)');
+    }
+}
+
+function requireOption(name, value, options) {
+    if (!options.includes(value)) {
+        throw new Error(`${name} must be one of ${options.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    return value;
+}
+
+function requireNumber(name, value, min, max) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`${name} must be a number from ${min} to ${max} (got ${JSON.stringify(value)})`);
+    }
+    return value;
+}
+
+function requireObject(name, value) {
+    if (!value || typeof value !== 'object') {
+        throw new Error(`${name} must be an object (got ${JSON.stringify(value)})`);
+    }
+    return value;
+}
+
+const MUTATION_PATTERNS = ['uniform', 'gaussian', 'selective', 'spatial', 'temporal'];
+
+// Parameters of MoonlightPools.setParam / getParam. get returns a copy of the engine's value; set validates
+// (throwing on bad values) and applies it the way the matching control does
+const API_PARAMS = {
+    stepsPerFrame: {
+        get: () => nca.stepsPerFrame,
+        set: value => { nca.stepsPerFrame = Math.round(requireNumber('stepsPerFrame', value, 1, 1000)); }
+    },
+    activation: {
+        get: () => nca.activationFunc,
+        set: value => { nca.activationFunc = requireOption('activation', value, NeuralCAWebGL.ACTIVATION_FUNCTIONS); }
+    },
+    activationParams: {
+        get: () => ({ ...nca.activationParams[nca.activationFunc] }),
+        set: value => nca.setActivationParams(nca.activationFunc, requireObject('activationParams', value))
+    },
+    weightRange: {
+        get: () => nca.weightRange,
+        set: value => { nca.weightRange = requireNumber('weightRange', value, 0.01, 100); }
+    },
+    weightInitStrategy: {
+        get: () => nca.weightInitStrategy,
+        set: value => nca.setWeightInitStrategy(requireOption('weightInitStrategy', value, ['xavier', 'he', 'uniform', 'custom']))
+    },
+    mutationRate: {
+        get: () => nca.mutationRate,
+        set: value => nca.setMutationRate(requireNumber('mutationRate', value, 0, 1))
+    },
+    mutationStrength: {
+        get: () => nca.mutationStrength,
+        set: value => nca.setMutationStrength(requireNumber('mutationStrength', value, 0, 1))
+    },
+    mutationPattern: {
+        get: () => nca.mutationPattern,
+        set: value => nca.setMutationPattern(requireOption('mutationPattern', value, MUTATION_PATTERNS))
+    },
+    colorScheme: {
+        get: () => nca.colorScheme,
+        set: value => nca.setColorScheme(requireOption('colorScheme', value, ['auto', ...Object.keys(NeuralCAWebGL.COLOR_SCHEMES), 'custom']))
+    },
+    customPalette: {
+        get: () => nca.customPalette.map(stop => stop.slice()),
+        set: value => setCustomPalette(value)
+    },
+    channelMapping: {
+        get: () => NeuralCAWebGL.copyChannelMapping(nca.channelMapping),
+        set: value => nca.setChannelMapping(value)
+    },
+    viewChannels: {
+        get: () => nca.viewChannels.slice(),
+        set: value => {
+            if (!Array.isArray(value) || value.length !== 4) {
+                throw new Error('viewChannels must be an array of 4 channel indices');
+            }
+            nca.setViewChannels(value);
+        }
+    },
+    renderParams: {
+        get: () => ({ ...nca.renderParams }),
+        set: value => nca.setRenderParams(requireObject('renderParams', value))
+    },
+    autoExposure: {
+        get: () => nca.autoExposure,
+        set: value => nca.setAutoExposure(requireOption('autoExposure', value, [true, false]))
+    },
+    boundary: {
+        get: () => NeuralCAWebGL.copyBoundary(nca.boundary),
+        set: value => nca.setBoundary(requireObject('boundary', value))
+    },
+    cellUpdate: {
+        get: () => ({ ...nca.cellUpdate }),
+        set: value => nca.setCellUpdate(requireObject('cellUpdate', value))
+    },
+    neighborBlend: {
+        get: () => NeuralCAWebGL.copyNeighborBlend(nca.neighborBlend),
+        set: value => nca.setNeighborBlend(requireObject('neighborBlend', value))
+    },
+    architecture: {
+        get: () => nca.architecture,
+        set: value => nca.setArchitecture(requireOption('architecture', value, NeuralCAWebGL.ARCHITECTURES))
+    },
+    hiddenUnits: {
+        get: () => nca.hiddenUnits,
+        set: value => nca.setArchitecture(nca.architecture,
+            requireNumber('hiddenUnits', value, NeuralCAWebGL.MIN_HIDDEN_UNITS, NeuralCAWebGL.MAX_HIDDEN_UNITS))
+    },
+    kernelSize: {
+        get: () => nca.kernelSize,
+        set: value => nca.setKernel(requireOption('kernelSize', value, NeuralCAWebGL.KERNEL_SIZES))
+    },
+    kernelShape: {
+        get: () => nca.kernelShape,
+        set: value => nca.setKernel(nca.kernelSize, requireOption('kernelShape', value, NeuralCAWebGL.KERNEL_SHAPES))
+    },
+    perceptionMode: {
+        get: () => nca.perceptionMode,
+        set: value => nca.setPerception(requireOption('perceptionMode', value, NeuralCAWebGL.PERCEPTION_MODES))
+    },
+    seedPattern: {
+        get: () => nca.seedPattern,
+        set: value => nca.setSeedPattern(requireOption('seedPattern', value, ['auto', ...NeuralCAWebGL.SEED_PATTERNS]))
+    },
+    seedRadius: {
+        get: () => nca.seedRadius,
+        set: value => nca.setSeedRadius(requireNumber('seedRadius', value, 0, 100))
+    },
+    seedCount: {
+        get: () => nca.seedCount,
+        set: value => nca.setSeedCount(requireNumber('seedCount', value, 0, 16))
+    },
+    // Re-rolls the weights and seeds like the SEED control
+    randomSeed: {
+        get: () => nca.randomSeed,
+        set: value => applySeed(SeededRandom.parseSeed(value))
+    },
+    // { width, height } or a number for a square grid; rebuilds the engine and resamples the state
+    gridSize: {
+        get: () => ({ width: nca.gridWidth, height: nca.gridHeight }),
+        set: value => resizeGrid(typeof value === 'number' ? { width: value, height: value } : requireObject('gridSize', value), true)
+    },
+    // Rebuilds the engine with fresh weights, like the channel count control
+    channels: {
+        get: () => nca.numChannels,
+        set: value => {
+            const channels = Math.round(requireNumber('channels', value, 1, NeuralCAWebGL.MAX_CHANNELS));
+            if (channels !== nca.numChannels) {
+                rebuildEngine(nca.gridWidth, nca.gridHeight, channels);
+            }
+        }
+    }
+};
+
+// Scripting API for user scripts and UI panels: drive and observe the simulation without the DOM, e.g.
+//     MoonlightPools.on('mutation', event => console.log(event.type));
+//     MoonlightPools.setParam('mutationRate', 0.1);
+//     MoonlightPools.step(100);
+// Methods throw until the engine exists; listen for 'init' to know when it does.
+const MoonlightPools = {
+    events: SIMULATION_EVENTS.slice(),
+    params: Object.keys(API_PARAMS),
+    
+    // The engine itself (NeuralCAWebGL or NeuralCACPU) for anything the API doesn't cover; a new one announces itself with 'init'
+    get engine() {
+        return nca || null;
+    },
+    
+    get running() {
+        return !!nca && nca.running;
+    },
+    
+    get stepCount() {
+        return nca ? nca.stepCount : 0;
+    },
+    
+    start() {
+        requireEngine();
+        startAnimation();
+        updateElement('calcStatus', 'RUNNING');
+    },
+    
+    stop() {
+        requireEngine();
+        stopAnimation();
+        updateElement('calcStatus', 'STOPPED');
+    },
+    
+    // Run count steps right away (also while stopped), then render once
+    step(count = 1) {
+        requireEngine();
+        const steps = Math.round(requireNumber('count', count, 1, 1000000));
+        for (let i = 0; i < steps; i++) {
+            nca.step();
+        }
+        render();
+        emitSimulationEvent('step', { stepCount: nca.stepCount, steps: steps });
+    },
+    
+    // Clear the grid and place new seeds, keeping the rule (RESEED)
+    reset() {
+        requireEngine();
+        nca.reset();
+        render();
+    },
+    
+    // Mutate with the given pattern, or the current mutation pattern
+    mutate(pattern) {
+        requireEngine();
+        if (pattern !== undefined) {
+            requireOption('pattern', pattern, MUTATION_PATTERNS);
+        }
+        nca.mutateWeights(pattern);
+        render();
+    },
+    
+    getParam(name) {
+        requireEngine();
+        return requireParam(name).get();
+    },
+    
+    // Apply a parameter and bring the controls along, so a later sync from the UI keeps it
+    setParam(name, value) {
+        requireEngine();
+        requireParam(name).set(value);
+        syncControlsFromRule(nca.exportRule());
+        updateControlsFromEngine();
+        triggerCalculationUpdate();
+        render();
+    },
+    
+    // A rule object or its JSON text, as saved by EXPORT_RULE
+    loadRule(rule) {
+        requireEngine();
+        applyRule(typeof rule === 'string' ? JSON.parse(rule) : rule);
+    },
+    
+    exportRule() {
+        requireEngine();
+        return nca.exportRule();
+    },
+    
+    // The world as an uncompressed snapshot (ArrayBuffer, the .mlsnap format); loadState restores one
+    exportState() {
+        requireEngine();
+        return nca.exportSnapshot();
+    },
+    
+    loadState(bytes) {
+        requireEngine();
+        loadSnapshot(bytes);
+    },
+    
+    // Returns a function that removes the listener again
+    on(event, listener) {
+        requireOption('event', event, SIMULATION_EVENTS);
+        if (typeof listener !== 'function') {
+            throw new Error(`Listener for "${event}" must be a function`);
+        }
+        if (!simulationListeners.has(event)) {
+            simulationListeners.set(event, new Set());
+        }
+        simulationListeners.get(event).add(listener);
+        return () => MoonlightPools.off(event, listener);
+    },
+    
+    off(event, listener) {
+        const listeners = simulationListeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+};
+
+function requireParam(name) {
+    if (!Object.prototype.hasOwnProperty.call(API_PARAMS, name)) {
+        throw new Error(`Unknown parameter "${name}" (known: ${Object.keys(API_PARAMS).join(', ')})`);
+    }
+    return API_PARAMS[name];
+}
+
+window.MoonlightPools = MoonlightPools;
+
 // Initialize when page loads
 console.log('nca.js loaded, document ready state:', document.readyState);
 